@@ -1,7 +1,34 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 
-// Middleware to authenticate JWT tokens
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+
+// Every token signed with JWT_SECRET names what it is for; only tokens for
+// this audience are accepted as access tokens
+const ACCESS_TOKEN_AUDIENCE = 'access';
+
+// Authenticate a personal API key sent as the bearer token
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.authenticate(key, req.ip);
+  const user = apiKey && await User.findById(apiKey.user).select('-password');
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({ 
+      error: 'Invalid API key',
+      message: 'The API key is invalid or has been revoked' 
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.sessionId = null;
+  next();
+};
+
+// Middleware to authenticate JWT tokens (or API keys)
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -12,7 +39,11 @@ const authenticateToken = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (ApiKey.isApiKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
@@ -22,7 +53,19 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password reset or logout everywhere, or for a
+    // session that has been revoked, are no longer valid
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion ||
+        (decoded.sessionId && !await Session.isActive(decoded.sessionId))) {
+      return res.status(401).json({ 
+        error: 'Session revoked',
+        message: 'Please log in again' 
+      });
+    }
+
     req.user = user;
+    req.apiKey = null;
+    req.sessionId = decoded.sessionId || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -57,23 +100,95 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
+// Middleware to require one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return requireAuth(req, res, next);
+  }
+  if (!req.user.hasRole(...roles)) {
+    return res.status(403).json({ 
+      error: 'Forbidden',
+      message: 'You do not have permission to access this resource' 
+    });
+  }
+  next();
+};
+
+// Middleware to require a signed-in user rather than an API key; account
+// management is never available to scripts
+const requireSession = (req, res, next) => {
+  if (!req.user) {
+    return requireAuth(req, res, next);
+  }
+  if (req.apiKey) {
+    return res.status(403).json({ 
+      error: 'API key not allowed',
+      message: 'This action requires signing in, it is not available with an API key' 
+    });
+  }
+  next();
+};
+
+// Middleware to check an API key's scope; signed-in users have every scope
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.hasScope(scope)) {
+    return res.status(403).json({ 
+      error: 'Insufficient scope',
+      message: `This API key does not have the ${scope} scope` 
+    });
+  }
+  next();
+};
+
+// Middleware to block unverified accounts from an action when the
+// corresponding setting is on; anonymous requests are not affected
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (req.user && req.user.isVerificationRequiredFor(action)) {
+    return res.status(403).json({ 
+      error: 'Email not verified',
+      message: 'Please verify your email address before continuing' 
+    });
+  }
+  next();
+};
+
 // Generate JWT token
-const generateToken = (userId) => {
+const generateToken = (userId, tokenVersion = 0, sessionId = null) => {
   return jwt.sign(
-    { userId }, 
+    { userId, tokenVersion, sessionId }, 
     process.env.JWT_SECRET, 
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_EXPIRY, audience: ACCESS_TOKEN_AUDIENCE }
   );
 };
 
+// Short-lived token proving the password step of a two-factor login. It
+// carries no userId, so it can't be used as an access token.
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { pendingUserId: user._id, tokenVersion: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', audience: 'login-2fa' }
+  );
+};
+
+const verifyTwoFactorChallenge = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: 'login-2fa' });
+};
+
 // Verify JWT token
 const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
 };
 
 module.exports = {
   authenticateToken,
   requireAuth,
+  requireRole,
+  requireSession,
+  requireScope,
+  requireVerifiedEmail,
   generateToken,
-  verifyToken
+  verifyToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
 };
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+
+const SHARE_TOKEN_EXPIRY = '1h';
+const DIRECT_URL_TTL_SECONDS = parseInt(process.env.DIRECT_URL_TTL_SECONDS) || 5 * 60; // 5 minutes default
+const RESUME_WINDOW_SECONDS = (parseInt(process.env.DOWNLOAD_RESUME_WINDOW_HOURS) || 6) * 60 * 60;
+
+// Generate a token proving the password for a share was entered. The one
+// issued with the upload also marks its holder as the uploader, who may
+// then add a message to the share's emails.
+const generateShareToken = (shareId, { uploader = false } = {}) => {
+  return jwt.sign(
+    { shareId, purpose: 'share-access', uploader },
+    process.env.JWT_SECRET,
+    { expiresIn: SHARE_TOKEN_EXPIRY }
+  );
+};
+
+// Generate the one-click link token that lets an uploader extend a share.
+// It is tied to the current expiry time, so it works once, and stops
+// working when the share expires. Its own audience keeps it from being
+// accepted as an access token.
+const generateExtendToken = (file) => {
+  return jwt.sign(
+    {
+      shareId: file.shareId,
+      userId: String(file.createdBy),
+      expiryTime: new Date(file.expiryTime).getTime(),
+      purpose: 'extend-share'
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.max(Math.floor((new Date(file.expiryTime) - Date.now()) / 1000), 1),
+      audience: 'extend-share'
+    }
+  );
+};
+
+// Check a share extension token; returns its payload, or null
+const verifyExtendToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: 'extend-share' });
+    return decoded.purpose === 'extend-share' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// HMAC over a file ID and the time (in seconds) a direct URL stops working
+const signDownload = (fileId, expires) => {
+  return crypto
+    .createHmac('sha256', process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET)
+    .update(`${fileId}:${expires}`)
+    .digest('base64url');
+};
+
+// Issue a short-lived download URL that works without any headers, so
+// browsers can download straight from the API
+const createDirectDownloadUrl = (fileId) => {
+  const expires = Math.floor(Date.now() / 1000) + DIRECT_URL_TTL_SECONDS;
+
+  return {
+    url: `/api/files/${fileId}/download?expires=${expires}&signature=${signDownload(fileId, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Issue a short-lived URL for a share's ZIP, like createDirectDownloadUrl
+const createDirectArchiveUrl = (shareId) => {
+  const expires = Math.floor(Date.now() / 1000) + DIRECT_URL_TTL_SECONDS;
+
+  return {
+    url: `/api/files/${shareId}/archive?expires=${expires}&signature=${signDownload(`${shareId}.archive`, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Check the signature and expiry of a direct download URL
+const hasValidDownloadSignature = (req, fileId) => {
+  const { expires, signature } = req.query;
+  if (typeof expires !== 'string' || typeof signature !== 'string') {
+    return false;
+  }
+
+  if (!/^\d+$/.test(expires) || parseInt(expires, 10) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload(fileId, expires));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Check the signature and expiry of a direct ZIP URL
+const hasValidArchiveSignature = (req, shareId) => {
+  return hasValidDownloadSignature(req, `${shareId}.archive`);
+};
+
+// ETag sent with a counted download. A range request that sends it back in
+// If-Range resumes that download without counting again, for a while (see
+// File.reserveResume); any other range request is a new download.
+const createResumeTag = (file, downloadId) => {
+  const expires = Math.floor(Date.now() / 1000) + RESUME_WINDOW_SECONDS;
+  const signature = signDownload(`${file.id}.resume.${downloadId}`, expires);
+  return `"${file.id}.${downloadId}.${expires}.${signature}"`;
+};
+
+// Check a resume ETag (from If-Range) against a file. Resolves to the
+// download it resumes, or null.
+const readResumeTag = (tag, file) => {
+  const match = /^"([^".]+)\.([\w-]+)\.(\d+)\.([\w-]+)"$/.exec(tag || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, id, downloadId, expires, signature] = match;
+  if (id !== file.id || parseInt(expires, 10) < Date.now() / 1000) {
+    return null;
+  }
+
+  const expected = Buffer.from(signDownload(`${file.id}.resume.${downloadId}`, expires));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return downloadId;
+};
+
+// Decode the request's share token if it is valid for the file's share
+const readShareToken = (req, file) => {
+  const token = req.get('X-Share-Token') || req.query.shareToken;
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'share-access' && decoded.shareId === file.shareId ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check whether the request may see a (possibly password protected) file
+const hasShareAccess = (req, file) => {
+  if (!file.passwordHash) {
+    return true;
+  }
+
+  // Direct URLs are only issued to requests that already had access
+  if (hasValidDownloadSignature(req, file.id)) {
+    return true;
+  }
+
+  // Uploaders can always reach their own files, and admins and auditors
+  // can reach every file
+  if (req.user && req.user.canView(file)) {
+    return true;
+  }
+
+  return readShareToken(req, file) !== null;
+};
+
+// Check whether the request holds the share token issued with the upload
+const isShareUploader = (req, file) => {
+  const decoded = readShareToken(req, file);
+  return !!(decoded && decoded.uploader);
+};
+
+// Response sent while a share is still locked
+const sendPasswordRequired = (res) => {
+  return res.status(401).json({
+    error: 'Password required',
+    message: 'This file is password protected',
+    passwordProtected: true
+  });
+};
+
+// Limit wrong password guesses per share and IP
+const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 wrong guesses per windowMs
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.ip}:${req.params.id}`,
+  message: {
+    error: 'Too many attempts',
+    message: 'Too many incorrect passwords, please try again later.'
+  }
+});
+
+module.exports = {
+  generateShareToken,
+  generateExtendToken,
+  verifyExtendToken,
+  createDirectDownloadUrl,
+  createDirectArchiveUrl,
+  hasValidDownloadSignature,
+  hasValidArchiveSignature,
+  createResumeTag,
+  readResumeTag,
+  hasShareAccess,
+  isShareUploader,
+  sendPasswordRequired,
+  unlockLimiter
+};
@@ -1,92 +1,124 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { body, validationResult } = require('express-validator');
+const storage = require('../utils/storage');
+const fileService = require('../utils/fileService');
+const emailTemplates = require('../utils/emailTemplates');
 
-// Ensure upload directory exists
-const uploadDir = './uploads';
+// Local working directory (partial resumable uploads are staged here)
+const uploadDir = process.env.UPLOAD_DIR || './uploads';
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
+// Generate unique filename with timestamp and random string
+const generateFilename = (fieldname, originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const fileExtension = path.extname(originalname);
+  return fieldname + '-' + uniqueSuffix + fileExtension;
+};
+
+// Multer storage engine that streams uploads (encrypted when configured)
+// into the storage driver; the generated filename is the storage key
+const storageEngine = {
+  _handleFile(req, file, cb) {
+    const filename = generateFilename(file.fieldname, file.originalname);
+
+    fileService.storeStream(filename, file.stream, { contentType: file.mimetype })
+      .then(({ size, location, encryption }) => cb(null, { filename, path: location, size, encryption }))
+      .catch(cb);
   },
-  filename: function (req, file, cb) {
-    // Generate unique filename with timestamp and random string
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const fileExtension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + fileExtension);
+  _removeFile(req, file, cb) {
+    storage.delete(file.filename)
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
+
+// Allowed file types (you can customize this)
+const allowedMimes = [
+  // Documents
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/csv',
+  
+  // Images
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/svg+xml',
+  
+  // Videos
+  'video/mp4',
+  'video/avi',
+  'video/mov',
+  'video/wmv',
+  'video/webm',
+  
+  // Audio
+  'audio/mp3',
+  'audio/wav',
+  'audio/ogg',
+  'audio/mpeg',
+  
+  // Archives
+  'application/zip',
+  'application/x-rar-compressed',
+  'application/x-7z-compressed',
+  'application/gzip',
+  'application/x-tar',
+  
+  // Other
+  'application/json',
+  'application/xml',
+  'text/xml'
+];
+
+const isAllowedMimeType = (mimeType) => allowedMimes.includes(mimeType);
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Allowed file types (you can customize this)
-  const allowedMimes = [
-    // Documents
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'text/plain',
-    'text/csv',
-    
-    // Images
-    'image/jpeg',
-    'image/jpg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'image/svg+xml',
-    
-    // Videos
-    'video/mp4',
-    'video/avi',
-    'video/mov',
-    'video/wmv',
-    'video/webm',
-    
-    // Audio
-    'audio/mp3',
-    'audio/wav',
-    'audio/ogg',
-    'audio/mpeg',
-    
-    // Archives
-    'application/zip',
-    'application/x-rar-compressed',
-    'application/x-7z-compressed',
-    'application/gzip',
-    'application/x-tar',
-    
-    // Other
-    'application/json',
-    'application/xml',
-    'text/xml'
-  ];
-
-  if (allowedMimes.includes(file.mimetype)) {
+  if (isAllowedMimeType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error(`File type ${file.mimetype} is not allowed. Please upload a supported file type.`), false);
   }
 };
 
+// Maximum number of files that can be shared under one link
+const maxFilesPerShare = parseInt(process.env.MAX_FILES_PER_SHARE) || 20;
+
 // Configure multer
 const upload = multer({
-  storage: storage,
+  storage: storageEngine,
   fileFilter: fileFilter,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB default
-    files: 1 // Only allow one file at a time
+    files: maxFilesPerShare
   }
 });
 
+// Accept a single "file" field (original API) or several "files"
+const uploadFiles = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: maxFilesPerShare }
+]);
+
+// Flatten the files multer stored for this request
+const getUploadedFiles = (req) => {
+  if (!req.files) return [];
+  return [...(req.files.file || []), ...(req.files.files || [])];
+};
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -99,7 +131,7 @@ const handleUploadError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         error: 'Too many files',
-        message: 'Only one file can be uploaded at a time'
+        message: `Up to ${maxFilesPerShare} files can be uploaded at a time`
       });
     }
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -125,13 +157,12 @@ const cleanupOnError = (req, res, next) => {
   const originalSend = res.send;
   
   res.send = function(data) {
-    // If response status indicates an error, clean up uploaded file
-    if (res.statusCode >= 400 && req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-        console.log(`Cleaned up file: ${req.file.path}`);
-      } catch (error) {
-        console.error('Error cleaning up file:', error);
+    // If response status indicates an error, clean up uploaded files
+    if (res.statusCode >= 400) {
+      for (const file of getUploadedFiles(req)) {
+        storage.delete(file.filename)
+          .then(() => console.log(`Cleaned up file: ${file.filename}`))
+          .catch(error => console.error('Error cleaning up file:', error));
       }
     }
     
@@ -141,8 +172,33 @@ const cleanupOnError = (req, res, next) => {
   next();
 };
 
+// Validation for the options sent alongside an upload
+const validateUploadOptions = [
+  body('senderEmail').optional().isEmail().normalizeEmail(),
+  body('receiverEmail').optional().isEmail().normalizeEmail(),
+  // Language of the emails sent to the receiver
+  body('locale').optional().isIn(emailTemplates.supportedLocales).withMessage('Unsupported email language'),
+  body('expiryHours').optional().isInt({ min: 1, max: 168 }).withMessage('Expiry must be between 1 and 168 hours'),
+  body('maxDownloads').optional().isInt({ min: 1 }).withMessage('Download limit must be at least 1').toInt(),
+  body('password').optional({ checkFalsy: true }).isString().isLength({ min: 4, max: 128 }).withMessage('Password must be between 4 and 128 characters'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  }
+];
+
 module.exports = {
   upload,
+  uploadFiles,
+  getUploadedFiles,
+  maxFilesPerShare,
+  uploadDir,
+  generateFilename,
+  isAllowedMimeType,
   handleUploadError,
-  cleanupOnError
+  cleanupOnError,
+  validateUploadOptions
 };
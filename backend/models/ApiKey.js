@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Keys look like "fsk_<random>" so they are easy to tell apart from JWTs
+// (and to spot if they leak into logs). Only a hash is stored.
+const KEY_PREFIX = 'fsk_';
+const SCOPES = ['upload', 'read', 'delete'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to help users recognise it
+  keyPreview: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Method to check if the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to tell API keys apart from other bearer tokens
+apiKeySchema.statics.isApiKey = function(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+// Static method to create a key; resolves to the record and the key itself,
+// which is only available now
+apiKeySchema.statics.generate = async function(userId, name, scopes) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await this.create({
+    id: uuidv4(),
+    user: userId,
+    name,
+    keyHash: hashKey(key),
+    keyPreview: key.slice(0, KEY_PREFIX.length + 6),
+    scopes
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to look up an active key and record its use
+apiKeySchema.statics.authenticate = function(key, ip) {
+  return this.findOneAndUpdate(
+    { keyHash: hashKey(key), revokedAt: null },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip } },
+    { new: true }
+  );
+};
+
+// Static method to list a user's active keys
+apiKeySchema.statics.findActiveKeys = function(userId) {
+  return this.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+};
+
+// Static method to revoke one of a user's keys
+apiKeySchema.statics.revoke = function(userId, id) {
+  return this.findOneAndUpdate(
+    { id, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Remove the hash from JSON output
+apiKeySchema.methods.toJSON = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    keyPreview: this.keyPreview,
+    scopes: this.scopes,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt
+  };
+};
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
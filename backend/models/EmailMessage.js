@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+// A message is given up on (dead) after this many delivery attempts
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 8;
+
+// Wait before the first retry; it doubles with every failed attempt
+const EMAIL_RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 30;
+
+// Longest wait between two attempts
+const EMAIL_RETRY_MAX_SECONDS = 60 * 60;
+
+// How long delivered and dead messages are kept for status and inspection
+const EMAIL_RETENTION_DAYS = parseInt(process.env.EMAIL_RETENTION_DAYS) || 30;
+
+// Kinds whose body carries a secret (a verification, reset or extend-share
+// token). Their body is cleared once the message is sent or dead, so only
+// the envelope is kept for the retention period.
+const SENSITIVE_KINDS = ['verification', 'password-reset', 'expiry-reminder'];
+
+// One outbound email in the outbox. Emails are queued here and sent by the
+// email worker, so SMTP latency or outages never hold up a request:
+//   pending - waiting for its first attempt or a retry at nextAttemptAt
+//   sending - claimed by a worker until lockedUntil
+//   sent    - accepted by the SMTP server
+//   dead    - permanently rejected, or out of attempts
+const emailMessageSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: [
+      'file-link',
+      'upload-confirmation',
+      'verification',
+      'password-reset',
+      'download-notification',
+      'expiry-reminder'
+    ],
+    required: true
+  },
+  from: {
+    name: { type: String },
+    address: { type: String }
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: function() {
+      return !this.redactedAt;
+    }
+  },
+  // Plain-text alternative to the HTML
+  text: {
+    type: String,
+    default: null
+  },
+  locale: {
+    type: String,
+    default: null
+  },
+  // The share the email is about, so its delivery can be shown per file
+  shareId: {
+    type: String,
+    default: null
+  },
+  // The user who had it sent, so senders can see who they emailed
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // When the body was cleared (see SENSITIVE_KINDS)
+  redactedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ shareId: 1 });
+// Let MongoDB remove old messages whatever their status
+emailMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: EMAIL_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to claim the next message that is due. A message left in
+// "sending" by a worker that died is claimed again once its lock runs out.
+emailMessageSchema.statics.claimNext = function(lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Static method to count messages per status
+emailMessageSchema.statics.countByStatus = async function() {
+  const counts = { pending: 0, sending: 0, sent: 0, dead: 0 };
+  const groups = await this.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+
+  groups.forEach(group => {
+    counts[group._id] = group.count;
+  });
+
+  return counts;
+};
+
+// Static method to clear the body of finished sensitive messages, such as
+// ones sent before bodies were cleared on delivery
+emailMessageSchema.statics.redactFinished = function() {
+  return this.updateMany(
+    { kind: { $in: SENSITIVE_KINDS }, status: { $in: ['sent', 'dead'] }, redactedAt: null },
+    { $set: { html: null, text: null, redactedAt: new Date() } }
+  );
+};
+
+// Method to clear the body of a sensitive message that will not be sent again
+emailMessageSchema.methods.redactIfSensitive = function() {
+  if (SENSITIVE_KINDS.includes(this.kind) && !this.redactedAt) {
+    this.html = null;
+    this.text = null;
+    this.redactedAt = new Date();
+  }
+};
+
+// Method to record a successful delivery
+emailMessageSchema.methods.markSent = function(messageId) {
+  this.status = 'sent';
+  this.messageId = messageId || null;
+  this.sentAt = new Date();
+  this.lockedUntil = null;
+  this.lastError = null;
+  this.redactIfSensitive();
+  return this.save();
+};
+
+// Method to record a failed attempt: retried with exponential backoff, or
+// dead when the server rejected it for good (5xx) or attempts ran out
+emailMessageSchema.methods.markFailed = function(error) {
+  const permanent = error.responseCode >= 500 && error.responseCode < 600;
+
+  this.lastError = String(error.message || error).slice(0, 500);
+  this.lockedUntil = null;
+
+  if (permanent || this.attempts >= EMAIL_MAX_ATTEMPTS) {
+    this.status = 'dead';
+    this.redactIfSensitive();
+  } else {
+    const delaySeconds = Math.min(
+      EMAIL_RETRY_BASE_SECONDS * Math.pow(2, this.attempts - 1),
+      EMAIL_RETRY_MAX_SECONDS
+    );
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  return this.save();
+};
+
+// Delivery status as shown to the uploader
+emailMessageSchema.methods.toStatusJSON = function() {
+  return {
+    id: this.id,
+    kind: this.kind,
+    to: this.to,
+    subject: this.subject,
+    status: this.status,
+    attempts: this.attempts,
+    nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : null,
+    lastError: this.lastError,
+    sentAt: this.sentAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// The cleanup service deletes files as they expire; if it isn't running,
+// MongoDB drops their records this long after expiry instead
+const FILE_TTL_GRACE_HOURS = parseFloat(process.env.FILE_TTL_GRACE_HOURS) || 24;
+const FILE_TTL_SECONDS = Math.round(FILE_TTL_GRACE_HOURS * 60 * 60);
+
+// How much a resume may overlap what was already sent for a download: bytes
+// that were still in flight when the connection dropped
+const RESUME_SLACK_BYTES = 1024 * 1024;
 
 const fileSchema = new mongoose.Schema({
   id: {
@@ -6,6 +16,10 @@ const fileSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Files uploaded together share a link; single uploads use their own id
+  shareId: {
+    type: String
+  },
   filename: {
     type: String,
     required: true
@@ -64,6 +78,53 @@ const fileSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When the uploader was told about the share's first download; only set
+  // on the share's first file (see claimFirstDownload)
+  firstDownloadNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by reconciliation when the stored bytes have gone missing
+  isBroken: {
+    type: Boolean,
+    default: false
+  },
+  brokenAt: {
+    type: Date,
+    default: null
+  },
+  // When to remind the uploader that the share expires; cleared once sent
+  reminderAt: {
+    type: Date,
+    default: null
+  },
+  // bcrypt hash of the optional share password
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  // Set for files encrypted in the browser (end-to-end). The server only
+  // holds ciphertext; the real name, type and size are in e2eMetadata,
+  // encrypted with a key that never leaves the share link's URL fragment
+  e2e: {
+    type: Boolean,
+    default: false
+  },
+  e2eMetadata: {
+    type: String,
+    default: null
+  },
+  // Envelope for files encrypted at rest: the file's data key wrapped by the
+  // master key keyId, plus what is needed to decrypt its segments
+  encryption: {
+    type: new mongoose.Schema({
+      keyId: String,
+      wrappedKey: String,
+      nonce: String,
+      segmentSize: Number
+    }, { _id: false }),
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -72,6 +133,19 @@ const fileSchema = new mongoose.Schema({
   accessLog: [{
     ip: String,
     userAgent: String,
+    // Set when the file was delivered as part of a "download all" ZIP
+    archive: {
+      type: Boolean,
+      default: false
+    },
+    // Identifies the download, so it can be resumed (see reserveResume) or,
+    // for a ZIP, given back (see releaseDownload)
+    downloadId: String,
+    // Bytes sent for this download, including its resumes
+    servedBytes: {
+      type: Number,
+      default: 0
+    },
     downloadTime: {
       type: Date,
       default: Date.now
@@ -83,7 +157,12 @@ const fileSchema = new mongoose.Schema({
 
 // Index for faster queries
 fileSchema.index({ id: 1 });
-fileSchema.index({ expiryTime: 1 });
+fileSchema.index({ shareId: 1 });
+fileSchema.index({ reminderAt: 1 });
+// Also the TTL backstop for expired files. Their stored bytes are left to
+// reconciliation. Databases created before this have a plain index on the
+// same key, which ensureExpiryTtlIndex() replaces at startup.
+fileSchema.index({ expiryTime: 1 }, { expireAfterSeconds: FILE_TTL_SECONDS });
 fileSchema.index({ isExpired: 1 });
 
 // Virtual for file extension
@@ -93,11 +172,7 @@ fileSchema.virtual('fileExtension').get(function() {
 
 // Virtual for file size in human readable format
 fileSchema.virtual('fileSizeFormatted').get(function() {
-  const bytes = this.fileSize;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  if (bytes === 0) return '0 Bytes';
-  const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
-  return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+  return this.constructor.formatSize(this.fileSize);
 });
 
 // Method to check if file is expired
@@ -110,16 +185,138 @@ fileSchema.methods.isDownloadLimitReached = function() {
   return this.downloadCount >= this.maxDownloads;
 };
 
-// Static method to find expired files
-fileSchema.statics.findExpiredFiles = function() {
-  return this.find({
-    $or: [
-      { isExpired: true },
-      { expiryTime: { $lt: new Date() } }
-    ]
-  });
+// Method to check a share password
+fileSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.passwordHash) return true;
+  return await bcrypt.compare(candidatePassword, this.passwordHash);
+};
+
+// Static method to count a download, atomically checking the download limit
+// and expiry so parallel requests cannot go over the limit. Resolves to the
+// updated file, or null when no download is left.
+fileSchema.statics.claimDownload = function(id, accessEntry) {
+  return this.findOneAndUpdate(
+    {
+      id,
+      expiryTime: { $gt: new Date() },
+      $expr: { $lt: ['$downloadCount', '$maxDownloads'] }
+    },
+    {
+      $inc: { downloadCount: 1 },
+      $push: { accessLog: accessEntry }
+    },
+    { new: true }
+  );
 };
 
+// Static method to give back a download claimed for a ZIP that could not be
+// sent
+fileSchema.statics.releaseDownload = function(id, downloadId) {
+  return this.updateOne(
+    { id, 'accessLog.downloadId': downloadId },
+    {
+      $inc: { downloadCount: -1 },
+      $pull: { accessLog: { downloadId } }
+    }
+  );
+};
+
+// Static method to let a resume of a counted download serve some bytes.
+// Between them, a download and its resumes may send the file only once
+// (plus what was lost in flight when a connection dropped), so a resume
+// ETag can't be replayed for free copies. Resolves to the updated file, or
+// null when the download has no bytes left to resume.
+fileSchema.statics.reserveResume = function(file, downloadId, bytes) {
+  return this.findOneAndUpdate(
+    {
+      id: file.id,
+      accessLog: {
+        $elemMatch: {
+          downloadId,
+          servedBytes: { $lte: file.fileSize + RESUME_SLACK_BYTES - bytes }
+        }
+      }
+    },
+    { $inc: { 'accessLog.$.servedBytes': bytes } },
+    { new: true }
+  );
+};
+
+// Static method to give back the bytes a download or resume reserved but
+// did not send, so they can be resumed
+fileSchema.statics.releaseUnsentBytes = function(id, downloadId, bytes) {
+  return this.updateOne(
+    { id, 'accessLog.downloadId': downloadId },
+    { $inc: { 'accessLog.$.servedBytes': -bytes } }
+  );
+};
+
+// Static method to make sure the expiryTime index is the TTL index above.
+// MongoDB won't build it over an existing index on the same key (a plain
+// one, or one with another grace period), so that one is dropped first.
+// Resolves to whether the index was replaced.
+fileSchema.statics.ensureExpiryTtlIndex = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // A new database; the index is built along with the collection
+    if (error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+
+  const existing = indexes.find(index => index.key.expiryTime === 1 && Object.keys(index.key).length === 1);
+  if (existing && existing.expireAfterSeconds === FILE_TTL_SECONDS) {
+    return false;
+  }
+
+  if (existing) {
+    await this.collection.dropIndex(existing.name);
+  }
+  await this.collection.createIndex({ expiryTime: 1 }, { expireAfterSeconds: FILE_TTL_SECONDS });
+
+  console.log(`Rebuilt the expiryTime index as a TTL index (${FILE_TTL_GRACE_HOURS} hour grace period)`);
+  return true;
+};
+
+// Static method to claim a share's first download notification. The flag
+// lives on the share's first file, so claiming it is a single atomic
+// update; resolves to whether this call claimed it.
+fileSchema.statics.claimFirstDownload = async function(file) {
+  const lead = await this.findOne(file.shareId ? { shareId: file.shareId } : { id: file.id }, '_id')
+    .sort({ createdAt: 1 });
+  if (!lead) {
+    return false;
+  }
+
+  const claimed = await this.findOneAndUpdate(
+    { _id: lead._id, firstDownloadNotifiedAt: null },
+    { $set: { firstDownloadNotifiedAt: new Date() } }
+  );
+  return Boolean(claimed);
+};
+
+// Static method to format a byte count for display
+fileSchema.statics.formatSize = function(bytes) {
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  if (bytes === 0) return '0 Bytes';
+  const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
+  return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Static method to find all files behind a share link
+fileSchema.statics.findShare = function(shareId) {
+  return this.find({ shareId }).sort({ createdAt: 1 });
+};
+
+// Records created before share links existed form a share of their own
+fileSchema.pre('validate', function(next) {
+  if (!this.shareId) {
+    this.shareId = this.id;
+  }
+  next();
+});
+
 // Pre-save middleware to set expiry time if not provided
 fileSchema.pre('save', function(next) {
   if (!this.expiryTime) {
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A single-sign-on login in progress: what the callback needs to check the
+// provider's response. Each one can be used once and only for a few minutes.
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove logins that were never completed
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to use up a pending login
+oidcStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
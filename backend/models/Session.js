@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Idle lifetime of a refresh token; every refresh extends it
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// How long a just-rotated refresh token is treated as a race between tabs
+// rather than as a stolen token being replayed
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<session id>.<secret>"; only a hash of the secret is stored
+const splitRefreshToken = (refreshToken) => {
+  const [id, secret] = String(refreshToken).split('.');
+  return id && secret ? { id, secret } : null;
+};
+
+const sessionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The secret this one replaced, so reuse of an old token can be told apart
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isSessionActive = function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+// Static method to start a session; resolves to the session and its refresh token
+sessionSchema.statics.issue = async function(userId, req) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await this.create({
+    id: uuidv4(),
+    user: userId,
+    tokenHash: hashToken(secret),
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    expiresAt: newExpiry()
+  });
+
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+// Static method to swap a refresh token for a new one. The swap is atomic,
+// so a token can only be used once. Resolves to { session, refreshToken } on
+// success, or { reused: true } when a token that was already rotated away is
+// presented outside the grace period, in which case the session is revoked.
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return {};
+
+  const now = new Date();
+  const presentedHash = hashToken(parts.secret);
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const session = await this.findOneAndUpdate(
+    {
+      id: parts.id,
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        tokenHash: hashToken(secret),
+        previousTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        expiresAt: newExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session.id}.${secret}` };
+  }
+
+  const replayed = await this.findOne({ id: parts.id, previousTokenHash: presentedHash, revokedAt: null });
+  if (replayed && now - replayed.rotatedAt > ROTATION_GRACE_MS) {
+    replayed.revokedAt = now;
+    await replayed.save();
+    return { reused: true };
+  }
+
+  return {};
+};
+
+// Static method to find the session a refresh token belongs to
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return null;
+
+  return this.findOne({ id: parts.id, tokenHash: hashToken(parts.secret) });
+};
+
+// Static method to check that an access token's session hasn't been revoked
+sessionSchema.statics.isActive = async function(id) {
+  return !!(await this.exists({ id, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.findActiveSessions = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke one of a user's sessions
+sessionSchema.statics.revoke = function(userId, id) {
+  return this.findOneAndUpdate(
+    { id, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to revoke every session a user has
+sessionSchema.statics.revokeAll = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
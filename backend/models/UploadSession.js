@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  uploadLength: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  uploadOffset: {
+    type: Number,
+    default: 0
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  // Encrypted in the browser; see the e2e fields on File
+  e2e: {
+    type: Boolean,
+    default: false
+  },
+  e2eMetadata: {
+    type: String,
+    default: null
+  },
+  // Envelope of the staging key the partial file is encrypted with (see
+  // utils/encryption); null when encryption at rest is off
+  stagingEncryption: {
+    type: new mongoose.Schema({
+      keyId: String,
+      wrappedKey: String,
+      iv: String
+    }, { _id: false }),
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set while a chunk is being written so parallel PATCH requests can't interleave
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Method to check if all bytes have been received
+uploadSessionSchema.methods.isComplete = function() {
+  return this.uploadOffset === this.uploadLength;
+};
+
+// Method to check if the session has been abandoned
+uploadSessionSchema.methods.isSessionExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+// Static method to find abandoned sessions
+uploadSessionSchema.statics.findStaleSessions = function() {
+  return this.find({ expiresAt: { $lt: new Date() } });
+};
+
+// Static method to lock a session for writing at the given offset
+uploadSessionSchema.statics.acquireLock = function(id, offset, lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      id,
+      uploadOffset: offset,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + lockMs) } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const validator = require('validator');
+const totp = require('../utils/totp');
+const emailTemplates = require('../utils/emailTemplates');
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Auditors can see everything but change nothing; admins can do anything
+const ROLES = ['user', 'auditor', 'admin'];
+
+// Settings that stop unverified accounts from doing something
+const verificationSettings = {
+  upload: 'REQUIRE_VERIFIED_EMAIL_TO_UPLOAD',
+  email: 'REQUIRE_VERIFIED_EMAIL_TO_SEND'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -17,8 +38,10 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true,
     validate: {
+      // The same check as the routes' isEmail(), so addresses such as
+      // plus-addressed ones that pass there (or come from SSO) are accepted
       validator: function(email) {
-        return /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(email);
+        return validator.isEmail(email);
       },
       message: 'Please enter a valid email address'
     }
@@ -45,12 +68,49 @@ const userSchema = new mongoose.Schema({
   emailVerificationToken: {
     type: String
   },
+  emailVerificationExpires: {
+    type: Date
+  },
   resetPasswordToken: {
     type: String
   },
   resetPasswordExpires: {
     type: Date
   },
+  // TOTP second factor; secret only exists while enabled, pendingSecret
+  // while an authenticator app is being enrolled
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String
+    },
+    pendingSecret: {
+      type: String
+    },
+    // Hashes of unused recovery codes
+    recoveryCodes: [{
+      type: String
+    }],
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null
+    }
+  },
+  // Subject ("sub") of the linked single-sign-on identity
+  oidcSubject: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Bumped to invalidate every JWT issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   uploadStats: {
     totalFiles: {
       type: Number,
@@ -72,9 +132,28 @@ const userSchema = new mongoose.Schema({
       min: 1,
       max: 168 // 7 days
     },
+    // Master switch for the notifications below
     emailNotifications: {
       type: Boolean,
       default: true
+    },
+    // Email on every download of a share, not just the first
+    notifyEveryDownload: {
+      type: Boolean,
+      default: false
+    },
+    // Remind this many hours before a share expires; 0 turns reminders off
+    expiryReminderHours: {
+      type: Number,
+      default: 12,
+      min: 0,
+      max: 72
+    },
+    // Language of the emails the user gets
+    locale: {
+      type: String,
+      enum: emailTemplates.supportedLocales,
+      default: emailTemplates.defaultLocale
     }
   },
   lastLogin: {
@@ -83,6 +162,11 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
   }
 }, {
   timestamps: true
@@ -127,8 +211,8 @@ userSchema.methods.updateLastLogin = function() {
 };
 
 // Method to update upload stats
-userSchema.methods.updateUploadStats = function(fileSize) {
-  this.uploadStats.totalFiles += 1;
+userSchema.methods.updateUploadStats = function(fileSize, fileCount = 1) {
+  this.uploadStats.totalFiles += fileCount;
   this.uploadStats.totalSize += fileSize;
   return this.save();
 };
@@ -139,12 +223,199 @@ userSchema.methods.updateDownloadStats = function() {
   return this.save();
 };
 
+// Method to check whether the user wants to hear about a download
+userSchema.methods.wantsDownloadNotification = function(isFirstDownload) {
+  if (!this.isActive || !this.preferences.emailNotifications) return false;
+  return isFirstDownload || this.preferences.notifyEveryDownload;
+};
+
+// Method to check whether the user wants expiry reminders
+userSchema.methods.wantsExpiryReminder = function() {
+  return this.isActive && this.preferences.emailNotifications && this.preferences.expiryReminderHours > 0;
+};
+
+// Method to get when to remind the user that a share expires, or null
+// when no reminder is wanted (or the share is too short-lived for one)
+userSchema.methods.expiryReminderTime = function(expiryTime) {
+  if (!this.wantsExpiryReminder()) return null;
+
+  const hours = this.preferences.expiryReminderHours;
+  const reminderAt = new Date(new Date(expiryTime).getTime() - hours * 60 * 60 * 1000);
+  return reminderAt > new Date() ? reminderAt : null;
+};
+
+// Method to check the user's role
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+// Method to check if the user may see a file regardless of its password
+userSchema.methods.canView = function(file) {
+  return this.hasRole('admin', 'auditor') || Boolean(file.createdBy && file.createdBy.equals(this._id));
+};
+
+// Method to check if the user may change or delete a file
+userSchema.methods.canManage = function(file) {
+  return this.hasRole('admin') || Boolean(file.createdBy && file.createdBy.equals(this._id));
+};
+
 // Method to get user's files
 userSchema.methods.getFiles = function() {
   return mongoose.model('File').find({ createdBy: this._id })
     .sort({ uploadTime: -1 });
 };
 
+// Method to start email verification; only a hash of the token is stored,
+// the returned token goes into the emailed link
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to mark the email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  return this.save();
+};
+
+// Method to check whether the user must verify their email before an action
+userSchema.methods.isVerificationRequiredFor = function(action) {
+  return !this.isEmailVerified && process.env[verificationSettings[action]] === 'true';
+};
+
+// Static method to find the user an unexpired verification token belongs to
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Method to start a password reset; as with email verification only a hash
+// of the token is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Method to check a second-factor code: a TOTP code from the authenticator
+// app, or failing that one of the recovery codes. Both are used up
+// atomically so the same code can't be accepted twice.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  const User = this.constructor;
+  const step = totp.verify(this.twoFactor.secret, code);
+
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const result = await User.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': totp.hashRecoveryCode(code) },
+    { $pull: { 'twoFactor.recoveryCodes': totp.hashRecoveryCode(code) } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Method to turn on two-factor authentication with the enrolled secret;
+// returns the recovery codes, which are only ever shown once
+userSchema.methods.enableTwoFactor = function() {
+  const recoveryCodes = totp.generateRecoveryCodes();
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = recoveryCodes.map(code => totp.hashRecoveryCode(code));
+  this.twoFactor.lastUsedStep = null;
+
+  return recoveryCodes;
+};
+
+// Method to turn off two-factor authentication
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false, recoveryCodes: [], lastUsedStep: null };
+};
+
+// Static method to use up an unexpired password reset token. The token is
+// cleared atomically so it can only ever be used once.
+userSchema.statics.claimPasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() }
+    },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to find the user for a single-sign-on identity: by its
+// subject, else by email (linking the identity), else a new account. The
+// account gets a random password, which the user can reset to sign in
+// without SSO.
+userSchema.statics.findOrCreateFromOidc = async function(claims) {
+  const linked = await this.findOne({ oidcSubject: claims.sub });
+  if (linked) return linked;
+
+  if (!claims.email) {
+    throw new Error('The identity provider did not share an email address');
+  }
+  // Linking to an unverified address would let anyone claim an account, so
+  // providers that don't say it is verified are treated as unverified
+  if (claims.email_verified !== true) {
+    throw new Error('The identity provider has not verified this email address');
+  }
+
+  const email = claims.email.trim().toLowerCase();
+  if (!validator.isEmail(email)) {
+    throw new Error('The identity provider shared an invalid email address');
+  }
+
+  const existing = await this.findOne({ email });
+  if (existing) {
+    // An account stays linked to the identity it was first linked to
+    if (existing.oidcSubject) {
+      throw new Error('This account is already linked to another single-sign-on identity');
+    }
+    existing.oidcSubject = claims.sub;
+    existing.isEmailVerified = true;
+    return existing.save();
+  }
+
+  let username = (claims.preferred_username || email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .slice(0, 24)
+    .padEnd(3, '_');
+  if (await this.exists({ username })) {
+    username = `${username}_${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  return this.create({
+    username,
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    firstName: claims.given_name ? claims.given_name.slice(0, 50) : undefined,
+    lastName: claims.family_name ? claims.family_name.slice(0, 50) : undefined,
+    isEmailVerified: true,
+    oidcSubject: claims.sub
+  });
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -160,9 +431,13 @@ userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.twoFactor;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpires;
   return userObject;
 };
 
+userSchema.statics.ROLES = ROLES;
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,380 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const File = require('../models/File');
+const Session = require('../models/Session');
+const EmailMessage = require('../models/EmailMessage');
+const cleanupService = require('../utils/cleanup');
+const fileService = require('../utils/fileService');
+const { authenticateToken, requireSession, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Auditors can look around; only admins can change anything
+router.use(authenticateToken, requireSession, requireRole('admin', 'auditor'));
+
+// Search terms are matched literally, not as regular expressions
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationInfo = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNext: page < Math.ceil(total / limit),
+  hasPrev: page > 1
+});
+
+// Get storage and cleanup statistics
+router.get('/stats', async (req, res) => {
+  try {
+    const [cleanup, disk, totalUsers, activeUsers, emails] = await Promise.all([
+      cleanupService.getCleanupStats(),
+      cleanupService.getDiskUsage(),
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      EmailMessage.countByStatus()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        cleanup,
+        disk,
+        users: {
+          total: totalUsers,
+          active: activeUsers
+        },
+        emails
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve statistics',
+      message: 'An error occurred while retrieving statistics'
+    });
+  }
+});
+
+// List and search users
+router.get('/users',
+  [
+    query('search')
+      .optional()
+      .isString()
+      .withMessage('search must be a single value')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { page, limit, skip } = getPagination(req.query);
+      const filter = {};
+
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+        filter.$or = [
+          { username: pattern },
+          { email: pattern },
+          { firstName: pattern },
+          { lastName: pattern }
+        ];
+      }
+      if (User.ROLES.includes(req.query.role)) {
+        filter.role = req.query.role;
+      }
+      if (req.query.status === 'active' || req.query.status === 'inactive') {
+        filter.isActive = req.query.status === 'active';
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select('-password')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        User.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          users: users.map(user => ({
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            isActive: user.isActive,
+            isEmailVerified: user.isEmailVerified,
+            uploadStats: user.uploadStats,
+            lastLogin: user.lastLogin,
+            createdAt: user.createdAt
+          })),
+          pagination: paginationInfo(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin list users error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve users',
+        message: 'An error occurred while retrieving users'
+      });
+    }
+  }
+);
+
+// Deactivate or reactivate a user
+router.patch('/users/:userId',
+  requireRole('admin'),
+  [
+    body('isActive')
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (String(req.user._id) === req.params.userId) {
+        return res.status(400).json({
+          error: 'Cannot change own account',
+          message: 'You cannot deactivate your own account'
+        });
+      }
+
+      const user = await User.findById(req.params.userId).catch(() => null);
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      const isActive = req.body.isActive === true || req.body.isActive === 'true';
+      await User.updateOne({ _id: user._id }, { $set: { isActive } });
+
+      // Inactive accounts are already refused on every request; also drop
+      // their sessions so reactivating doesn't bring old logins back
+      if (!isActive) {
+        await Session.revokeAll(user._id);
+      }
+
+      res.json({
+        success: true,
+        message: isActive ? 'User reactivated' : 'User deactivated',
+        data: {
+          id: user._id,
+          isActive
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin update user error:', error);
+      res.status(500).json({
+        error: 'Update failed',
+        message: 'An error occurred while updating the user'
+      });
+    }
+  }
+);
+
+// Browse every file
+router.get('/files',
+  [
+    query('search')
+      .optional()
+      .isString()
+      .withMessage('search must be a single value'),
+    query('owner')
+      .optional()
+      .isString()
+      .withMessage('owner must be a single value')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { page, limit, skip } = getPagination(req.query);
+      const filter = {};
+
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+        filter.$or = [
+          { originalName: pattern },
+          { senderEmail: pattern },
+          { receiverEmail: pattern }
+        ];
+      }
+      if (req.query.owner) {
+        const owner = await User.findByEmailOrUsername(req.query.owner.trim());
+        if (!owner) {
+          return res.json({
+            success: true,
+            data: { files: [], pagination: paginationInfo(page, limit, 0) }
+          });
+        }
+        filter.createdBy = owner._id;
+      }
+      if (req.query.status === 'broken') {
+        filter.isBroken = true;
+      } else if (req.query.status === 'expired') {
+        filter.$and = [{ $or: [{ isExpired: true }, { expiryTime: { $lt: new Date() } }] }];
+      } else if (req.query.status === 'active') {
+        filter.isExpired = false;
+        filter.expiryTime = { $gte: new Date() };
+      }
+
+      const [files, total] = await Promise.all([
+        File.find(filter)
+          .populate('createdBy', 'username email')
+          .sort({ uploadTime: -1 })
+          .skip(skip)
+          .limit(limit),
+        File.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          files: files.map(file => ({
+            id: file.id,
+            shareId: file.shareId,
+            filename: file.originalName,
+            size: file.fileSizeFormatted,
+            fileSize: file.fileSize,
+            uploadTime: file.uploadTime,
+            expiryTime: file.expiryTime,
+            downloadCount: file.downloadCount,
+            maxDownloads: file.maxDownloads,
+            isExpired: file.isExpired || file.isFileExpired(),
+            isBroken: file.isBroken,
+            e2e: file.e2e,
+            senderEmail: file.senderEmail,
+            receiverEmail: file.receiverEmail,
+            owner: file.createdBy ? {
+              id: file.createdBy._id,
+              username: file.createdBy.username,
+              email: file.createdBy.email
+            } : null,
+            downloadUrl: fileService.getShareUrl(file.shareId || file.id)
+          })),
+          pagination: paginationInfo(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin list files error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve files',
+        message: 'An error occurred while retrieving files'
+      });
+    }
+  }
+);
+
+// Force-delete a file
+router.delete('/files/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const file = await File.findOne({ id: req.params.id });
+    if (!file) {
+      return res.status(404).json({
+        error: 'File not found',
+        message: 'The requested file does not exist'
+      });
+    }
+
+    const result = await cleanupService.cleanupFile(file.id);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Admin delete file error:', error);
+    res.status(500).json({
+      error: 'Delete failed',
+      message: 'An error occurred while deleting the file'
+    });
+  }
+});
+
+// Get the report of the last storage reconciliation (manual or scheduled)
+router.get('/reconcile', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      running: cleanupService.reconciling,
+      report: cleanupService.lastReconciliation
+    }
+  });
+});
+
+// Reconcile storage with the database now. Auditors may only do a dry run.
+router.post('/reconcile',
+  [
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!dryRun && !req.user.hasRole('admin')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only admins can change storage; run a dry run instead'
+      });
+    }
+
+    if (cleanupService.reconciling) {
+      return res.status(409).json({
+        error: 'Reconciliation in progress',
+        message: 'A reconciliation is already running, please try again later'
+      });
+    }
+
+    try {
+      const report = await cleanupService.reconcile({ dryRun });
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Admin reconcile error:', error);
+      res.status(500).json({
+        error: 'Reconciliation failed',
+        message: 'An error occurred while reconciling storage'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER) || 25;
+
+// Keys are managed by signed-in users only, never with another key
+router.use(authenticateToken, requireSession);
+
+// List active API keys
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findActiveKeys(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        scopes: ApiKey.SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to get API keys',
+      message: 'An error occurred while retrieving API keys'
+    });
+  }
+});
+
+// Create an API key; the key itself is only returned this once
+router.post('/',
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Choose at least one scope'),
+    body('scopes.*')
+      .isIn(ApiKey.SCOPES)
+      .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          errors: errors.array()
+        });
+      }
+
+      const keyCount = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+      if (keyCount >= MAX_KEYS_PER_USER) {
+        return res.status(400).json({
+          error: 'Too many API keys',
+          message: `You can have at most ${MAX_KEYS_PER_USER} API keys, revoke one first`
+        });
+      }
+
+      const { apiKey, key } = await ApiKey.generate(req.user._id, req.body.name, [...new Set(req.body.scopes)]);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully',
+        data: {
+          apiKey,
+          key
+        }
+      });
+
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        error: 'Failed to create API key',
+        message: 'An error occurred while creating the API key'
+      });
+    }
+  }
+);
+
+// Revoke an API key
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.revoke(req.user._id, req.params.keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'The API key does not exist or has already been revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: 'An error occurred while revoking the API key'
+    });
+  }
+});
+
+module.exports = router;
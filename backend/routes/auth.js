@@ -1,9 +1,14 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 
 const User = require('../models/User');
-const { generateToken, authenticateToken, requireAuth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const emailService = require('../utils/emailService');
+const { generateToken, generateTwoFactorChallenge, verifyTwoFactorChallenge, authenticateToken, requireSession } = require('../middleware/auth');
+const totp = require('../utils/totp');
+const emailTemplates = require('../utils/emailTemplates');
 
 const router = express.Router();
 
@@ -27,6 +32,101 @@ const validateRegistration = [
   body('lastName').optional().isLength({ max: 50 }).withMessage('Last name must be less than 50 characters')
 ];
 
+// Rate limiting for verification email resends
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 emails per windowMs
+  keyGenerator: (req) => req.user.id,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many verification emails requested, please try again later.'
+  }
+});
+
+// Rate limiting for password reset requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests per IP per windowMs
+  message: {
+    error: 'Too many requests',
+    message: 'Too many password reset requests, please try again later.'
+  }
+});
+
+// Rate limiting for token refreshes
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 refreshes per IP per windowMs
+  message: {
+    error: 'Too many requests',
+    message: 'Too many token refreshes, please try again later.'
+  }
+});
+
+// Start a session; returns an access token and the refresh token that renews it
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.issue(user._id, req);
+  return {
+    token: generateToken(user._id, user.tokenVersion, session.id),
+    refreshToken
+  };
+};
+
+// Finish a login: record it, start a session and send the tokens
+const completeLogin = async (user, req, res) => {
+  // Update last login
+  await user.updateLastLogin();
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        role: user.role,
+        twoFactorEnabled: user.twoFactor.enabled,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        uploadStats: user.uploadStats,
+        lastLogin: user.lastLogin
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Rate limiting for two-factor codes
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 wrong codes per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many attempts',
+    message: 'Too many incorrect codes, please try again later.'
+  }
+});
+
+// Send a fresh verification link; a failed send never fails the request
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  try {
+    await emailService.sendVerificationEmail(user, token);
+    return true;
+  } catch (emailError) {
+    console.error('Failed to send verification email:', emailError);
+    return false;
+  }
+};
+
 const validateLogin = [
   body('identifier')
     .notEmpty()
@@ -66,10 +166,10 @@ router.post('/register', validateRegistration, async (req, res) => {
       lastName
     });
 
-    await user.save();
+    await sendVerificationEmail(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
@@ -79,11 +179,14 @@ router.post('/register', validateRegistration, async (req, res) => {
           id: user._id,
           username: user.username,
           email: user.email,
+          isEmailVerified: user.isEmailVerified,
+          role: user.role,
           firstName: user.firstName,
           lastName: user.lastName,
           uploadStats: user.uploadStats
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -143,28 +246,19 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
-    // Update last login
-    await user.updateLastLogin();
-
-    // Generate token
-    const token = generateToken(user._id);
+    // Accounts with two-factor authentication finish at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user)
+        }
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          uploadStats: user.uploadStats,
-          lastLogin: user.lastLogin
-        },
-        token
-      }
-    });
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -175,8 +269,61 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
+// Second login step: check the authenticator or recovery code
+router.post('/login/2fa',
+  twoFactorLimiter,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').isString().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          errors: errors.array() 
+        });
+      }
+
+      let challenge;
+      try {
+        challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+      } catch (error) {
+        return res.status(401).json({ 
+          error: 'Invalid challenge',
+          message: 'Your login has expired, please sign in again' 
+        });
+      }
+
+      const user = await User.findById(challenge.pendingUserId);
+      if (!user || !user.isActive || !user.twoFactor.enabled || challenge.tokenVersion !== user.tokenVersion) {
+        return res.status(401).json({ 
+          error: 'Invalid challenge',
+          message: 'Your login has expired, please sign in again' 
+        });
+      }
+
+      if (!await user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(401).json({ 
+          error: 'Invalid code',
+          message: 'The code is incorrect or has already been used' 
+        });
+      }
+
+      await completeLogin(user, req, res);
+
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({ 
+        error: 'Login failed',
+        message: 'An error occurred during login' 
+      });
+    }
+  }
+);
+
 // Get current user profile
-router.get('/profile', authenticateToken, requireAuth, async (req, res) => {
+router.get('/profile', authenticateToken, requireSession, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     
@@ -187,6 +334,9 @@ router.get('/profile', authenticateToken, requireAuth, async (req, res) => {
           id: user._id,
           username: user.username,
           email: user.email,
+          isEmailVerified: user.isEmailVerified,
+          role: user.role,
+          twoFactorEnabled: user.twoFactor.enabled,
           firstName: user.firstName,
           lastName: user.lastName,
           fullName: user.fullName,
@@ -210,12 +360,15 @@ router.get('/profile', authenticateToken, requireAuth, async (req, res) => {
 // Update user profile
 router.put('/profile', 
   authenticateToken, 
-  requireAuth,
+  requireSession,
   [
     body('firstName').optional().isLength({ max: 50 }).withMessage('First name must be less than 50 characters'),
     body('lastName').optional().isLength({ max: 50 }).withMessage('Last name must be less than 50 characters'),
     body('preferences.defaultExpiryHours').optional().isInt({ min: 1, max: 168 }).withMessage('Expiry hours must be between 1 and 168'),
-    body('preferences.emailNotifications').optional().isBoolean().withMessage('Email notifications must be a boolean')
+    body('preferences.emailNotifications').optional().isBoolean().withMessage('Email notifications must be a boolean'),
+    body('preferences.notifyEveryDownload').optional().isBoolean().withMessage('Every-download notifications must be a boolean'),
+    body('preferences.expiryReminderHours').optional().isInt({ min: 0, max: 72 }).withMessage('Expiry reminder must be between 0 and 72 hours'),
+    body('preferences.locale').optional().isIn(emailTemplates.supportedLocales).withMessage('Unsupported email language')
   ],
   async (req, res) => {
     try {
@@ -239,6 +392,15 @@ router.put('/profile',
         if (preferences.emailNotifications !== undefined) {
           user.preferences.emailNotifications = preferences.emailNotifications;
         }
+        if (preferences.notifyEveryDownload !== undefined) {
+          user.preferences.notifyEveryDownload = preferences.notifyEveryDownload;
+        }
+        if (preferences.expiryReminderHours !== undefined) {
+          user.preferences.expiryReminderHours = preferences.expiryReminderHours;
+        }
+        if (preferences.locale !== undefined) {
+          user.preferences.locale = preferences.locale;
+        }
       }
 
       await user.save();
@@ -251,9 +413,12 @@ router.put('/profile',
             id: user._id,
             username: user.username,
             email: user.email,
+            isEmailVerified: user.isEmailVerified,
+            role: user.role,
             firstName: user.firstName,
             lastName: user.lastName,
             fullName: user.fullName,
+            twoFactorEnabled: user.twoFactor.enabled,
             preferences: user.preferences
           }
         }
@@ -272,7 +437,7 @@ router.put('/profile',
 // Change password
 router.put('/change-password',
   authenticateToken,
-  requireAuth,
+  requireSession,
   [
     body('currentPassword').notEmpty().withMessage('Current password is required'),
     body('newPassword')
@@ -321,6 +486,451 @@ router.put('/change-password',
   }
 );
 
+// Verify email address from the emailed link
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Invalid token',
+        message: 'This verification link is invalid or has expired' 
+      });
+    }
+
+    await user.markEmailVerified();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      error: 'Verification failed',
+      message: 'An error occurred while verifying your email' 
+    });
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', authenticateToken, requireSession, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ 
+        error: 'Already verified',
+        message: 'Your email address is already verified' 
+      });
+    }
+
+    if (!await sendVerificationEmail(user)) {
+      return res.status(502).json({ 
+        error: 'Email failed',
+        message: 'The verification email could not be sent, please try again later' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      error: 'Failed to resend verification',
+      message: 'An error occurred while sending the verification email' 
+    });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password',
+  passwordResetLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          errors: errors.array() 
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      // Only active accounts get a link, but the response never reveals
+      // whether the address is registered
+      if (user && user.isActive) {
+        const token = user.createPasswordResetToken();
+        await user.save();
+
+        try {
+          await emailService.sendPasswordResetEmail(user, token);
+        } catch (emailError) {
+          console.error('Failed to send password reset email:', emailError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+      });
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ 
+        error: 'Failed to request password reset',
+        message: 'An error occurred while requesting a password reset' 
+      });
+    }
+  }
+);
+
+// Reset password with the emailed token
+router.post('/reset-password',
+  passwordResetLimiter,
+  [
+    body('token').isHexadecimal().withMessage('Reset token is invalid'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          errors: errors.array() 
+        });
+      }
+
+      const user = await User.claimPasswordResetToken(req.body.token);
+      if (!user) {
+        return res.status(400).json({ 
+          error: 'Invalid token',
+          message: 'This password reset link is invalid or has expired' 
+        });
+      }
+
+      // Changing the token version signs out every existing session
+      user.password = req.body.password;
+      user.tokenVersion += 1;
+      await user.save();
+      await Session.revokeAll(user._id);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully, please log in with your new password'
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ 
+        error: 'Failed to reset password',
+        message: 'An error occurred while resetting your password' 
+      });
+    }
+  }
+);
+
+// Swap a refresh token for a new access token and refresh token
+router.post('/refresh',
+  refreshLimiter,
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          errors: errors.array() 
+        });
+      }
+
+      const { session, refreshToken, reused } = await Session.rotate(req.body.refreshToken, req);
+
+      if (reused) {
+        console.warn('Refresh token reused; session revoked');
+      }
+
+      const user = session && await User.findById(session.user);
+      if (!user || !user.isActive) {
+        return res.status(401).json({ 
+          error: 'Invalid refresh token',
+          message: 'Your session has ended, please log in again' 
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          token: generateToken(user._id, user.tokenVersion, session.id),
+          refreshToken
+        }
+      });
+
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({ 
+        error: 'Refresh failed',
+        message: 'An error occurred while refreshing your session' 
+      });
+    }
+  }
+);
+
+// Log out: revoke the session behind the refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    const session = req.body.refreshToken && await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (session) {
+      await Session.revoke(session.user, session.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      error: 'Logout failed',
+      message: 'An error occurred while logging out' 
+    });
+  }
+});
+
+// Log out everywhere: revoke every session and every access token
+router.post('/logout-all', authenticateToken, requireSession, async (req, res) => {
+  try {
+    await Session.revokeAll(req.user._id);
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      error: 'Logout failed',
+      message: 'An error occurred while logging out of all sessions' 
+    });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get sessions',
+      message: 'An error occurred while retrieving sessions' 
+    });
+  }
+});
+
+// Revoke one session
+router.delete('/sessions/:sessionId', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const session = await Session.revoke(req.user._id, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ 
+        error: 'Session not found',
+        message: 'The session does not exist or has already ended' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke session',
+      message: 'An error occurred while revoking the session' 
+    });
+  }
+});
+
+// Start enrolling an authenticator app
+router.post('/2fa/setup', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ 
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled' 
+      });
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.keyUri(user.email, secret);
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await totp.generateQrCode(otpauthUrl)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start two-factor setup',
+      message: 'An error occurred while setting up two-factor authentication' 
+    });
+  }
+});
+
+// Confirm enrollment with a code from the app
+router.post('/2fa/enable',
+  authenticateToken,
+  requireSession,
+  twoFactorLimiter,
+  [
+    body('code').isString().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          errors: errors.array() 
+        });
+      }
+
+      const user = await User.findById(req.user.id);
+
+      if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+        return res.status(400).json({ 
+          error: 'No pending setup',
+          message: 'Start two-factor setup before confirming it' 
+        });
+      }
+
+      const step = totp.verify(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ 
+          error: 'Invalid code',
+          message: 'The code is incorrect, check the time on your device and try again' 
+        });
+      }
+
+      const recoveryCodes = user.enableTwoFactor();
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: {
+          recoveryCodes
+        }
+      });
+
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      res.status(500).json({ 
+        error: 'Failed to enable two-factor authentication',
+        message: 'An error occurred while enabling two-factor authentication' 
+      });
+    }
+  }
+);
+
+// Turn off two-factor authentication; needs the password and a code
+router.post('/2fa/disable',
+  authenticateToken,
+  requireSession,
+  twoFactorLimiter,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          errors: errors.array() 
+        });
+      }
+
+      const user = await User.findById(req.user.id);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ 
+          error: 'Not enabled',
+          message: 'Two-factor authentication is not enabled' 
+        });
+      }
+
+      if (!await user.comparePassword(req.body.password) || !await user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(400).json({ 
+          error: 'Invalid credentials',
+          message: 'The password or code is incorrect' 
+        });
+      }
+
+      user.disableTwoFactor();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      res.status(500).json({ 
+        error: 'Failed to disable two-factor authentication',
+        message: 'An error occurred while disabling two-factor authentication' 
+      });
+    }
+  }
+);
+
 // Verify token endpoint
 router.get('/verify', authenticateToken, (req, res) => {
   if (req.user) {
@@ -331,7 +941,11 @@ router.get('/verify', authenticateToken, (req, res) => {
         user: {
           id: req.user._id,
           username: req.user.username,
-          email: req.user.email
+          email: req.user.email,
+          isEmailVerified: req.user.isEmailVerified,
+          role: req.user.role,
+          twoFactorEnabled: req.user.twoFactor.enabled,
+          preferences: req.user.preferences
         }
       }
     });
@@ -1,116 +1,110 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
 const path = require('path');
+const rateLimit = require('express-rate-limit');
 const moment = require('moment');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
 const { body, validationResult } = require('express-validator');
 
 const File = require('../models/File');
 const User = require('../models/User');
-const { upload, handleUploadError, cleanupOnError } = require('../middleware/upload');
+const EmailMessage = require('../models/EmailMessage');
+const { uploadFiles, getUploadedFiles, handleUploadError, cleanupOnError, validateUploadOptions } = require('../middleware/upload');
 const emailService = require('../utils/emailService');
-const { authenticateToken } = require('../middleware/auth');
+const emailTemplates = require('../utils/emailTemplates');
+const fileService = require('../utils/fileService');
+const storage = require('../utils/storage');
+const fileEvents = require('../utils/fileEvents');
+const { authenticateToken, requireAuth, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { generateShareToken, verifyExtendToken, createDirectDownloadUrl, createDirectArchiveUrl, hasValidArchiveSignature, createResumeTag, readResumeTag, hasShareAccess, isShareUploader, sendPasswordRequired, unlockLimiter } = require('../middleware/shareAccess');
 
 const router = express.Router();
 
-// Validation middleware
-const validateEmail = [
-  body('senderEmail').optional().isEmail().normalizeEmail(),
-  body('receiverEmail').optional().isEmail().normalizeEmail(),
-  body('expiryHours').optional().isInt({ min: 1, max: 168 }).withMessage('Expiry must be between 1 and 168 hours'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-    next();
+// Rate limiting for emailing share links, per IP and per share, so the
+// endpoint can't be used to send mail in bulk
+const emailIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 emails per IP per windowMs
+  message: {
+    error: 'Too many requests',
+    message: 'Too many emails sent, please try again later.'
+  }
+});
+
+const emailShareLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000, // 1 day
+  max: 20, // 20 emails per share per windowMs
+  keyGenerator: (req) => `share:${req.params.id}`,
+  message: {
+    error: 'Too many requests',
+    message: 'This link has been emailed too many times today, please try again tomorrow.'
   }
-];
+});
+
+// If-Range holds the ETag or Last-Modified date of the copy the client has;
+// a range may only be served when that is still the current file
+const isRangeFresh = (req, etag, lastModified) => {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) {
+    return true;
+  }
+
+  if (ifRange.includes('"')) {
+    return ifRange === etag;
+  }
+
+  // HTTP dates have no milliseconds
+  return Math.floor(lastModified.getTime() / 1000) * 1000 <= Date.parse(ifRange);
+};
+
+// The share's owner may add a message or subject to its emails, and so may
+// an anonymous uploader through the share token issued with the upload.
+// The email rate limits cap what they can send.
+const canCustomizeEmail = (req, file) => {
+  return !!(req.user && req.user.canManage(file)) || isShareUploader(req, file);
+};
 
 // Upload file endpoint
 router.post('/upload', 
   authenticateToken, // Optional authentication
-  upload.single('file'),
+  requireScope('upload'),
+  requireVerifiedEmail('upload'),
+  uploadFiles,
   cleanupOnError,
-  validateEmail,
+  validateUploadOptions,
   async (req, res) => {
+    const uploadedFiles = getUploadedFiles(req);
+
     try {
-      if (!req.file) {
+      if (uploadedFiles.length === 0) {
         return res.status(400).json({ 
           error: 'No file uploaded',
           message: 'Please select a file to upload' 
         });
       }
 
-      // Generate unique file ID
-      const fileId = uuidv4();
-      
-      // Calculate expiry time
-      const expiryHours = req.body.expiryHours || 24;
-      const expiryTime = moment().add(expiryHours, 'hours').toDate();
-
-      // Create file record
-      const fileData = new File({
-        id: fileId,
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        filePath: req.file.path,
-        mimeType: req.file.mimetype,
-        fileSize: req.file.size,
-        expiryTime: expiryTime,
-        senderEmail: req.body.senderEmail,
-        receiverEmail: req.body.receiverEmail,
-        createdBy: req.user ? req.user.id : null
-      });
-
-      await fileData.save();
-
-      // Update user stats if authenticated
-      if (req.user) {
-        await req.user.updateUploadStats(req.file.size);
-      }
-
-      // Send confirmation email to sender if provided
-      if (req.body.senderEmail) {
-        try {
-          await emailService.sendUploadConfirmationEmail(fileData, req.body.senderEmail);
-        } catch (emailError) {
-          console.error('Failed to send confirmation email:', emailError);
-          // Don't fail the upload if email fails
-        }
-      }
-
-      // Send file link email to receiver if provided
-      if (req.body.receiverEmail) {
-        try {
-          await emailService.sendFileLinkEmail(fileData, req.body.receiverEmail, req.body.senderEmail);
-        } catch (emailError) {
-          console.error('Failed to send file link email:', emailError);
-          // Don't fail the upload if email fails
-        }
-      }
+      const files = await fileService.createShare(uploadedFiles.map(file => ({
+        filename: file.filename,
+        originalName: file.originalname,
+        path: file.path,
+        mimeType: file.mimetype,
+        size: file.size,
+        encryption: file.encryption
+      })), req.body, req.user);
 
       res.status(201).json({
         success: true,
-        message: 'File uploaded successfully',
-        data: {
-          id: fileData.id,
-          filename: fileData.originalName,
-          size: fileData.fileSizeFormatted,
-          expiryTime: fileData.expiryTime,
-          downloadUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/download/${fileData.id}`,
-          senderEmail: fileData.senderEmail,
-          receiverEmail: fileData.receiverEmail
-        }
+        message: files.length === 1 ? 'File uploaded successfully' : 'Files uploaded successfully',
+        data: fileService.toUploadResponse(files)
       });
 
     } catch (error) {
       console.error('Upload error:', error);
       
-      // Clean up uploaded file on error
-      if (req.file && fs.existsSync(req.file.path)) {
+      // Clean up uploaded files on error
+      for (const file of uploadedFiles) {
         try {
-          fs.unlinkSync(req.file.path);
+          await storage.delete(file.filename);
         } catch (cleanupError) {
           console.error('Error cleaning up file:', cleanupError);
         }
@@ -124,18 +118,76 @@ router.post('/upload',
   }
 );
 
-// Get file metadata
-router.get('/:id', async (req, res) => {
+// Extend a share from the one-click link in an expiry reminder. The token
+// is the uploader's authorization, so no login is needed.
+router.post('/extend/:token', async (req, res) => {
   try {
-    const file = await File.findOne({ id: req.params.id });
+    const payload = verifyExtendToken(req.params.token);
+    if (!payload) {
+      return res.status(400).json({ 
+        error: 'Invalid link',
+        message: 'This link is invalid or the file has already expired' 
+      });
+    }
+
+    const files = await fileService.findShare(payload.shareId);
+    const user = files.length > 0 && await User.findById(payload.userId);
+
+    if (!user || !user.isActive || String(files[0].createdBy) !== String(user._id)) {
+      return res.status(404).json({ 
+        error: 'File not found',
+        message: 'The requested file does not exist or has expired' 
+      });
+    }
+
+    const expiryTime = await fileService.extendShare(files, payload.expiryTime, user);
+    if (!expiryTime) {
+      return res.status(409).json({ 
+        error: 'Already extended',
+        message: 'This share has already been extended',
+        expiryTime: files[0].expiryTime
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share extended successfully',
+      data: {
+        shareId: files[0].shareId,
+        filename: files.length === 1 ? files[0].originalName : `${files.length} files`,
+        expiryTime,
+        downloadUrl: fileService.getShareUrl(files[0].shareId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Extend share error:', error);
+    res.status(500).json({ 
+      error: 'Extend failed',
+      message: 'An error occurred while extending the share' 
+    });
+  }
+});
+
+// Get file (or share) metadata
+router.get('/:id', authenticateToken, requireScope('read'), async (req, res) => {
+  try {
+    const files = await fileService.findShare(req.params.id);
     
-    if (!file) {
+    if (files.length === 0) {
       return res.status(404).json({ 
         error: 'File not found',
         message: 'The requested file does not exist or has expired' 
       });
     }
 
+    // Files in a share expire together
+    const [file] = files;
+
+    if (!hasShareAccess(req, file)) {
+      return sendPasswordRequired(res);
+    }
+
     // Check if file is expired
     if (file.isFileExpired()) {
       return res.status(410).json({ 
@@ -145,7 +197,7 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    if (file.isDownloadLimitReached()) {
+    if (files.every(f => f.isDownloadLimitReached())) {
       return res.status(410).json({ 
         error: 'Download limit reached',
         message: 'Maximum number of downloads reached for this file'
@@ -155,15 +207,31 @@ router.get('/:id', async (req, res) => {
     res.json({
       success: true,
       data: {
-        id: file.id,
-        filename: file.originalName,
-        size: file.fileSizeFormatted,
+        id: req.params.id,
+        shareId: file.shareId,
+        filename: files.length === 1 ? file.originalName : `${files.length} files`,
+        size: File.formatSize(fileService.getTotalSize(files)),
         mimeType: file.mimeType,
         uploadTime: file.uploadTime,
         expiryTime: file.expiryTime,
-        downloadCount: file.downloadCount,
+        downloadCount: Math.max(...files.map(f => f.downloadCount)),
         maxDownloads: file.maxDownloads,
-        timeRemaining: moment(file.expiryTime).diff(moment(), 'hours', true)
+        timeRemaining: moment(file.expiryTime).diff(moment(), 'hours', true),
+        passwordProtected: !!file.passwordHash,
+        e2e: fileService.isEndToEnd(files),
+        canManage: !!(req.user && req.user.canManage(file)),
+        canCustomizeEmail: canCustomizeEmail(req, file),
+        fileCount: files.length,
+        files: files.map(f => ({
+          id: f.id,
+          filename: f.originalName,
+          size: f.fileSizeFormatted,
+          mimeType: f.mimeType,
+          e2eMetadata: f.e2e ? f.e2eMetadata : undefined,
+          downloadCount: f.downloadCount,
+          maxDownloads: f.maxDownloads,
+          isDownloadLimitReached: f.isDownloadLimitReached()
+        }))
       }
     });
 
@@ -176,8 +244,60 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Download file endpoint
-router.get('/:id/download', async (req, res) => {
+// Unlock a password protected share
+router.post('/:id/unlock',
+  unlockLimiter,
+  [
+    body('password').isString().notEmpty().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const files = await fileService.findShare(req.params.id);
+      
+      if (files.length === 0) {
+        return res.status(404).json({ 
+          error: 'File not found',
+          message: 'The requested file does not exist or has expired' 
+        });
+      }
+
+      const [file] = files;
+
+      const isPasswordValid = await file.comparePassword(req.body.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ 
+          error: 'Invalid password',
+          message: 'The password you entered is incorrect',
+          passwordProtected: true
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'File unlocked',
+        data: {
+          shareId: file.shareId,
+          shareToken: generateShareToken(file.shareId)
+        }
+      });
+
+    } catch (error) {
+      console.error('Unlock file error:', error);
+      res.status(500).json({ 
+        error: 'Unlock failed',
+        message: 'An error occurred while unlocking the file' 
+      });
+    }
+  }
+);
+
+// Issue a short-lived signed URL for downloading a file directly
+router.post('/:id/link', authenticateToken, requireScope('read'), async (req, res) => {
   try {
     const file = await File.findOne({ id: req.params.id });
     
@@ -188,6 +308,10 @@ router.get('/:id/download', async (req, res) => {
       });
     }
 
+    if (!hasShareAccess(req, file)) {
+      return sendPasswordRequired(res);
+    }
+
     // Check if file is expired
     if (file.isFileExpired()) {
       return res.status(410).json({ 
@@ -204,51 +328,203 @@ router.get('/:id/download', async (req, res) => {
       });
     }
 
-    // Check if file exists on disk
-    if (!fs.existsSync(file.filePath)) {
+    // The download itself still checks expiry and limits and is logged
+    res.json({
+      success: true,
+      data: createDirectDownloadUrl(file.id)
+    });
+
+  } catch (error) {
+    console.error('Create download link error:', error);
+    res.status(500).json({ 
+      error: 'Link creation failed',
+      message: 'An error occurred while creating the download link' 
+    });
+  }
+});
+
+// Download file endpoint. Supports Range requests so downloads can be
+// resumed and media seeked, plus ETag/Last-Modified validation.
+router.get('/:id/download', authenticateToken, requireScope('read'), async (req, res) => {
+  try {
+    const file = await File.findOne({ id: req.params.id });
+    
+    if (!file) {
+      return res.status(404).json({ 
+        error: 'File not found',
+        message: 'The requested file does not exist or has expired' 
+      });
+    }
+
+    if (!hasShareAccess(req, file)) {
+      return sendPasswordRequired(res);
+    }
+
+    // Check if file is expired
+    if (file.isFileExpired()) {
+      return res.status(410).json({ 
+        error: 'File expired',
+        message: 'This file has expired and is no longer available' 
+      });
+    }
+
+    // Check if file exists in storage
+    if (!(await storage.stat(file.filename))) {
       return res.status(404).json({ 
         error: 'File not found',
         message: 'File has been removed from storage' 
       });
     }
 
-    // Increment download count
-    file.downloadCount += 1;
-    
-    // Log access information
-    file.accessLog.push({
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent')
-    });
-    
-    await file.save();
+    // Stored files never change, so the ID identifies the content
+    const etag = `"${file.id}-${file.fileSize}"`;
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', file.uploadTime.toUTCString());
+    res.setHeader('Cache-Control', 'private, no-cache');
 
-    // Update user download stats if file was uploaded by a user
-    if (file.createdBy) {
-      try {
-        const user = await User.findById(file.createdBy);
-        if (user) {
-          await user.updateDownloadStats();
+    // The client already has this file
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // If-Range holding the ETag of a counted download resumes that download
+    const resumeId = req.headers.range ? readResumeTag(req.get('If-Range'), file) : null;
+
+    // Only a single byte range is served; several ranges, or a range for a
+    // different version of the file (If-Range), get the whole file instead
+    let range = null;
+    if (req.headers.range && (resumeId || isRangeFresh(req, etag, file.uploadTime))) {
+      const ranges = req.range(file.fileSize, { combine: true });
+
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${file.fileSize}`);
+        return res.status(416).json({ 
+          error: 'Range not satisfiable',
+          message: 'The requested range is outside the file' 
+        });
+      }
+
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : file.fileSize - 1;
+
+    // Only resuming a counted download partway through is free; every other
+    // request, whatever range it asks for, is a new download and counts
+    // against the limit
+    const isResume = resumeId !== null && range !== null && start > 0;
+    const isNewDownload = req.method !== 'HEAD' && !isResume;
+
+    // Check download limit
+    if (!isResume && file.isDownloadLimitReached()) {
+      return res.status(410).json({ 
+        error: 'Download limit reached',
+        message: 'Maximum number of downloads reached for this file' 
+      });
+    }
+
+    // A resume may only send what is left of its download
+    if (isResume && req.method !== 'HEAD' && !(await File.reserveResume(file, resumeId, end - start + 1))) {
+      return res.status(410).json({ 
+        error: 'Download limit reached',
+        message: 'This download has already been completed' 
+      });
+    }
+
+    let served = file;
+    let downloadId = resumeId;
+    if (isNewDownload) {
+      // Count the download; the limit is checked again as part of the update
+      downloadId = uuidv4();
+      served = await File.claimDownload(file.id, {
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent'),
+        downloadId,
+        servedBytes: end - start + 1
+      });
+
+      if (!served) {
+        return res.status(410).json({ 
+          error: 'Download limit reached',
+          message: 'Maximum number of downloads reached for this file' 
+        });
+      }
+
+      fileEvents.emit('downloaded', [served]);
+
+      // Lets this download (and only this one) be resumed
+      res.setHeader('ETag', createResumeTag(served, downloadId));
+
+      // Update user download stats if file was uploaded by a user
+      if (file.createdBy) {
+        try {
+          const user = await User.findById(file.createdBy);
+          if (user) {
+            await user.updateDownloadStats();
+          }
+        } catch (error) {
+          console.error('Error updating user download stats:', error);
         }
-      } catch (error) {
-        console.error('Error updating user download stats:', error);
       }
     }
 
     // Set appropriate headers and send file
     res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
     res.setHeader('Content-Type', file.mimeType);
-    res.setHeader('Content-Length', file.fileSize);
+    res.setHeader('Content-Length', end - start + 1);
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${file.fileSize}`);
+    }
+
+    if (isResume) {
+      res.setHeader('ETag', req.get('If-Range'));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    // Only a download that delivered the end of the file uses it up
+    if (end === file.fileSize - 1) {
+      res.on('finish', () => fileService.discardIfLimitReached(served));
+    }
 
-    const fileStream = fs.createReadStream(file.filePath);
+    const fileStream = await fileService.openStream(file, { start, end });
     fileStream.pipe(res);
 
+    let sentBytes = 0;
+    fileStream.on('data', (chunk) => {
+      sentBytes += chunk.length;
+    });
+
+    res.on('close', () => {
+      // Stop reading (and release any storage connection) if the client leaves
+      fileStream.destroy();
+
+      // What wasn't sent can still be resumed
+      const unsentBytes = end - start + 1 - sentBytes;
+      if (unsentBytes > 0) {
+        File.releaseUnsentBytes(file.id, downloadId, unsentBytes).catch(error => {
+          console.error('Error releasing unsent download bytes:', error);
+        });
+      }
+    });
+
     fileStream.on('error', (error) => {
       console.error('File stream error:', error);
-      res.status(500).json({ 
-        error: 'Download failed',
-        message: 'An error occurred while downloading the file' 
-      });
+      if (!res.headersSent) {
+        return res.status(500).json({ 
+          error: 'Download failed',
+          message: 'An error occurred while downloading the file' 
+        });
+      }
+      res.destroy(error);
     });
 
   } catch (error) {
@@ -260,12 +536,247 @@ router.get('/:id/download', async (req, res) => {
   }
 });
 
-// Send file link via email
+// Issue a short-lived signed URL for downloading a share's ZIP directly
+router.post('/:id/archive-link', authenticateToken, requireScope('read'), async (req, res) => {
+  try {
+    const files = await fileService.findShare(req.params.id);
+    
+    if (files.length === 0) {
+      return res.status(404).json({ 
+        error: 'File not found',
+        message: 'The requested file does not exist or has expired' 
+      });
+    }
+
+    if (!hasShareAccess(req, files[0])) {
+      return sendPasswordRequired(res);
+    }
+
+    if (fileService.isEndToEnd(files)) {
+      return res.status(400).json({ 
+        error: 'Archive unavailable',
+        message: 'End-to-end encrypted files must be downloaded one at a time' 
+      });
+    }
+
+    // Check if share is expired
+    if (files[0].isFileExpired()) {
+      return res.status(410).json({ 
+        error: 'File expired',
+        message: 'This file has expired and is no longer available' 
+      });
+    }
+
+    if (files.every(file => file.isDownloadLimitReached())) {
+      return res.status(410).json({ 
+        error: 'Download limit reached',
+        message: 'Maximum number of downloads reached for this file' 
+      });
+    }
+
+    // The download itself still checks expiry and limits and is logged
+    res.json({
+      success: true,
+      data: createDirectArchiveUrl(files[0].shareId)
+    });
+
+  } catch (error) {
+    console.error('Create archive link error:', error);
+    res.status(500).json({ 
+      error: 'Link creation failed',
+      message: 'An error occurred while creating the download link' 
+    });
+  }
+});
+
+// Download every file in a share as a ZIP built on the fly
+router.get('/:id/archive', authenticateToken, requireScope('read'), async (req, res) => {
+  try {
+    const files = await fileService.findShare(req.params.id);
+    
+    if (files.length === 0) {
+      return res.status(404).json({ 
+        error: 'File not found',
+        message: 'The requested file does not exist or has expired' 
+      });
+    }
+
+    // Direct URLs are only issued to requests that already had access
+    if (!hasValidArchiveSignature(req, files[0].shareId) && !hasShareAccess(req, files[0])) {
+      return sendPasswordRequired(res);
+    }
+
+    // A ZIP of ciphertext is no use; the browser decrypts files one by one
+    if (fileService.isEndToEnd(files)) {
+      return res.status(400).json({ 
+        error: 'Archive unavailable',
+        message: 'End-to-end encrypted files must be downloaded one at a time' 
+      });
+    }
+
+    // Check if share is expired
+    if (files[0].isFileExpired()) {
+      return res.status(410).json({ 
+        error: 'File expired',
+        message: 'This file has expired and is no longer available' 
+      });
+    }
+
+    // Files that reached their own download limit are left out
+    const available = files.filter(file => !file.isDownloadLimitReached());
+    if (available.length === 0) {
+      return res.status(410).json({ 
+        error: 'Download limit reached',
+        message: 'Maximum number of downloads reached for this file' 
+      });
+    }
+
+    const onDisk = [];
+    for (const file of available) {
+      if (await storage.stat(file.filename)) {
+        onDisk.push(file);
+      }
+    }
+
+    if (onDisk.length === 0) {
+      return res.status(404).json({ 
+        error: 'File not found',
+        message: 'File has been removed from storage' 
+      });
+    }
+
+    // The archive counts as one download of each file it contains
+    const downloadId = uuidv4();
+    const accessEntry = {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      archive: true,
+      downloadId
+    };
+
+    // The ZIP is one download of the whole share: if any file's last
+    // download was taken meanwhile, none is counted. Files are claimed in a
+    // fixed order so that of two requests racing for a share, one gets it all.
+    const claimed = [];
+    const releaseClaims = () => Promise.all(
+      claimed.map(file => File.releaseDownload(file.id, downloadId))
+    ).catch(error => {
+      console.error('Error releasing archive downloads:', error);
+    });
+
+    const ordered = [...onDisk].sort((a, b) => a.id.localeCompare(b.id));
+    for (const file of ordered) {
+      const claimedFile = await File.claimDownload(file.id, accessEntry);
+      if (!claimedFile) {
+        await releaseClaims();
+        return res.status(410).json({ 
+          error: 'Download limit reached',
+          message: 'Maximum number of downloads reached for this file' 
+        });
+      }
+      claimed.push(claimedFile);
+    }
+
+    // Open every file before anything is sent, so a failure can still be
+    // reported (and the download given back)
+    const streams = [];
+    try {
+      for (const file of onDisk) {
+        streams.push(await fileService.openStream(file));
+      }
+    } catch (error) {
+      streams.forEach(stream => stream.destroy());
+      await releaseClaims();
+      throw error;
+    }
+
+    fileEvents.emit('downloaded', claimed);
+
+    // Update user download stats if the share was uploaded by a user
+    if (claimed[0].createdBy) {
+      try {
+        const user = await User.findById(claimed[0].createdBy);
+        if (user) {
+          await user.updateDownloadStats();
+        }
+      } catch (error) {
+        console.error('Error updating user download stats:', error);
+      }
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="fileshare-${claimed[0].shareId.slice(0, 8)}.zip"`);
+    res.setHeader('Content-Type', 'application/zip');
+
+    const archive = archiver('zip');
+
+    // A ZIP that broke off is of no use, so it isn't counted
+    archive.on('error', (error) => {
+      console.error('Archive stream error:', error);
+      streams.forEach(stream => stream.destroy());
+      releaseClaims();
+      if (!res.headersSent) {
+        return res.status(500).json({ 
+          error: 'Download failed',
+          message: 'An error occurred while downloading the files' 
+        });
+      }
+      res.destroy(error);
+    });
+
+    res.on('finish', () => claimed.forEach(file => fileService.discardIfLimitReached(file)));
+
+    // Stop reading (and release any storage connections) if the client leaves
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        archive.abort();
+        streams.forEach(stream => stream.destroy());
+      }
+    });
+
+    archive.pipe(res);
+
+    // Two files with the same name would overwrite each other in the ZIP
+    const usedNames = new Set();
+    onDisk.forEach((file, index) => {
+      let name = file.originalName;
+      const extension = path.extname(name);
+      const base = name.slice(0, name.length - extension.length);
+      for (let i = 1; usedNames.has(name); i++) {
+        name = `${base} (${i})${extension}`;
+      }
+      usedNames.add(name);
+
+      archive.append(streams[index], { name });
+    });
+
+    archive.finalize();
+
+  } catch (error) {
+    console.error('Archive download error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      error: 'Download failed',
+      message: 'An error occurred while downloading the files' 
+    });
+  }
+});
+
+// Send file link via email. Only the share's uploader (its owner, or
+// whoever holds the share token issued with the upload) may add a message
+// or subject; anyone else can only send the standard email.
 router.post('/:id/email', 
+  emailIpLimiter,
+  emailShareLimiter,
   authenticateToken,
+  requireScope('read'),
+  requireVerifiedEmail('email'),
   [
     body('recipientEmail').isEmail().normalizeEmail(),
-    body('message').optional().isString().isLength({ max: 500 })
+    body('message').optional().isString().isLength({ max: 500 }),
+    body('subject').optional().isString().trim().isLength({ max: 150 }),
+    body('locale').optional().isIn(emailTemplates.supportedLocales)
   ],
   async (req, res) => {
     try {
@@ -274,15 +785,21 @@ router.post('/:id/email',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const file = await File.findOne({ id: req.params.id });
+      const files = await fileService.findShare(req.params.id);
       
-      if (!file) {
+      if (files.length === 0) {
         return res.status(404).json({ 
           error: 'File not found',
           message: 'The requested file does not exist' 
         });
       }
 
+      const [file] = files;
+
+      if (!hasShareAccess(req, file)) {
+        return sendPasswordRequired(res);
+      }
+
       // Check if file is expired
       if (file.isFileExpired()) {
         return res.status(410).json({ 
@@ -291,14 +808,38 @@ router.post('/:id/email',
         });
       }
 
+      // The emailed link could not carry the decryption key
+      if (fileService.isEndToEnd(files)) {
+        return res.status(400).json({ 
+          error: 'Email unavailable',
+          message: 'End-to-end encrypted files can only be shared by copying the link' 
+        });
+      }
+
+      const isCustomized = Boolean((req.body.message || '').trim() || (req.body.subject || '').trim());
+      if (isCustomized && !canCustomizeEmail(req, file)) {
+        return res.status(403).json({ 
+          error: 'Forbidden',
+          message: 'Only the uploader of this share can add a message or subject' 
+        });
+      }
+
       // Send email
       const senderEmail = req.user ? req.user.email : file.senderEmail;
-      await emailService.sendFileLinkEmail(file, req.body.recipientEmail, senderEmail);
+      const queued = await emailService.sendFileLinkEmail(files, req.body.recipientEmail, senderEmail, {
+        message: req.body.message,
+        subject: req.body.subject,
+        // The recipient's language, else the sender's
+        locale: req.body.locale || emailService.userLocale(req.user),
+        sentBy: req.user ? req.user._id : null
+      });
 
       res.json({
         success: true,
-        message: 'File link sent successfully',
-        recipientEmail: req.body.recipientEmail
+        message: 'File link queued for delivery',
+        recipientEmail: req.body.recipientEmail,
+        emailId: queued.messageId,
+        email: queued.email.toStatusJSON()
       });
 
     } catch (error) {
@@ -311,9 +852,54 @@ router.post('/:id/email',
   }
 );
 
+// List who a share's link was emailed to. Owners (and admins) see every
+// recipient; anyone else sees the emails they sent themselves.
+router.get('/:id/emails',
+  authenticateToken,
+  requireAuth,
+  requireScope('read'),
+  async (req, res) => {
+    try {
+      const files = await fileService.findShare(req.params.id);
+
+      if (files.length === 0) {
+        return res.status(404).json({ 
+          error: 'File not found',
+          message: 'The requested file does not exist' 
+        });
+      }
+
+      const [file] = files;
+      const query = { shareId: file.shareId || file.id, kind: 'file-link' };
+
+      if (!req.user.canView(file)) {
+        query.sentBy = req.user._id;
+      }
+
+      const emails = await EmailMessage.find(query).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          emails: emails.map(email => email.toStatusJSON())
+        }
+      });
+
+    } catch (error) {
+      console.error('Get share emails error:', error);
+      res.status(500).json({ 
+        error: 'Failed to retrieve emails',
+        message: 'An error occurred while retrieving the emails sent for this file' 
+      });
+    }
+  }
+);
+
 // Delete file endpoint (admin or file owner only)
 router.delete('/:id', 
   authenticateToken,
+  requireAuth,
+  requireScope('delete'),
   async (req, res) => {
     try {
       const file = await File.findOne({ id: req.params.id });
@@ -326,17 +912,15 @@ router.delete('/:id',
       }
 
       // Check if user is authorized to delete this file
-      if (file.createdBy && file.createdBy.toString() !== req.user.id) {
+      if (!req.user.canManage(file)) {
         return res.status(403).json({ 
           error: 'Unauthorized',
           message: 'You are not authorized to delete this file' 
         });
       }
 
-      // Delete file from disk
-      if (fs.existsSync(file.filePath)) {
-        fs.unlinkSync(file.filePath);
-      }
+      // Delete file from storage
+      await storage.delete(file.filename);
 
       // Delete file record from database
       await File.findByIdAndDelete(file._id);
@@ -359,6 +943,8 @@ router.delete('/:id',
 // Get user's files (authenticated users only)
 router.get('/', 
   authenticateToken,
+  requireAuth,
+  requireScope('read'),
   async (req, res) => {
     try {
       const page = parseInt(req.query.page) || 1;
@@ -372,18 +958,29 @@ router.get('/',
 
       const totalFiles = await File.countDocuments({ createdBy: req.user.id });
 
+      // Delivery status of the emails sent about these shares
+      const emails = await EmailMessage.find({
+        shareId: { $in: files.map(file => file.shareId || file.id) },
+        kind: { $in: ['file-link', 'upload-confirmation'] }
+      }).sort({ createdAt: 1 });
+
       res.json({
         success: true,
         data: {
           files: files.map(file => ({
             id: file.id,
+            shareId: file.shareId,
             filename: file.originalName,
             size: file.fileSizeFormatted,
             uploadTime: file.uploadTime,
             expiryTime: file.expiryTime,
             downloadCount: file.downloadCount,
             isExpired: file.isExpired,
-            downloadUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/download/${file.id}`
+            isBroken: file.isBroken,
+            emails: emails
+              .filter(email => email.shareId === (file.shareId || file.id))
+              .map(email => email.toStatusJSON()),
+            downloadUrl: fileService.getShareUrl(file.shareId || file.id)
           })),
           pagination: {
             currentPage: page,
@@ -0,0 +1,105 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const oidc = require('../utils/oidc');
+const { generateToken, generateTwoFactorChallenge } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The state of a login in progress, kept by the browser that started it
+const STATE_COOKIE = 'oidc_state';
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  signed: true,
+  // Sent along when the provider redirects back (a top-level GET)
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+});
+
+router.use(cookieParser(process.env.JWT_SECRET));
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Tokens go back to the frontend in the URL fragment, which browsers never
+// send to servers, so they stay out of access logs
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${frontendUrl()}/sso/callback#${new URLSearchParams(params)}`);
+};
+
+// Tell the login page whether to offer single sign-on
+router.get('/config', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: oidc.isEnabled(),
+      providerName: oidc.providerName
+    }
+  });
+});
+
+// Start a single-sign-on login at the identity provider
+router.get('/login', async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({
+      error: 'SSO not configured',
+      message: 'Single sign-on is not enabled on this server'
+    });
+  }
+
+  try {
+    const { url, state } = await oidc.createAuthorizationUrl();
+
+    res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(), maxAge: oidc.loginTtlMs });
+    res.redirect(url);
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectToFrontend(res, { error: 'The identity provider is unavailable, please try again later' });
+  }
+});
+
+// The identity provider sends the browser back here
+router.get('/callback', async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({
+      error: 'SSO not configured',
+      message: 'Single sign-on is not enabled on this server'
+    });
+  }
+
+  try {
+    // A login state is only good for one callback
+    const browserState = req.signedCookies[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+    const claims = await oidc.handleCallback(req, browserState);
+    const user = await User.findOrCreateFromOidc(claims);
+
+    if (!user.isActive) {
+      return redirectToFrontend(res, { error: 'Your account has been disabled' });
+    }
+
+    // Accounts with two-factor authentication finish at /api/auth/login/2fa,
+    // as they do after a password
+    if (user.twoFactor.enabled) {
+      return redirectToFrontend(res, { challengeToken: generateTwoFactorChallenge(user) });
+    }
+
+    await user.updateLastLogin();
+
+    const { session, refreshToken } = await Session.issue(user._id, req);
+
+    redirectToFrontend(res, {
+      token: generateToken(user._id, user.tokenVersion, session.id),
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectToFrontend(res, { error: 'Single sign-on failed, please try again' });
+  }
+});
+
+module.exports = router;
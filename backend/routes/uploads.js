@@ -0,0 +1,407 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+
+const UploadSession = require('../models/UploadSession');
+const { uploadDir, generateFilename, isAllowedMimeType, validateUploadOptions, maxFilesPerShare } = require('../middleware/upload');
+const fileService = require('../utils/fileService');
+const encryption = require('../utils/encryption');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Resumable uploads follow the tus 1.0.0 core protocol (plus the creation and
+// termination extensions). Chunks are appended to a partial file, encrypted
+// when encryption at rest is on, and finished uploads are turned into File
+// records by /complete or /:uploadId/complete. Partial files are removed
+// with their session, at the latest once it is abandoned.
+const TUS_VERSION = '1.0.0';
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100MB default
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Abandoned uploads are removed after 24 hours
+const CHUNK_LOCK_MS = 5 * 60 * 1000;
+const MAX_E2E_METADATA_LENGTH = 4096;
+const E2E_MIME_TYPE = 'application/octet-stream';
+
+const partialDir = path.join(uploadDir, 'partial');
+if (!fs.existsSync(partialDir)) {
+  fs.mkdirSync(partialDir, { recursive: true });
+}
+
+// Parse the tus Upload-Metadata header ("key base64value,key base64value")
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach((pair) => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+
+  return metadata;
+};
+
+// Every tus response carries the protocol version
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  const clientVersion = req.get('Tus-Resumable');
+  if (clientVersion && clientVersion !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      error: 'Unsupported version',
+      message: `Only tus version ${TUS_VERSION} is supported`
+    });
+  }
+  next();
+});
+
+// Load the session and make sure the caller may use it
+const loadSession = async (req, res, next) => {
+  try {
+    const session = await UploadSession.findOne({ id: req.params.uploadId });
+
+    if (!session || session.isSessionExpired()) {
+      return res.status(404).json({
+        error: 'Upload not found',
+        message: 'The upload session does not exist or has expired'
+      });
+    }
+
+    if (session.createdBy && (!req.user || session.createdBy.toString() !== req.user.id)) {
+      return res.status(403).json({
+        error: 'Unauthorized',
+        message: 'You are not authorized to access this upload'
+      });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    console.error('Load upload session error:', error);
+    res.status(500).json({
+      error: 'Upload failed',
+      message: 'An error occurred while loading the upload session'
+    });
+  }
+};
+
+// Initiate an upload
+router.post('/', authenticateToken, requireScope('upload'), requireVerifiedEmail('upload'), async (req, res) => {
+  try {
+    const uploadLength = parseInt(req.get('Upload-Length'), 10);
+    if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+      return res.status(400).json({
+        error: 'Invalid upload length',
+        message: 'Upload-Length header must be a positive integer'
+      });
+    }
+
+    if (uploadLength > MAX_FILE_SIZE) {
+      return res.status(413).json({
+        error: 'File too large',
+        message: 'File size exceeds the maximum allowed limit (100MB)'
+      });
+    }
+
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    const originalName = metadata.filename;
+    const e2e = metadata.e2e === '1';
+
+    // End-to-end encrypted files are opaque, so their real type is unknown
+    const mimeType = e2e ? E2E_MIME_TYPE : metadata.filetype;
+
+    if (!originalName) {
+      return res.status(400).json({
+        error: 'Missing filename',
+        message: 'Upload-Metadata must include a filename'
+      });
+    }
+
+    if (e2e && (!metadata.e2eMetadata || metadata.e2eMetadata.length > MAX_E2E_METADATA_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid metadata',
+        message: 'End-to-end encrypted uploads must include their encrypted metadata'
+      });
+    }
+
+    if (!e2e && !isAllowedMimeType(mimeType)) {
+      return res.status(400).json({
+        error: 'Invalid file type',
+        message: `File type ${mimeType} is not allowed. Please upload a supported file type.`
+      });
+    }
+
+    const uploadId = uuidv4();
+    const tempPath = path.join(partialDir, uploadId);
+    fs.writeFileSync(tempPath, '');
+
+    const session = new UploadSession({
+      id: uploadId,
+      originalName,
+      mimeType,
+      uploadLength,
+      tempPath,
+      e2e,
+      e2eMetadata: e2e ? metadata.e2eMetadata : null,
+      stagingEncryption: encryption.isEnabled() ? encryption.createStagingEnvelope() : null,
+      createdBy: req.user ? req.user.id : null,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+
+    await session.save();
+
+    res.setHeader('Location', `${req.baseUrl}/${uploadId}`);
+    res.setHeader('Upload-Offset', 0);
+    res.status(201).json({
+      success: true,
+      data: {
+        uploadId,
+        uploadOffset: 0,
+        uploadLength,
+        expiresAt: session.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Initiate upload error:', error);
+    res.status(500).json({
+      error: 'Upload failed',
+      message: 'An error occurred while starting the upload'
+    });
+  }
+});
+
+// Query the current offset of an upload
+router.head('/:uploadId', authenticateToken, requireScope('upload'), loadSession, (req, res) => {
+  const session = req.uploadSession;
+
+  res.setHeader('Upload-Offset', session.uploadOffset);
+  res.setHeader('Upload-Length', session.uploadLength);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).end();
+});
+
+// Append a chunk to an upload
+router.patch('/:uploadId', authenticateToken, requireScope('upload'), loadSession, async (req, res) => {
+  const session = req.uploadSession;
+
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({
+      error: 'Unsupported media type',
+      message: 'Chunks must be sent as application/offset+octet-stream'
+    });
+  }
+
+  const offset = parseInt(req.get('Upload-Offset'), 10);
+  if (offset !== session.uploadOffset) {
+    return res.status(409).json({
+      error: 'Offset mismatch',
+      message: `Upload-Offset must be ${session.uploadOffset}`
+    });
+  }
+
+  try {
+    // Only one chunk may be written at a time; a retry that races the
+    // request it replaces gets a 409 and re-reads the offset
+    const locked = await UploadSession.acquireLock(session.id, offset, CHUNK_LOCK_MS);
+    if (!locked) {
+      return res.status(409).json({
+        error: 'Upload busy',
+        message: 'Another chunk is being written to this upload'
+      });
+    }
+
+    const remaining = session.uploadLength - offset;
+    let received = 0;
+    let tooLarge = false;
+
+    // Chunks never reach the disk in plaintext
+    const cipher = session.stagingEncryption
+      ? encryption.createStagingCipher(session.stagingEncryption, offset)
+      : null;
+
+    // Bytes that arrive before a dropped connection are kept, so the client
+    // can resume from wherever the server got to
+    await new Promise((resolve, reject) => {
+      const writeStream = fs.createWriteStream(session.tempPath, { flags: 'r+', start: offset });
+      const close = () => {
+        if (!writeStream.writableEnded) writeStream.end();
+      };
+
+      req.on('data', (chunk) => {
+        if (tooLarge) return;
+
+        const allowed = remaining - received;
+        if (chunk.length > allowed) {
+          tooLarge = true;
+          chunk = chunk.subarray(0, allowed);
+        }
+        received += chunk.length;
+
+        if (chunk.length > 0 && !writeStream.write(cipher ? cipher.update(chunk) : chunk)) {
+          req.pause();
+          writeStream.once('drain', () => req.resume());
+        }
+        if (tooLarge) close();
+      });
+      req.on('end', close);
+      req.on('close', close);
+      req.on('error', close);
+      writeStream.on('finish', resolve);
+      writeStream.on('error', reject);
+    });
+
+    locked.uploadOffset = offset + received;
+    locked.lockedUntil = null;
+    await locked.save();
+
+    if (tooLarge) {
+      return res.status(413).json({
+        error: 'Chunk too large',
+        message: 'The chunk exceeds the declared Upload-Length'
+      });
+    }
+
+    res.setHeader('Upload-Offset', locked.uploadOffset);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    await UploadSession.updateOne({ id: session.id }, { $set: { lockedUntil: null } }).catch(() => {});
+    res.status(500).json({
+      error: 'Upload failed',
+      message: 'An error occurred while writing the chunk'
+    });
+  }
+});
+
+// Abort an upload and discard the received bytes
+router.delete('/:uploadId', authenticateToken, requireScope('upload'), loadSession, async (req, res) => {
+  try {
+    const session = req.uploadSession;
+
+    if (fs.existsSync(session.tempPath)) {
+      fs.unlinkSync(session.tempPath);
+    }
+    await UploadSession.findByIdAndDelete(session._id);
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Terminate upload error:', error);
+    res.status(500).json({
+      error: 'Delete failed',
+      message: 'An error occurred while cancelling the upload'
+    });
+  }
+});
+
+// Turn fully received uploads into files behind one share link
+const completeUploads = async (sessions, req, res) => {
+  try {
+    const incomplete = sessions.find(session => !session.isComplete());
+    if (incomplete) {
+      return res.status(409).json({
+        error: 'Upload incomplete',
+        message: `Only ${incomplete.uploadOffset} of ${incomplete.uploadLength} bytes of ${incomplete.originalName} have been received`
+      });
+    }
+
+    const storedFiles = [];
+    for (const session of sessions) {
+      const filename = generateFilename('file', session.originalName);
+      const { location, encryption } = await fileService.storeLocalFile(filename, session.tempPath, {
+        contentType: session.mimeType,
+        staging: session.stagingEncryption
+      });
+      await UploadSession.findByIdAndDelete(session._id);
+
+      storedFiles.push({
+        filename,
+        originalName: session.originalName,
+        path: location,
+        mimeType: session.mimeType,
+        size: session.uploadLength,
+        encryption,
+        e2e: session.e2e,
+        e2eMetadata: session.e2eMetadata
+      });
+    }
+
+    const files = await fileService.createShare(storedFiles, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: files.length === 1 ? 'File uploaded successfully' : 'Files uploaded successfully',
+      data: fileService.toUploadResponse(files)
+    });
+
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      error: 'Upload failed',
+      message: 'An error occurred while finishing the upload'
+    });
+  }
+};
+
+// Complete several uploads as a single share
+router.post('/complete',
+  authenticateToken,
+  requireScope('upload'),
+  requireVerifiedEmail('upload'),
+  [
+    body('uploadIds')
+      .isArray({ min: 1, max: maxFilesPerShare })
+      .withMessage(`Between 1 and ${maxFilesPerShare} uploads can be shared together`),
+    body('uploadIds.*').isString()
+  ],
+  validateUploadOptions,
+  async (req, res) => {
+    try {
+      const uploadIds = [...new Set(req.body.uploadIds)];
+      const sessions = await UploadSession.find({ id: { $in: uploadIds } });
+
+      // Keep the order the client uploaded the files in
+      const ordered = uploadIds.map(id => sessions.find(session => session.id === id));
+
+      const usable = ordered.every(session =>
+        session &&
+        !session.isSessionExpired() &&
+        (!session.createdBy || (req.user && session.createdBy.toString() === req.user.id))
+      );
+
+      if (!usable) {
+        return res.status(404).json({
+          error: 'Upload not found',
+          message: 'One or more upload sessions do not exist or have expired'
+        });
+      }
+
+      await completeUploads(ordered, req, res);
+
+    } catch (error) {
+      console.error('Complete uploads error:', error);
+      res.status(500).json({
+        error: 'Upload failed',
+        message: 'An error occurred while finishing the upload'
+      });
+    }
+  }
+);
+
+// Complete a single upload
+router.post('/:uploadId/complete',
+  authenticateToken,
+  requireScope('upload'),
+  requireVerifiedEmail('upload'),
+  loadSession,
+  validateUploadOptions,
+  (req, res) => completeUploads([req.uploadSession], req, res)
+);
+
+module.exports = router;
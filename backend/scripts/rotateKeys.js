@@ -0,0 +1,69 @@
+// Re-wrap the data keys of encrypted files (and of uploads still being
+// staged) with the current master key.
+//
+// To rotate: make the new key FILE_ENCRYPTION_KEY (with a new
+// FILE_ENCRYPTION_KEY_ID), list the old one in FILE_ENCRYPTION_PREVIOUS_KEYS
+// as "oldKeyId:base64key", run `npm run rotate-keys`, then drop the old key.
+// File contents are not touched, only the wrapped keys on the records.
+//
+// Usage: node scripts/rotateKeys.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const encryption = require('../utils/encryption');
+
+// Records holding wrapped keys, and the field that holds them
+const KEY_HOLDERS = [
+  { model: File, field: 'encryption' },
+  { model: UploadSession, field: 'stagingEncryption' }
+];
+
+const rotateKeys = async (dryRun) => {
+  if (!encryption.isEnabled()) {
+    throw new Error('FILE_ENCRYPTION_KEY is not set');
+  }
+
+  let rotatedCount = 0;
+  let errorCount = 0;
+
+  for (const { model, field } of KEY_HOLDERS) {
+    const query = {
+      [field]: { $ne: null },
+      [`${field}.keyId`]: { $ne: encryption.currentKeyId }
+    };
+
+    const cursor = model.find(query).lean().cursor();
+
+    for await (const record of cursor) {
+      try {
+        const envelope = encryption.rewrapKey(record[field]);
+
+        if (!dryRun) {
+          // Only replace the key that was read, in case it changed meanwhile
+          await model.updateOne(
+            { _id: record._id, [`${field}.wrappedKey`]: record[field].wrappedKey },
+            { $set: { [field]: envelope } }
+          );
+        }
+
+        rotatedCount++;
+      } catch (error) {
+        console.error(`Error re-wrapping key for ${model.modelName} ${record.id}:`, error.message);
+        errorCount++;
+      }
+    }
+  }
+
+  console.log(`${dryRun ? 'Would re-wrap' : 'Re-wrapped'} ${rotatedCount} data keys with key ${encryption.currentKeyId}. Errors: ${errorCount}`);
+
+  return errorCount;
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fileshare')
+  .then(() => rotateKeys(process.argv.includes('--dry-run')))
+  .then((errorCount) => mongoose.connection.close().then(() => process.exit(errorCount > 0 ? 1 : 0)))
+  .catch((error) => {
+    console.error('Key rotation failed:', error.message);
+    process.exit(1);
+  });
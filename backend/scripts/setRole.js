@@ -0,0 +1,28 @@
+// Give a user a role. This is how the first admin is created.
+//
+// Usage: node scripts/setRole.js <email or username> <user|auditor|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const setRole = async (identifier, role) => {
+  if (!identifier || !User.ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <email or username> <${User.ROLES.join('|')}>`);
+  }
+
+  const user = await User.findByEmailOrUsername(identifier);
+  if (!user) {
+    throw new Error(`No user found for ${identifier}`);
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { role } });
+  console.log(`${user.username} (${user.email}) is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fileshare')
+  .then(() => setRole(process.argv[2], process.argv[3]))
+  .then(() => mongoose.connection.close())
+  .catch((error) => {
+    console.error('Setting role failed:', error.message);
+    process.exit(1);
+  });
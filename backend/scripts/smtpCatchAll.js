@@ -0,0 +1,62 @@
+// A local SMTP catch-all: accepts every email and keeps or prints it
+// instead of delivering it. With NODE_ENV=test the server sends email to
+// localhost:1025, where this listens by default; otherwise point EMAIL_HOST
+// and EMAIL_PORT at it. Tests start their own on a free port.
+//
+// Usage: node scripts/smtpCatchAll.js [port]
+const { SMTPServer } = require('smtp-server');
+
+// Resolves to { port, messages, stop } once listening. Every message
+// received is added to messages as { from, to, raw } and passed to onMessage.
+const startCatchAll = ({ port = 1025, host = '127.0.0.1', onMessage = () => {} } = {}) => {
+  const messages = [];
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        const message = {
+          from: session.envelope.mailFrom && session.envelope.mailFrom.address,
+          to: session.envelope.rcptTo.map(recipient => recipient.address),
+          raw: Buffer.concat(chunks).toString('utf8')
+        };
+        messages.push(message);
+        onMessage(message);
+        callback();
+      });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.server.address().port,
+        messages,
+        stop: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || 1025;
+
+  startCatchAll({
+    port,
+    onMessage: (message) => {
+      console.log(`\n--- Email from ${message.from} to ${message.to.join(', ')} ---\n${message.raw}`);
+    }
+  })
+    .then(() => console.log(`SMTP catch-all listening on port ${port}`))
+    .catch((error) => {
+      console.error('SMTP catch-all failed to start:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startCatchAll };
@@ -16,24 +16,30 @@ app.use(compression());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Resumable upload chunks are bounded by the upload itself
+  skip: (req) => req.method === 'PATCH' && req.path.startsWith('/api/files/uploads/')
 });
 app.use(limiter);
 
 // CORS configuration
-app.use(cors());
+app.use(cors({
+  // Let browsers read download filenames and the resumable upload headers
+  exposedHeaders: ['Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag', 'Location', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length']
+}));
 
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static('uploads'));
-
 // Routes
+app.use('/api/files/uploads', require('./routes/uploads'));
 app.use('/api/files', require('./routes/files'));
+app.use('/api/auth/api-keys', require('./routes/apiKeys'));
+app.use('/api/auth/oidc', require('./routes/oidc'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -58,33 +64,50 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fileshare')
-  .then(() => {
-    console.log('Connected to MongoDB');
-    
-    // Initialize cleanup service
-    const cleanupService = require('./utils/cleanup');
-    console.log('Cleanup service initialized');
-    
-    // Start server
-    const PORT = process.env.PORT || 5000;
-    app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
+// Connect and start serving when run directly; tests require the app and
+// bring their own database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fileshare')
+    .then(() => {
+      console.log('Connected to MongoDB');
+
+      // Older databases need their expiryTime index replaced; until it is,
+      // MongoDB never removes expired file records
+      require('./models/File').ensureExpiryTtlIndex().catch((error) => {
+        console.error('Error migrating the expiryTime TTL index, MongoDB will not remove expired file records:', error);
+      });
+
+      // Initialize cleanup service
+      const cleanupService = require('./utils/cleanup');
+      console.log('Cleanup service initialized');
+
+      // Initialize download and expiry notifications
+      require('./utils/notifications');
+      console.log('Notification service initialized');
+
+      // Initialize the outbound email queue
+      require('./utils/emailWorker');
+      console.log('Email worker initialized');
+
+      // Start server
+      const PORT = process.env.PORT || 5000;
+      app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+      });
+    })
+    .catch((error) => {
+      console.error('MongoDB connection error:', error);
+      process.exit(1);
     });
-  })
-  .catch((error) => {
-    console.error('MongoDB connection error:', error);
-    process.exit(1);
-  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  mongoose.connection.close(() => {
-    console.log('MongoDB connection closed.');
-    process.exit(0);
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received. Shutting down gracefully...');
+    mongoose.connection.close(() => {
+      console.log('MongoDB connection closed.');
+      process.exit(0);
+    });
   });
-});
+}
 
 module.exports = app;
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+const { createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const asUser = (call, token) => call.set('Authorization', `Bearer ${token}`);
+
+describe('admin console', () => {
+  it('searches users for admins and auditors only', async () => {
+    const admin = await createUser('admin', { role: 'admin' });
+    const auditor = await createUser('auditor', { role: 'auditor' });
+    const alice = await createUser('alice');
+
+    const found = await asUser(request(app).get('/api/admin/users?search=ali'), admin.token);
+    expect(found.status).toBe(200);
+    expect(found.body.data.users.map(user => user.username)).toEqual(['alice']);
+
+    const audited = await asUser(request(app).get('/api/admin/users'), auditor.token);
+    expect(audited.status).toBe(200);
+    expect(audited.body.data.pagination.total).toBe(3);
+
+    const refused = await asUser(request(app).get('/api/admin/users'), alice.token);
+    expect(refused.status).toBe(403);
+  });
+
+  it('rejects repeated search and owner parameters', async () => {
+    const admin = await createUser('admin', { role: 'admin' });
+
+    const users = await asUser(request(app).get('/api/admin/users?search=a&search=b'), admin.token);
+    expect(users.status).toBe(400);
+    expect(users.body.errors[0].path).toBe('search');
+
+    const files = await asUser(request(app).get('/api/admin/files?owner=a&owner=b'), admin.token);
+    expect(files.status).toBe(400);
+    expect(files.body.errors[0].path).toBe('owner');
+  });
+
+  it('lists files by owner', async () => {
+    const admin = await createUser('admin', { role: 'admin' });
+    const alice = await createUser('alice');
+    await createStoredFile('mine', { createdBy: alice.user._id, originalName: 'alice.txt' });
+    await createStoredFile('not mine', { originalName: 'anonymous.txt' });
+
+    const response = await asUser(request(app).get('/api/admin/files?owner=alice'), admin.token);
+    expect(response.status).toBe(200);
+    expect(response.body.data.files.map(file => file.filename)).toEqual(['alice.txt']);
+  });
+
+  it('lets admins, but not auditors, deactivate users, which signs them out', async () => {
+    const admin = await createUser('admin', { role: 'admin' });
+    const auditor = await createUser('auditor', { role: 'auditor' });
+    const alice = await createUser('alice');
+
+    const byAuditor = await asUser(request(app).patch(`/api/admin/users/${alice.user._id}`), auditor.token)
+      .send({ isActive: false });
+    expect(byAuditor.status).toBe(403);
+
+    const byAdmin = await asUser(request(app).patch(`/api/admin/users/${alice.user._id}`), admin.token)
+      .send({ isActive: false });
+    expect(byAdmin.status).toBe(200);
+
+    const profile = await asUser(request(app).get('/api/auth/profile'), alice.token);
+    expect(profile.status).toBe(401);
+  });
+});
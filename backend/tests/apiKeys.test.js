@@ -0,0 +1,81 @@
+const request = require('supertest');
+const app = require('../server');
+const File = require('../models/File');
+const db = require('./helpers/db');
+const { removeStoredFiles } = require('./helpers/files');
+const { createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const createKey = async (token, scopes) => {
+  const response = await request(app)
+    .post('/api/auth/api-keys')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'script', scopes });
+  expect(response.status).toBe(201);
+  return response.body.data;
+};
+
+const uploadWith = (key) => request(app)
+  .post('/api/files/upload')
+  .set('Authorization', `Bearer ${key}`)
+  .attach('file', Buffer.from('from a script'), 'report.txt');
+
+describe('API keys', () => {
+  it('uploads as the owner of the key and records when and where it was used', async () => {
+    const { user, token } = await createUser('scripter');
+    const { key } = await createKey(token, ['upload']);
+
+    const response = await uploadWith(key);
+
+    expect(response.status).toBe(201);
+    const file = await File.findOne({ id: response.body.data.files[0].id });
+    expect(String(file.createdBy)).toBe(String(user._id));
+
+    const listed = await request(app)
+      .get('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${token}`);
+    const [apiKey] = listed.body.data.apiKeys;
+    expect(apiKey.lastUsedAt).toBeTruthy();
+    expect(apiKey.lastUsedIp).toBeTruthy();
+    expect(apiKey.key).toBeUndefined();
+  });
+
+  it('does not let a read-only key upload', async () => {
+    const { token } = await createUser('scripter');
+    const { key } = await createKey(token, ['read']);
+
+    const response = await uploadWith(key);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('refuses a revoked key', async () => {
+    const { token } = await createUser('scripter');
+    const { apiKey, key } = await createKey(token, ['upload']);
+
+    const revoked = await request(app)
+      .delete(`/api/auth/api-keys/${apiKey.id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(revoked.status).toBe(200);
+
+    expect((await uploadWith(key)).status).toBe(401);
+  });
+
+  it('cannot be used to manage keys', async () => {
+    const { token } = await createUser('scripter');
+    const { key } = await createKey(token, ['upload', 'read', 'delete']);
+
+    const response = await request(app)
+      .post('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${key}`)
+      .send({ name: 'another', scopes: ['upload'] });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../server');
+const File = require('../models/File');
+const fileService = require('../utils/fileService');
+const { generateShareToken } = require('../middleware/shareAccess');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+
+// Two files uploaded together under one share link
+const createShare = async (fields = {}) => {
+  const shareId = uuidv4();
+  return Promise.all([
+    createStoredFile('first file', { shareId, originalName: 'first.txt', ...fields }),
+    createStoredFile('second file', { shareId, originalName: 'second.txt', ...fields })
+  ]);
+};
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+describe('GET /api/files/:id/archive', () => {
+  it('serves a share with a download limit of 1 as a whole to only one of parallel requests', async () => {
+    const [file] = await createShare({ maxDownloads: 1 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => request(app).get(`/api/files/${file.shareId}/archive`))
+    );
+
+    const served = responses.filter(response => response.status === 200);
+    expect(served).toHaveLength(1);
+    expect(served[0].headers['content-type']).toBe('application/zip');
+
+    const stored = await File.find({ shareId: file.shareId });
+    expect(stored.map(storedFile => storedFile.downloadCount)).toEqual([1, 1]);
+  });
+
+  it('gives the download back when a file cannot be read', async () => {
+    const [file] = await createShare({ maxDownloads: 1 });
+
+    const openStream = fileService.openStream.bind(fileService);
+    jest.spyOn(fileService, 'openStream')
+      .mockImplementationOnce(openStream)
+      .mockRejectedValueOnce(new Error('Storage unavailable'));
+
+    const response = await request(app).get(`/api/files/${file.shareId}/archive`);
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Download failed');
+
+    const stored = await File.find({ shareId: file.shareId });
+    expect(stored.map(storedFile => storedFile.downloadCount)).toEqual([0, 0]);
+    expect(stored.every(storedFile => storedFile.accessLog.length === 0)).toBe(true);
+  });
+
+  it('downloads a password protected share through a signed link', async () => {
+    const [file] = await createShare({ passwordHash: 'not-checked-here' });
+
+    const locked = await request(app).post(`/api/files/${file.shareId}/archive-link`);
+    expect(locked.status).toBe(401);
+
+    const link = await request(app)
+      .post(`/api/files/${file.shareId}/archive-link`)
+      .set('X-Share-Token', generateShareToken(file.shareId));
+    expect(link.status).toBe(200);
+
+    const response = await request(app).get(link.body.data.url);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+
+    const forged = await request(app).get(link.body.data.url.replace(/signature=[^&]+/, 'signature=forged'));
+    expect(forged.status).toBe(401);
+  });
+});
@@ -0,0 +1,44 @@
+const cleanupService = require('../utils/cleanup');
+const File = require('../models/File');
+const storage = require('../utils/storage');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+// A file whose stored bytes are gone
+const createMissingFile = async (fields = {}) => {
+  const file = await createStoredFile('content', fields);
+  await storage.delete(file.filename);
+  return file;
+};
+
+describe('cleanupService.reconcile', () => {
+  it('marks files whose bytes went missing as broken', async () => {
+    const missing = await createMissingFile();
+    const stored = await createStoredFile('content');
+
+    const report = await cleanupService.reconcile();
+
+    expect(report.missingCount).toBe(1);
+    expect((await File.findOne({ id: missing.id })).isBroken).toBe(true);
+    expect((await File.findOne({ id: stored.id })).isBroken).toBe(false);
+  });
+
+  it('leaves files that reached their download limit or expired alone', async () => {
+    const usedUp = await createMissingFile({ maxDownloads: 1, downloadCount: 1 });
+    const expired = await createMissingFile({ expiryTime: new Date(Date.now() - 1000) });
+
+    const report = await cleanupService.reconcile();
+
+    expect(report.missingCount).toBe(0);
+    expect(report.markedBrokenCount).toBe(0);
+    expect((await File.findOne({ id: usedUp.id })).isBroken).toBe(false);
+    expect((await File.findOne({ id: expired.id })).isBroken).toBe(false);
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+const { generateShareToken } = require('../middleware/shareAccess');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+// A password protected file, so only a valid link gets to it
+const createProtectedFile = () => createStoredFile('protected content', { passwordHash: 'not-checked-here' });
+
+const createLink = async (file) => {
+  const response = await request(app)
+    .post(`/api/files/${file.id}/link`)
+    .set('X-Share-Token', generateShareToken(file.shareId));
+
+  expect(response.status).toBe(200);
+  return response.body.data.url;
+};
+
+describe('direct download links', () => {
+  it('does not serve stored files from a static mount', async () => {
+    const file = await createStoredFile('content');
+
+    const response = await request(app).get(`/uploads/${file.filename}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('only issues links to requests that may see the file', async () => {
+    const file = await createProtectedFile();
+
+    const response = await request(app).post(`/api/files/${file.id}/link`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('downloads through a signed link without any headers', async () => {
+    const file = await createProtectedFile();
+    const url = await createLink(file);
+
+    const response = await request(app).get(url);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('protected content');
+  });
+
+  it('refuses a link with a forged signature', async () => {
+    const file = await createProtectedFile();
+    const url = await createLink(file);
+
+    const response = await request(app).get(url.replace(/signature=[^&]+/, 'signature=forged'));
+
+    expect(response.status).toBe(401);
+  });
+
+  it('refuses a link once it has expired', async () => {
+    const file = await createProtectedFile();
+    const url = await createLink(file);
+
+    const later = Date.now() + 60 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    const response = await request(app).get(url);
+
+    expect(response.status).toBe(401);
+  });
+});
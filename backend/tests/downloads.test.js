@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../server');
+const File = require('../models/File');
+const storage = require('../utils/storage');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+
+const CONTENT = 'The quick brown fox jumps over the lazy dog';
+
+// Larger than what a resume may overlap a finished download
+const LARGE_CONTENT = 'x'.repeat(2 * 1024 * 1024);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+describe('GET /api/files/:id/download', () => {
+  it('serves a file with a download limit of 1 exactly once to parallel requests', async () => {
+    const file = await createStoredFile(CONTENT, { maxDownloads: 1 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => request(app).get(`/api/files/${file.id}/download`))
+    );
+
+    const served = responses.filter(response => response.status === 200);
+    expect(served).toHaveLength(1);
+    expect(served[0].text).toBe(CONTENT);
+
+    const stored = await File.findOne({ id: file.id });
+    expect(stored.downloadCount).toBe(1);
+  });
+
+  it('counts a range request without a resume ETag as a new download', async () => {
+    const file = await createStoredFile(CONTENT, { maxDownloads: 1 });
+
+    const first = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=0-9');
+    expect(first.status).toBe(206);
+
+    const second = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=10-');
+    expect(second.status).toBe(410);
+  });
+
+  it('resumes a counted download given its ETag in If-Range', async () => {
+    const file = await createStoredFile(CONTENT, { maxDownloads: 1 });
+
+    const first = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=0-9');
+    expect(first.status).toBe(206);
+
+    const resumed = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=10-')
+      .set('If-Range', first.headers.etag);
+    expect(resumed.status).toBe(206);
+    expect(resumed.text).toBe(CONTENT.slice(10));
+
+    const stored = await File.findOne({ id: file.id });
+    expect(stored.downloadCount).toBe(1);
+  });
+
+  it('refuses a forged resume ETag', async () => {
+    const file = await createStoredFile(CONTENT, { maxDownloads: 1 });
+    await request(app).get(`/api/files/${file.id}/download`).set('Range', 'bytes=0-9');
+
+    const forged = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=10-')
+      .set('If-Range', `"${file.id}.1.9999999999.forged"`);
+    expect(forged.status).toBe(410);
+  });
+
+  it('counts a resume ETag asking for the file from the start as a new download', async () => {
+    const file = await createStoredFile(CONTENT, { maxDownloads: 1 });
+
+    const first = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=0-9');
+    expect(first.status).toBe(206);
+
+    const again = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=0-')
+      .set('If-Range', first.headers.etag);
+    expect(again.status).toBe(410);
+  });
+
+  it('resumes no more than what is left of a download', async () => {
+    const file = await createStoredFile(LARGE_CONTENT, { maxDownloads: 1 });
+    const lastByte = LARGE_CONTENT.length - 1;
+
+    // Everything but the last byte
+    const first = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', `bytes=0-${lastByte - 1}`);
+    expect(first.status).toBe(206);
+
+    const replayed = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', 'bytes=1-')
+      .set('If-Range', first.headers.etag);
+    expect(replayed.status).toBe(410);
+
+    const resumed = await request(app)
+      .get(`/api/files/${file.id}/download`)
+      .set('Range', `bytes=${lastByte}-`)
+      .set('If-Range', first.headers.etag);
+    expect(resumed.status).toBe(206);
+    expect(resumed.text).toBe('x');
+  });
+});
+
+describe('download limits', () => {
+  const upload = (maxDownloads) => request(app)
+    .post('/api/files/upload')
+    .field('maxDownloads', String(maxDownloads))
+    .attach('file', Buffer.from(CONTENT), 'fox.txt');
+
+  // The bytes are deleted once the response has finished
+  const waitForDeletion = async (filename) => {
+    for (let i = 0; i < 50 && await storage.stat(filename); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return storage.stat(filename);
+  };
+
+  it('deletes a burn-after-reading file right after its download', async () => {
+    const uploaded = await upload(1);
+    expect(uploaded.status).toBe(201);
+    expect(uploaded.body.data.maxDownloads).toBe(1);
+
+    const file = await File.findOne({ id: uploaded.body.data.id });
+    const response = await request(app).get(`/api/files/${file.id}/download`);
+    expect(response.status).toBe(200);
+    expect(response.text).toBe(CONTENT);
+
+    expect(await waitForDeletion(file.filename)).toBeFalsy();
+
+    const info = await request(app).get(`/api/files/${file.id}`);
+    expect(info.status).toBe(410);
+    expect(info.body.error).toBe('Download limit reached');
+  });
+
+  it('keeps a file until its last download', async () => {
+    const uploaded = await upload(2);
+    const file = await File.findOne({ id: uploaded.body.data.id });
+
+    await request(app).get(`/api/files/${file.id}/download`);
+
+    expect(await storage.stat(file.filename)).toBeTruthy();
+    expect((await request(app).get(`/api/files/${file.id}/download`)).status).toBe(200);
+  });
+
+  it('refuses a download limit below 1', async () => {
+    const uploaded = await upload(0);
+
+    expect(uploaded.status).toBe(400);
+    expect(uploaded.body.errors[0].path).toBe('maxDownloads');
+  });
+});
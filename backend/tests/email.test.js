@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../server');
+const EmailMessage = require('../models/EmailMessage');
+const { generateShareToken } = require('../middleware/shareAccess');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+const { createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const sendEmail = (fileId, fields, token = null) => {
+  const call = request(app)
+    .post(`/api/files/${fileId}/email`)
+    .send({ recipientEmail: 'recipient@example.com', ...fields });
+  return token ? call.set('Authorization', `Bearer ${token}`) : call;
+};
+
+describe('POST /api/files/:id/email', () => {
+  it('lets the owner add a message and subject', async () => {
+    const owner = await createUser('owner');
+    const file = await createStoredFile('content', { createdBy: owner.user._id });
+
+    const response = await sendEmail(file.id, { message: 'Here you go', subject: 'The file' }, owner.token);
+
+    expect(response.status).toBe(200);
+    const email = await EmailMessage.findOne({ shareId: file.shareId });
+    expect(email.subject).toBe('The file');
+    expect(email.text).toContain('Here you go');
+  });
+
+  it('lets an anonymous uploader add a message with the share token from the upload', async () => {
+    const upload = await request(app)
+      .post('/api/files/upload')
+      .attach('file', Buffer.from('content'), 'notes.txt');
+    expect(upload.status).toBe(201);
+    const { shareId, shareToken } = upload.body.data;
+
+    const response = await sendEmail(shareId, { message: 'Notes from the meeting' })
+      .set('X-Share-Token', shareToken);
+
+    expect(response.status).toBe(200);
+    const email = await EmailMessage.findOne({ shareId });
+    expect(email.text).toContain('Notes from the meeting');
+  });
+
+  it('refuses a message from someone who is not the uploader', async () => {
+    const owner = await createUser('owner');
+    const other = await createUser('other');
+    const file = await createStoredFile('content', { createdBy: owner.user._id });
+
+    const anonymous = await sendEmail(file.id, { message: 'Click here' });
+    const signedIn = await sendEmail(file.id, { subject: 'Urgent' }, other.token);
+    // A token from entering the share's password is not the uploader's
+    const unlocked = await sendEmail(file.id, { message: 'Click here' })
+      .set('X-Share-Token', generateShareToken(file.shareId));
+
+    expect(anonymous.status).toBe(403);
+    expect(signedIn.status).toBe(403);
+    expect(unlocked.status).toBe(403);
+    expect(await EmailMessage.countDocuments()).toBe(0);
+  });
+
+  it('sends the standard email for anyone with the link', async () => {
+    const file = await createStoredFile('content');
+
+    const response = await sendEmail(file.id, {});
+
+    expect(response.status).toBe(200);
+    expect(await EmailMessage.countDocuments({ shareId: file.shareId })).toBe(1);
+  });
+
+  it('limits how many emails one IP can send', async () => {
+    const file = await createStoredFile('content');
+
+    const responses = [];
+    for (let i = 0; i < 11; i++) {
+      responses.push(await sendEmail(file.id, {}));
+    }
+
+    expect(responses[responses.length - 1].status).toBe(429);
+  });
+});
@@ -0,0 +1,67 @@
+const EmailMessage = require('../models/EmailMessage');
+const db = require('./helpers/db');
+const { startCatchAll } = require('../scripts/smtpCatchAll');
+
+let catchAll;
+let emailService;
+let emailWorker;
+
+beforeAll(async () => {
+  await db.connect();
+
+  // The SMTP settings are read when the email service loads
+  catchAll = await startCatchAll({ port: 0 });
+  process.env.EMAIL_HOST = '127.0.0.1';
+  process.env.EMAIL_PORT = String(catchAll.port);
+
+  emailService = require('../utils/emailService');
+  emailWorker = require('../utils/emailWorker');
+});
+afterEach(async () => {
+  catchAll.messages.length = 0;
+  await db.clear();
+});
+afterAll(async () => {
+  await catchAll.stop();
+  await db.disconnect();
+});
+
+describe('email delivery', () => {
+  it('delivers queued email over SMTP with HTML and text parts', async () => {
+    const user = { username: 'alice', email: 'alice@example.com', preferences: {} };
+    await emailService.sendVerificationEmail(user, 'verification-token');
+
+    const message = await EmailMessage.claimNext(60 * 1000);
+    await emailWorker.sendMessage(message);
+
+    expect(message.status).toBe('sent');
+    expect(catchAll.messages).toHaveLength(1);
+
+    const [received] = catchAll.messages;
+    expect(received.to).toEqual(['alice@example.com']);
+    expect(received.raw).toMatch(/^Subject: .*email address/m);
+    expect(received.raw).toContain('Content-Type: text/plain');
+    expect(received.raw).toContain('Content-Type: text/html');
+    expect(received.raw).toContain('verify-email/verification-token');
+  });
+
+  it('clears the token from a password reset email once it is sent', async () => {
+    const user = {
+      username: 'alice',
+      email: 'alice@example.com',
+      preferences: {},
+      resetPasswordExpires: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    await emailService.sendPasswordResetEmail(user, 'reset-token-secret');
+
+    const message = await EmailMessage.claimNext(60 * 1000);
+    await emailWorker.sendMessage(message);
+
+    expect(catchAll.messages[0].raw).toContain('reset-password/reset-token-secret');
+
+    const stored = await EmailMessage.findById(message._id).lean();
+    expect(stored.status).toBe('sent');
+    expect(stored.redactedAt).toBeTruthy();
+    expect(JSON.stringify(stored)).not.toContain('reset-token-secret');
+  });
+});
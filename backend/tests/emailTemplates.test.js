@@ -0,0 +1,57 @@
+const request = require('supertest');
+const app = require('../server');
+const EmailMessage = require('../models/EmailMessage');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+const { createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const sendEmail = (fileId, fields, token) => request(app)
+  .post(`/api/files/${fileId}/email`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ recipientEmail: 'recipient@example.com', ...fields });
+
+describe('file link email templates', () => {
+  let owner;
+  let file;
+
+  beforeEach(async () => {
+    owner = await createUser('owner');
+    file = await createStoredFile('content', { createdBy: owner.user._id, originalName: '<b>x</b>.txt' });
+  });
+
+  it('is written in the requested language', async () => {
+    const response = await sendEmail(file.id, { locale: 'hi' }, owner.token);
+
+    expect(response.status).toBe(200);
+    const email = await EmailMessage.findOne({ shareId: file.shareId });
+    expect(email.locale).toBe('hi');
+    expect(email.subject).toBe('आपके साथ एक फ़ाइल साझा की गई: <b>x</b>.txt');
+    expect(email.html).toContain('फ़ाइल डाउनलोड करें');
+  });
+
+  it('escapes the file name and message in the HTML but not in the text alternative', async () => {
+    await sendEmail(file.id, { message: '<script>alert(1)</script>' }, owner.token);
+
+    const email = await EmailMessage.findOne({ shareId: file.shareId });
+    expect(email.html).toContain('&lt;b&gt;x&lt;/b&gt;.txt');
+    expect(email.html).not.toContain('<b>x</b>');
+    expect(email.html).not.toContain('<script>');
+    expect(email.text).toContain('<b>x</b>.txt');
+    expect(email.text).toContain('<script>alert(1)</script>');
+    expect(email.text).not.toContain('<html');
+  });
+
+  it('refuses a language there are no templates for', async () => {
+    const response = await sendEmail(file.id, { locale: 'xx' }, owner.token);
+
+    expect(response.status).toBe(400);
+    expect(await EmailMessage.countDocuments({ shareId: file.shareId })).toBe(0);
+  });
+});
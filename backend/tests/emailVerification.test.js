@@ -0,0 +1,65 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const EmailMessage = require('../models/EmailMessage');
+const db = require('./helpers/db');
+const { PASSWORD } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const register = () => request(app)
+  .post('/api/auth/register')
+  .send({ username: 'newcomer', email: 'newcomer@example.com', password: PASSWORD });
+
+// The token from the newest verification email queued for the address
+const latestVerificationToken = async () => {
+  const [email] = await EmailMessage.find({ kind: 'verification', to: 'newcomer@example.com' })
+    .sort({ _id: -1 })
+    .limit(1);
+  return email.text.match(/verify-email\/([0-9a-f]+)/)[1];
+};
+
+describe('email verification', () => {
+  it('emails a link on registration that verifies the address once', async () => {
+    const registered = await register();
+    expect(registered.status).toBe(201);
+    expect(registered.body.data.user.isEmailVerified).toBe(false);
+
+    const token = await latestVerificationToken();
+
+    const verified = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(verified.status).toBe(200);
+    expect((await User.findOne({ username: 'newcomer' })).isEmailVerified).toBe(true);
+
+    const reused = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(reused.status).toBe(400);
+  });
+
+  it('refuses an expired link', async () => {
+    await register();
+    const token = await latestVerificationToken();
+    await User.updateOne({ username: 'newcomer' }, { $set: { emailVerificationExpires: new Date(Date.now() - 1000) } });
+
+    const response = await request(app).get(`/api/auth/verify-email/${token}`);
+
+    expect(response.status).toBe(400);
+    expect((await User.findOne({ username: 'newcomer' })).isEmailVerified).toBe(false);
+  });
+
+  it('resends a link that replaces the previous one', async () => {
+    const registered = await register();
+    const firstToken = await latestVerificationToken();
+
+    const resent = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${registered.body.data.token}`);
+    expect(resent.status).toBe(200);
+
+    const secondToken = await latestVerificationToken();
+    expect(secondToken).not.toBe(firstToken);
+    expect((await request(app).get(`/api/auth/verify-email/${firstToken}`)).status).toBe(400);
+    expect((await request(app).get(`/api/auth/verify-email/${secondToken}`)).status).toBe(200);
+  });
+});
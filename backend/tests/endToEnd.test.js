@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../server');
+const File = require('../models/File');
+const EmailMessage = require('../models/EmailMessage');
+const db = require('./helpers/db');
+const { removeStoredFiles } = require('./helpers/files');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+// Stands in for what the browser encrypted; the server never sees the key
+const CIPHERTEXT = Buffer.from('9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08', 'hex');
+const ENCRYPTED_METADATA = 'bm90LXJlYWxseS1lbmNyeXB0ZWQ';
+
+const metadata = (fields) => Object.entries(fields)
+  .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+  .join(',');
+
+const uploadEncrypted = async (options = {}) => {
+  const created = await request(app)
+    .post('/api/files/uploads')
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Length', String(CIPHERTEXT.length))
+    .set('Upload-Metadata', metadata({ filename: 'encrypted', e2e: '1', e2eMetadata: ENCRYPTED_METADATA }));
+  expect(created.status).toBe(201);
+  const { uploadId } = created.body.data;
+
+  await request(app)
+    .patch(`/api/files/uploads/${uploadId}`)
+    .set('Tus-Resumable', '1.0.0')
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', '0')
+    .send(CIPHERTEXT);
+
+  const completed = await request(app).post(`/api/files/uploads/${uploadId}/complete`).send(options);
+  expect(completed.status).toBe(201);
+  return completed.body.data;
+};
+
+describe('end-to-end encrypted shares', () => {
+  it('stores the ciphertext as it was sent and marks the file', async () => {
+    const { id } = await uploadEncrypted();
+
+    const file = await File.findOne({ id });
+    expect(file.e2e).toBe(true);
+    expect(file.e2eMetadata).toBe(ENCRYPTED_METADATA);
+    expect(file.mimeType).toBe('application/octet-stream');
+
+    const info = await request(app).get(`/api/files/${id}`);
+    expect(info.body.data.e2e).toBe(true);
+    expect(info.body.data.files[0].e2eMetadata).toBe(ENCRYPTED_METADATA);
+
+    const downloaded = await request(app)
+      .get(`/api/files/${id}/download`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(Buffer.compare(downloaded.body, CIPHERTEXT)).toBe(0);
+  });
+
+  it('refuses an encrypted upload without its encrypted metadata', async () => {
+    const response = await request(app)
+      .post('/api/files/uploads')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(CIPHERTEXT.length))
+      .set('Upload-Metadata', metadata({ filename: 'encrypted', e2e: '1' }));
+
+    expect(response.status).toBe(400);
+  });
+
+  it('never emails a link, which could not carry the key', async () => {
+    const { id } = await uploadEncrypted({ receiverEmail: 'receiver@example.com' });
+
+    const emailed = await request(app)
+      .post(`/api/files/${id}/email`)
+      .send({ recipientEmail: 'receiver@example.com' });
+    expect(emailed.status).toBe(400);
+
+    expect(await EmailMessage.countDocuments({ kind: 'file-link' })).toBe(0);
+  });
+});
@@ -0,0 +1,28 @@
+const File = require('../models/File');
+const db = require('./helpers/db');
+
+beforeAll(async () => {
+  await db.connect();
+  await File.init();
+});
+afterAll(db.disconnect);
+
+const expiryIndex = async () => {
+  const indexes = await File.collection.indexes();
+  return indexes.find(index => index.name === 'expiryTime_1');
+};
+
+describe('File.ensureExpiryTtlIndex', () => {
+  it('replaces a plain expiryTime index with the TTL index', async () => {
+    await File.collection.dropIndex('expiryTime_1');
+    await File.collection.createIndex({ expiryTime: 1 });
+
+    expect(await File.ensureExpiryTtlIndex()).toBe(true);
+    expect((await expiryIndex()).expireAfterSeconds).toBe(24 * 60 * 60);
+  });
+
+  it('leaves the TTL index alone once it is in place', async () => {
+    expect(await File.ensureExpiryTtlIndex()).toBe(false);
+    expect((await expiryIndex()).expireAfterSeconds).toBe(24 * 60 * 60);
+  });
+});
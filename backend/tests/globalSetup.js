@@ -0,0 +1,25 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Start one throwaway MongoDB for the whole test run. mongodb-memory-server
+// downloads a mongod binary the first time; where it can't, give it one:
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+// or run the tests against a MongoDB that is already running:
+//   MONGODB_TEST_URI=mongodb://127.0.0.1:27017 npm test
+// (npm run test:local does the latter for a mongod on the default port).
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    return;
+  }
+
+  let server;
+  try {
+    server = await MongoMemoryServer.create();
+  } catch (error) {
+    throw new Error(
+      `${error.message}\nSet MONGOMS_SYSTEM_BINARY to a local mongod, or MONGODB_TEST_URI to a running MongoDB`,
+      { cause: error }
+    );
+  }
+  globalThis.__MONGO_SERVER__ = server;
+  process.env.MONGODB_TEST_URI = server.getUri();
+};
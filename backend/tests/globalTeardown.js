@@ -0,0 +1,6 @@
+// Stop the MongoDB started by globalSetup, if it started one
+module.exports = async () => {
+  if (globalThis.__MONGO_SERVER__) {
+    await globalThis.__MONGO_SERVER__.stop();
+  }
+};
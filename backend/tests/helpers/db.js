@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Each test file gets a database of its own on the MongoDB from
+// tests/globalSetup.js (or MONGODB_TEST_URI), so files never see each
+// other's data, even on a shared server
+const connect = async () => {
+  await mongoose.connect(process.env.MONGODB_TEST_URI, {
+    dbName: `fileshare-test-${crypto.randomBytes(6).toString('hex')}`
+  });
+};
+
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+};
+
+module.exports = { connect, clear, disconnect };
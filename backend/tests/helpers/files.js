@@ -0,0 +1,31 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const File = require('../../models/File');
+const storage = require('../../utils/storage');
+
+// Store some bytes and create the (unencrypted, single file) share for them
+const createStoredFile = async (content, fields = {}) => {
+  const id = uuidv4();
+  const filename = `${id}.txt`;
+  const { location } = await storage.put(filename, Readable.from([Buffer.from(content)]));
+
+  return File.create({
+    id,
+    shareId: id,
+    filename,
+    originalName: 'test.txt',
+    filePath: location,
+    mimeType: 'text/plain',
+    fileSize: Buffer.byteLength(content),
+    expiryTime: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+};
+
+// Remove everything the tests stored
+const removeStoredFiles = () => {
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+};
+
+module.exports = { createStoredFile, removeStoredFiles };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// A minimal OpenID Connect provider for tests. It signs in whoever the test
+// says: issueCode(claims) returns an authorization code for an ID token
+// with those claims (which must include the login's nonce).
+const startMockProvider = async ({ clientId }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const claims = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!claims) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    res.json({
+      token_type: 'Bearer',
+      access_token: crypto.randomBytes(16).toString('hex'),
+      expires_in: 300,
+      id_token: jwt.sign(claims, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: 300
+      })
+    });
+  });
+
+  return {
+    discoveryUrl: `${issuer}/.well-known/openid-configuration`,
+    issueCode: (claims) => {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, claims);
+      return code;
+    },
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startMockProvider };
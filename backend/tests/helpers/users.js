@@ -0,0 +1,18 @@
+const User = require('../../models/User');
+const { generateToken } = require('../../middleware/auth');
+
+const PASSWORD = 'Password1';
+
+// Create a user and an access token for it
+const createUser = async (username, fields = {}) => {
+  const user = await User.create({
+    username,
+    email: `${username}@example.com`,
+    password: PASSWORD,
+    ...fields
+  });
+
+  return { user, token: generateToken(user._id, user.tokenVersion) };
+};
+
+module.exports = { PASSWORD, createUser };
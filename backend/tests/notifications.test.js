@@ -0,0 +1,55 @@
+const notificationService = require('../utils/notifications');
+const User = require('../models/User');
+const EmailMessage = require('../models/EmailMessage');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const createShare = async (owner) => {
+  const first = await createStoredFile('first', { createdBy: owner._id, downloadCount: 1 });
+  const second = await createStoredFile('second', { createdBy: owner._id, downloadCount: 1, shareId: first.shareId });
+  return [first, second];
+};
+
+const notificationSubjects = async () => {
+  const emails = await EmailMessage.find({ kind: 'download-notification' });
+  return emails.map(email => email.subject);
+};
+
+describe('notificationService.notifyDownload', () => {
+  it('reports the first download of a share once, however its files are downloaded', async () => {
+    const owner = await User.create({
+      username: 'owner',
+      email: 'owner@example.com',
+      password: 'Password1',
+      preferences: { notifyEveryDownload: true }
+    });
+    const [first, second] = await createShare(owner);
+
+    // Each file of the share downloaded for the first time, at once
+    await Promise.all([
+      notificationService.notifyDownload([first]),
+      notificationService.notifyDownload([second])
+    ]);
+
+    const subjects = await notificationSubjects();
+    expect(subjects).toHaveLength(2);
+    expect(subjects.filter(subject => subject.includes('for the first time'))).toHaveLength(1);
+  });
+
+  it('only notifies owners who want first downloads once', async () => {
+    const owner = await User.create({ username: 'owner', email: 'owner@example.com', password: 'Password1' });
+    const [first, second] = await createShare(owner);
+
+    await notificationService.notifyDownload([first]);
+    await notificationService.notifyDownload([second]);
+
+    expect(await notificationSubjects()).toHaveLength(1);
+  });
+});
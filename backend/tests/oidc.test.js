@@ -0,0 +1,135 @@
+const request = require('supertest');
+const User = require('../models/User');
+const db = require('./helpers/db');
+const { startMockProvider } = require('./helpers/oidcProvider');
+
+const CLIENT_ID = 'fileshare-test';
+
+let app;
+let provider;
+
+beforeAll(async () => {
+  await db.connect();
+
+  provider = await startMockProvider({ clientId: CLIENT_ID });
+  process.env.OIDC_DISCOVERY_URL = provider.discoveryUrl;
+  process.env.OIDC_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_CLIENT_SECRET = 'test-client-secret';
+
+  // The SSO settings are read when the app loads
+  app = require('../server');
+});
+afterEach(db.clear);
+afterAll(async () => {
+  await provider.stop();
+  await db.disconnect();
+});
+
+// Start a login the way a browser does; returns its cookie and the state
+// and nonce sent to the provider
+const startLogin = async () => {
+  const response = await request(app).get('/api/auth/oidc/login');
+  expect(response.status).toBe(302);
+
+  const url = new URL(response.headers.location);
+  return {
+    cookie: response.headers['set-cookie'],
+    state: url.searchParams.get('state'),
+    nonce: url.searchParams.get('nonce')
+  };
+};
+
+// Come back from the provider as the given identity
+const callback = (login, claims, cookie = login.cookie) => {
+  const code = provider.issueCode({ nonce: login.nonce, ...claims });
+  const call = request(app).get('/api/auth/oidc/callback').query({ code, state: login.state });
+  return cookie ? call.set('Cookie', cookie) : call;
+};
+
+// The parameters handed to the frontend in the redirect's fragment
+const fragment = (response) => new URLSearchParams(new URL(response.headers.location).hash.slice(1));
+
+const alice = { sub: 'alice-subject', email: 'alice@example.com', email_verified: true };
+
+describe('single sign-on', () => {
+  it('sets an httpOnly state cookie when a login starts', async () => {
+    const { cookie } = await startLogin();
+
+    expect(cookie).toHaveLength(1);
+    expect(cookie[0]).toMatch(/^oidc_state=s%3A/);
+    expect(cookie[0]).toMatch(/HttpOnly/);
+  });
+
+  it('signs in the browser that started the login', async () => {
+    const login = await startLogin();
+
+    const response = await callback(login, alice);
+
+    expect(fragment(response).get('token')).toBeTruthy();
+    expect(await User.exists({ oidcSubject: alice.sub })).toBeTruthy();
+  });
+
+  it('creates an account for a plus-addressed email', async () => {
+    const login = await startLogin();
+
+    const response = await callback(login, { sub: 'bob-subject', email: 'Bob+files@Example.com', email_verified: true });
+
+    expect(fragment(response).get('token')).toBeTruthy();
+    expect((await User.findOne({ oidcSubject: 'bob-subject' })).email).toBe('bob+files@example.com');
+  });
+
+  it('refuses a callback without the state cookie', async () => {
+    const login = await startLogin();
+
+    const response = await callback(login, alice, null);
+
+    expect(fragment(response).get('token')).toBeNull();
+    expect(fragment(response).get('error')).toBeTruthy();
+  });
+
+  it('refuses a callback for a login started in another browser', async () => {
+    const attackerLogin = await startLogin();
+    const victimLogin = await startLogin();
+
+    const response = await callback(attackerLogin, alice, victimLogin.cookie);
+
+    expect(fragment(response).get('token')).toBeNull();
+    expect(fragment(response).get('error')).toBeTruthy();
+  });
+
+  it('does not link an account to an identity whose email is not verified', async () => {
+    await User.create({ username: 'alice', email: alice.email, password: 'Password1' });
+    const login = await startLogin();
+
+    const response = await callback(login, { ...alice, email_verified: undefined });
+
+    expect(fragment(response).get('token')).toBeNull();
+    expect((await User.findOne({ email: alice.email })).oidcSubject).toBeFalsy();
+  });
+
+  it('does not relink an account to a different identity', async () => {
+    await User.create({ username: 'alice', email: alice.email, password: 'Password1', oidcSubject: 'original-subject' });
+    const login = await startLogin();
+
+    const response = await callback(login, alice);
+
+    expect(fragment(response).get('token')).toBeNull();
+    expect((await User.findOne({ email: alice.email })).oidcSubject).toBe('original-subject');
+  });
+
+  it('asks accounts with two-factor authentication for a code', async () => {
+    await User.create({
+      username: 'alice',
+      email: alice.email,
+      password: 'Password1',
+      oidcSubject: alice.sub,
+      twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP' }
+    });
+    const login = await startLogin();
+
+    const response = await callback(login, alice);
+
+    expect(fragment(response).get('token')).toBeNull();
+    expect(fragment(response).get('challengeToken')).toBeTruthy();
+  });
+});
@@ -0,0 +1,67 @@
+const request = require('supertest');
+const app = require('../server');
+const EmailMessage = require('../models/EmailMessage');
+const db = require('./helpers/db');
+const { PASSWORD, createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const NEW_PASSWORD = 'Changed2';
+
+const login = (password) => request(app)
+  .post('/api/auth/login')
+  .send({ identifier: 'forgetful', password });
+
+const requestReset = (email) => request(app)
+  .post('/api/auth/forgot-password')
+  .send({ email });
+
+const resetPassword = (token) => request(app)
+  .post('/api/auth/reset-password')
+  .send({ token, password: NEW_PASSWORD });
+
+const emailedResetToken = async () => {
+  const email = await EmailMessage.findOne({ kind: 'password-reset', to: 'forgetful@example.com' });
+  return email.text.match(/reset-password\/([0-9a-f]+)/)[1];
+};
+
+describe('password reset', () => {
+  it('resets the password once with the emailed token and signs out every session', async () => {
+    await createUser('forgetful');
+    const session = await login(PASSWORD);
+    expect(session.status).toBe(200);
+
+    expect((await requestReset('forgetful@example.com')).status).toBe(200);
+    const token = await emailedResetToken();
+
+    expect((await resetPassword(token)).status).toBe(200);
+    expect((await login(PASSWORD)).status).toBe(401);
+    expect((await login(NEW_PASSWORD)).status).toBe(200);
+
+    // The link can't be used a second time
+    expect((await resetPassword(token)).status).toBe(400);
+
+    const oldAccess = await request(app)
+      .get('/api/auth/verify')
+      .set('Authorization', `Bearer ${session.body.data.token}`);
+    expect(oldAccess.status).toBe(401);
+
+    const oldRefresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.body.data.refreshToken });
+    expect(oldRefresh.status).toBe(401);
+  });
+
+  it('answers the same for an unknown address without sending anything', async () => {
+    await createUser('forgetful');
+
+    const known = await requestReset('forgetful@example.com');
+    const unknown = await requestReset('nobody@example.com');
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(await EmailMessage.countDocuments({ kind: 'password-reset' })).toBe(1);
+  });
+});
@@ -0,0 +1,61 @@
+const request = require('supertest');
+const app = require('../server');
+const File = require('../models/File');
+const db = require('./helpers/db');
+const { createStoredFile, removeStoredFiles } = require('./helpers/files');
+const { createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const deleteFile = (id, token) => request(app)
+  .delete(`/api/files/${id}`)
+  .set('Authorization', `Bearer ${token}`);
+
+const getFile = (id, token) => request(app)
+  .get(`/api/files/${id}`)
+  .set('Authorization', `Bearer ${token}`);
+
+describe('roles', () => {
+  let file;
+
+  // Someone else's password protected file
+  beforeEach(async () => {
+    const owner = await createUser('owner');
+    file = await createStoredFile('private', { createdBy: owner.user._id, passwordHash: 'not-checked-here' });
+  });
+
+  it('lets an admin see and delete any file', async () => {
+    const admin = await createUser('admin', { role: 'admin' });
+
+    const info = await getFile(file.id, admin.token);
+    expect(info.status).toBe(200);
+    expect(info.body.data.canManage).toBe(true);
+
+    expect((await deleteFile(file.id, admin.token)).status).toBe(200);
+    expect(await File.countDocuments({ id: file.id })).toBe(0);
+  });
+
+  it('lets an auditor see but not delete any file', async () => {
+    const auditor = await createUser('auditor', { role: 'auditor' });
+
+    const info = await getFile(file.id, auditor.token);
+    expect(info.status).toBe(200);
+    expect(info.body.data.canManage).toBe(false);
+
+    expect((await deleteFile(file.id, auditor.token)).status).toBe(403);
+    expect(await File.countDocuments({ id: file.id })).toBe(1);
+  });
+
+  it('keeps other users out of the file', async () => {
+    const stranger = await createUser('stranger');
+
+    expect((await getFile(file.id, stranger.token)).status).toBe(401);
+    expect((await deleteFile(file.id, stranger.token)).status).toBe(403);
+    expect(await File.countDocuments({ id: file.id })).toBe(1);
+  });
+});
@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../server');
+const Session = require('../models/Session');
+const db = require('./helpers/db');
+const { PASSWORD, createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const login = async () => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ identifier: 'traveller', password: PASSWORD });
+  expect(response.status).toBe(200);
+  return response.body.data;
+};
+
+const refresh = (refreshToken) => request(app)
+  .post('/api/auth/refresh')
+  .send({ refreshToken });
+
+const verify = (token) => request(app)
+  .get('/api/auth/verify')
+  .set('Authorization', `Bearer ${token}`);
+
+describe('sessions', () => {
+  beforeEach(() => createUser('traveller'));
+
+  it('rotates the refresh token on every refresh', async () => {
+    const { refreshToken } = await login();
+
+    const refreshed = await refresh(refreshToken);
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+    expect((await verify(refreshed.body.data.token)).status).toBe(200);
+
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+
+  it('ends the session when a rotated refresh token is replayed', async () => {
+    const { refreshToken } = await login();
+    const refreshed = await refresh(refreshToken);
+
+    // Long enough ago not to be two tabs refreshing at once
+    const [sessionId] = refreshToken.split('.');
+    await Session.updateOne({ id: sessionId }, { $set: { rotatedAt: new Date(Date.now() - 60 * 1000) } });
+
+    expect((await refresh(refreshToken)).status).toBe(401);
+    expect((await refresh(refreshed.body.data.refreshToken)).status).toBe(401);
+    expect((await verify(refreshed.body.data.token)).status).toBe(401);
+  });
+
+  it('revokes one session from another', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    const listed = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`);
+    expect(listed.body.data.sessions).toHaveLength(2);
+    const phoneSession = listed.body.data.sessions.find(session => !session.current);
+
+    const revoked = await request(app)
+      .delete(`/api/auth/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop.token}`);
+    expect(revoked.status).toBe(200);
+
+    expect((await verify(phone.token)).status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await verify(laptop.token)).status).toBe(200);
+  });
+
+  it('logs out everywhere', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    const response = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${laptop.token}`);
+    expect(response.status).toBe(200);
+
+    for (const { token, refreshToken } of [laptop, phone]) {
+      expect((await verify(token)).status).toBe(401);
+      expect((await refresh(refreshToken)).status).toBe(401);
+    }
+  });
+});
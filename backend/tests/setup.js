@@ -0,0 +1,8 @@
+const os = require('os');
+const path = require('path');
+
+// Settings every test runs with, before any app module is loaded
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), `fileshare-test-${process.pid}`);
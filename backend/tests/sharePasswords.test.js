@@ -0,0 +1,71 @@
+const request = require('supertest');
+const app = require('../server');
+const File = require('../models/File');
+const db = require('./helpers/db');
+const { removeStoredFiles } = require('./helpers/files');
+
+const PASSWORD = 'open-sesame';
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const uploadProtected = async () => {
+  const response = await request(app)
+    .post('/api/files/upload')
+    .field('password', PASSWORD)
+    .attach('file', Buffer.from('protected content'), 'secret.txt');
+
+  expect(response.status).toBe(201);
+  return response.body.data.shareId;
+};
+
+describe('password protected shares', () => {
+  it('stores only a bcrypt hash of the password', async () => {
+    const shareId = await uploadProtected();
+
+    const file = await File.findOne({ shareId });
+    expect(file.passwordHash).toMatch(/^\$2[aby]\$/);
+    expect(file.passwordHash).not.toContain(PASSWORD);
+  });
+
+  it('refuses the file info and download until the password is entered', async () => {
+    const shareId = await uploadProtected();
+
+    const info = await request(app).get(`/api/files/${shareId}`);
+    expect(info.status).toBe(401);
+    expect(info.body.passwordProtected).toBe(true);
+
+    const download = await request(app).get(`/api/files/${shareId}/download`);
+    expect(download.status).toBe(401);
+
+    const wrong = await request(app).post(`/api/files/${shareId}/unlock`).send({ password: 'guess' });
+    expect(wrong.status).toBe(401);
+
+    const unlocked = await request(app).post(`/api/files/${shareId}/unlock`).send({ password: PASSWORD });
+    expect(unlocked.status).toBe(200);
+    const { shareToken } = unlocked.body.data;
+
+    const unlockedInfo = await request(app).get(`/api/files/${shareId}`).set('X-Share-Token', shareToken);
+    expect(unlockedInfo.status).toBe(200);
+
+    const unlockedDownload = await request(app).get(`/api/files/${shareId}/download`).set('X-Share-Token', shareToken);
+    expect(unlockedDownload.status).toBe(200);
+    expect(unlockedDownload.text).toBe('protected content');
+  });
+
+  it('rate limits wrong guesses', async () => {
+    const shareId = await uploadProtected();
+
+    const responses = [];
+    for (let i = 0; i < 6; i++) {
+      responses.push(await request(app).post(`/api/files/${shareId}/unlock`).send({ password: `guess-${i}` }));
+    }
+
+    expect(responses.slice(0, 5).every(response => response.status === 401)).toBe(true);
+    expect(responses[5].status).toBe(429);
+  });
+});
@@ -0,0 +1,54 @@
+const request = require('supertest');
+const app = require('../server');
+const File = require('../models/File');
+const EmailMessage = require('../models/EmailMessage');
+const db = require('./helpers/db');
+const { removeStoredFiles } = require('./helpers/files');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+describe('multi-file shares', () => {
+  it('bundles every file of an upload under one share link', async () => {
+    const upload = await request(app)
+      .post('/api/files/upload')
+      .field('receiverEmail', 'receiver@example.com')
+      .attach('files', Buffer.from('first'), 'first.txt')
+      .attach('files', Buffer.from('second'), 'second.txt')
+      .attach('files', Buffer.from('third'), 'third.txt');
+
+    expect(upload.status).toBe(201);
+    expect(upload.body.data.fileCount).toBe(3);
+    const { shareId } = upload.body.data;
+    expect(await File.countDocuments({ shareId })).toBe(3);
+
+    const info = await request(app).get(`/api/files/${shareId}`);
+    expect(info.status).toBe(200);
+    expect(info.body.data.files.map(file => file.filename).sort()).toEqual(['first.txt', 'second.txt', 'third.txt']);
+
+    // One email for the whole bundle
+    const emails = await EmailMessage.find({ kind: 'file-link' });
+    expect(emails).toHaveLength(1);
+    expect(emails[0].to).toBe('receiver@example.com');
+    ['first.txt', 'second.txt', 'third.txt'].forEach(name => {
+      expect(emails[0].text).toContain(name);
+    });
+  });
+
+  it('downloads each file of a share on its own', async () => {
+    const upload = await request(app)
+      .post('/api/files/upload')
+      .attach('files', Buffer.from('first'), 'first.txt')
+      .attach('files', Buffer.from('second'), 'second.txt');
+
+    const second = upload.body.data.files.find(file => file.filename === 'second.txt');
+    const response = await request(app).get(`/api/files/${second.id}/download`);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('second');
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const request = require('supertest');
+const app = require('../server');
+const File = require('../models/File');
+const storage = require('../utils/storage');
+const db = require('./helpers/db');
+const { removeStoredFiles } = require('./helpers/files');
+const { createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+describe('storage backends', () => {
+  it('stores, serves and deletes uploads through the configured driver', async () => {
+    const put = jest.spyOn(storage, 'put');
+    const getStream = jest.spyOn(storage, 'getStream');
+    const remove = jest.spyOn(storage, 'delete');
+    const owner = await createUser('owner');
+
+    const uploaded = await request(app)
+      .post('/api/files/upload')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .attach('file', Buffer.from('stored bytes'), 'stored.txt');
+    expect(uploaded.status).toBe(201);
+
+    const file = await File.findOne({ id: uploaded.body.data.id });
+    expect(put).toHaveBeenCalledWith(file.filename, expect.anything(), expect.anything());
+    expect(fs.readFileSync(path.join(process.env.UPLOAD_DIR, file.filename), 'utf8')).toBe('stored bytes');
+
+    const downloaded = await request(app).get(`/api/files/${file.id}/download`);
+    expect(downloaded.text).toBe('stored bytes');
+    expect(getStream).toHaveBeenCalledWith(file.filename, expect.anything());
+
+    const deleted = await request(app)
+      .delete(`/api/files/${file.id}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(deleted.status).toBe(200);
+    expect(remove).toHaveBeenCalledWith(file.filename);
+    expect(await storage.stat(file.filename)).toBeNull();
+  });
+
+  it('finds stored objects that no file points to by listing the driver', async () => {
+    const admin = await createUser('admin', { role: 'admin' });
+    const { location } = await storage.put('orphan.txt', Readable.from([Buffer.from('left behind')]));
+
+    // Newer objects may belong to uploads still in progress
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(location, twoHoursAgo, twoHoursAgo);
+
+    const response = await request(app)
+      .post('/api/admin/reconcile')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.orphanedObjects.map(object => object.key)).toEqual(['orphan.txt']);
+    expect(await storage.stat('orphan.txt')).not.toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const app = require('../server');
+const totp = require('../utils/totp');
+const db = require('./helpers/db');
+const { PASSWORD, createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const login = () => request(app)
+  .post('/api/auth/login')
+  .send({ identifier: 'careful', password: PASSWORD });
+
+const finishLogin = (challengeToken, code) => request(app)
+  .post('/api/auth/login/2fa')
+  .send({ challengeToken, code });
+
+// Sign in and turn on two-factor authentication with an authenticator app
+const enrol = async () => {
+  await createUser('careful');
+  const { token } = (await login()).body.data;
+
+  const setup = await request(app)
+    .post('/api/auth/2fa/setup')
+    .set('Authorization', `Bearer ${token}`);
+  const { secret } = setup.body.data;
+
+  const enabled = await request(app)
+    .post('/api/auth/2fa/enable')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: totp.generateCode(secret, totp.currentStep()) });
+  expect(enabled.status).toBe(200);
+
+  return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+};
+
+describe('two-factor authentication', () => {
+  it('asks for a code after the password and accepts each code once', async () => {
+    const { secret } = await enrol();
+
+    const challenged = await login();
+    expect(challenged.body.data.twoFactorRequired).toBe(true);
+    expect(challenged.body.data.token).toBeUndefined();
+    const { challengeToken } = challenged.body.data;
+
+    // Already used to confirm the setup
+    const replayed = await finishLogin(challengeToken, totp.generateCode(secret, totp.currentStep()));
+    expect(replayed.status).toBe(401);
+
+    const next = await finishLogin(challengeToken, totp.generateCode(secret, totp.currentStep() + 1));
+    expect(next.status).toBe(200);
+    expect(next.body.data.token).toBeDefined();
+    expect(next.body.data.refreshToken).toBeDefined();
+  });
+
+  it('accepts a recovery code only once', async () => {
+    const { recoveryCodes } = await enrol();
+    expect(recoveryCodes).toHaveLength(10);
+
+    const first = await finishLogin((await login()).body.data.challengeToken, recoveryCodes[0]);
+    expect(first.status).toBe(200);
+
+    const again = await finishLogin((await login()).body.data.challengeToken, recoveryCodes[0]);
+    expect(again.status).toBe(401);
+  });
+
+  it('does not take an access token in place of the challenge', async () => {
+    const { secret } = await enrol();
+    const { token } = await createUser('someone');
+
+    const response = await finishLogin(token, totp.generateCode(secret, totp.currentStep() + 1));
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Encryption at rest is configured when the app loads
+process.env.FILE_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+
+const request = require('supertest');
+const app = require('../server');
+const UploadSession = require('../models/UploadSession');
+const db = require('./helpers/db');
+const { removeStoredFiles } = require('./helpers/files');
+const { createUser } = require('./helpers/users');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+  await db.disconnect();
+  removeStoredFiles();
+});
+
+const CONTENT = 'Secret report contents. '.repeat(100);
+
+const metadata = (fields) => Object.entries(fields)
+  .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+  .join(',');
+
+const createUpload = async (length, token = null) => {
+  const call = request(app).post('/api/files/uploads');
+  if (token) call.set('Authorization', `Bearer ${token}`);
+
+  const response = await call
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Length', String(length))
+    .set('Upload-Metadata', metadata({ filename: 'report.txt', filetype: 'text/plain' }));
+
+  expect(response.status).toBe(201);
+  return response.body.data.uploadId;
+};
+
+const sendChunk = (uploadId, offset, chunk) => request(app)
+  .patch(`/api/files/uploads/${uploadId}`)
+  .set('Tus-Resumable', '1.0.0')
+  .set('Content-Type', 'application/offset+octet-stream')
+  .set('Upload-Offset', String(offset))
+  .send(chunk);
+
+describe('resumable uploads', () => {
+  it('resumes an upload from the offset the server has', async () => {
+    const content = Buffer.from(CONTENT);
+    const uploadId = await createUpload(content.length);
+
+    // The connection drops after the first part
+    const split = 700;
+    expect((await sendChunk(uploadId, 0, content.subarray(0, split))).status).toBe(204);
+
+    const status = await request(app)
+      .head(`/api/files/uploads/${uploadId}`)
+      .set('Tus-Resumable', '1.0.0');
+    expect(status.status).toBe(200);
+    expect(status.headers['upload-offset']).toBe(String(split));
+    expect(status.headers['upload-length']).toBe(String(content.length));
+
+    // A chunk for the wrong offset is refused, as is finishing early
+    expect((await sendChunk(uploadId, 0, content)).status).toBe(409);
+    expect((await request(app).post(`/api/files/uploads/${uploadId}/complete`).send({})).status).toBe(409);
+
+    const resumed = await sendChunk(uploadId, split, content.subarray(split));
+    expect(resumed.status).toBe(204);
+    expect(resumed.headers['upload-offset']).toBe(String(content.length));
+
+    const completed = await request(app).post(`/api/files/uploads/${uploadId}/complete`).send({});
+    expect(completed.status).toBe(201);
+    expect(completed.body.data.filename).toBe('report.txt');
+
+    const downloaded = await request(app).get(`/api/files/${completed.body.data.id}/download`);
+    expect(downloaded.text).toBe(CONTENT);
+  });
+
+  it('never stages chunks on disk in plaintext', async () => {
+    const content = Buffer.from(CONTENT);
+    const uploadId = await createUpload(content.length);
+
+    // An offset inside a cipher block, as a resumed upload may have
+    const split = 1001;
+    expect((await sendChunk(uploadId, 0, content.subarray(0, split))).status).toBe(204);
+    expect((await sendChunk(uploadId, split, content.subarray(split))).status).toBe(204);
+
+    const session = await UploadSession.findOne({ id: uploadId });
+    const staged = fs.readFileSync(session.tempPath);
+    expect(staged).toHaveLength(content.length);
+    expect(staged.includes('Secret report')).toBe(false);
+
+    const completed = await request(app).post(`/api/files/uploads/${uploadId}/complete`).send({});
+    expect(completed.status).toBe(201);
+    expect(fs.existsSync(session.tempPath)).toBe(false);
+
+    const downloaded = await request(app).get(`/api/files/${completed.body.data.id}/download`);
+    expect(downloaded.status).toBe(200);
+    expect(downloaded.text).toBe(CONTENT);
+  });
+
+  it('does not let an unverified account complete an upload when verification is required', async () => {
+    const { token } = await createUser('alice', { isEmailVerified: false });
+    const content = Buffer.from(CONTENT);
+
+    // Started before verification became required
+    const uploadId = await createUpload(content.length, token);
+    expect((await sendChunk(uploadId, 0, content).set('Authorization', `Bearer ${token}`)).status).toBe(204);
+
+    process.env.REQUIRE_VERIFIED_EMAIL_TO_UPLOAD = 'true';
+    try {
+      const single = await request(app)
+        .post(`/api/files/uploads/${uploadId}/complete`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+      expect(single.status).toBe(403);
+
+      const together = await request(app)
+        .post('/api/files/uploads/complete')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ uploadIds: [uploadId] });
+      expect(together.status).toBe(403);
+    } finally {
+      delete process.env.REQUIRE_VERIFIED_EMAIL_TO_UPLOAD;
+    }
+  });
+});
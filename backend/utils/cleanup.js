@@ -1,11 +1,44 @@
 const fs = require('fs');
-const path = require('path');
 const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const storage = require('./storage');
+const fileEvents = require('./fileEvents');
+
+// Expired files are deleted this many at a time
+const EXPIRY_BATCH_SIZE = parseInt(process.env.EXPIRY_BATCH_SIZE) || 100;
+
+// Longest the expiry scheduler sleeps between checks, so files uploaded
+// through other server instances still expire on time
+const EXPIRY_MAX_WAIT_MS = 60 * 1000;
+
+// How often storage is reconciled with the database; 0 turns it off
+const RECONCILE_INTERVAL_HOURS = process.env.RECONCILE_INTERVAL_HOURS !== undefined
+  ? parseFloat(process.env.RECONCILE_INTERVAL_HOURS)
+  : 24;
+
+// Scheduled runs only report what they would change
+const RECONCILE_DRY_RUN = process.env.RECONCILE_DRY_RUN === 'true';
+
+// Reports list at most this many objects and files; counts are always exact
+const REPORT_ITEM_LIMIT = 100;
 
 class CleanupService {
   constructor() {
     this.isRunning = false;
     this.intervalId = null;
+    this.expiryTimer = null;
+    this.nextExpiryCheck = null;
+    this.expiring = false;
+    this.reconcileIntervalId = null;
+    this.reconciling = false;
+    this.lastReconciliation = null;
+
+    // New uploads may expire before the scheduler next wakes up
+    this.onFilesCreated = (files) => {
+      if (files.length > 0) {
+        this.scheduleExpiryCheck(files[0].expiryTime);
+      }
+    };
   }
 
   // Start the cleanup service
@@ -18,13 +51,23 @@ class CleanupService {
     console.log('Starting cleanup service...');
     this.isRunning = true;
 
-    // Run cleanup immediately
+    // Delete files as they expire
+    fileEvents.on('created', this.onFilesCreated);
     this.cleanupExpiredFiles();
 
-    // Schedule cleanup to run every hour
+    // Clean up abandoned uploads now and every hour
+    this.cleanupStaleUploads();
     this.intervalId = setInterval(() => {
-      this.cleanupExpiredFiles();
+      this.cleanupStaleUploads();
     }, 60 * 60 * 1000); // 1 hour
+
+    // Reconcile storage on its own, much slower schedule; failures are
+    // logged by reconcile() and a run still in progress is left alone
+    if (RECONCILE_INTERVAL_HOURS > 0) {
+      this.reconcileIntervalId = setInterval(() => {
+        this.reconcile({ dryRun: RECONCILE_DRY_RUN }).catch(() => {});
+      }, RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+    }
   }
 
   // Stop the cleanup service
@@ -41,54 +84,132 @@ class CleanupService {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
+
+    fileEvents.off('created', this.onFilesCreated);
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+      this.nextExpiryCheck = null;
+    }
+
+    if (this.reconcileIntervalId) {
+      clearInterval(this.reconcileIntervalId);
+      this.reconcileIntervalId = null;
+    }
+  }
+
+  // Run cleanupExpiredFiles() at the given time, unless it is already due
+  // to run sooner
+  scheduleExpiryCheck(at) {
+    if (!this.isRunning) return;
+
+    const delay = Math.min(Math.max(new Date(at).getTime() - Date.now(), 0), EXPIRY_MAX_WAIT_MS);
+    const runAt = Date.now() + delay;
+
+    if (this.expiryTimer && this.nextExpiryCheck <= runAt) return;
+
+    clearTimeout(this.expiryTimer);
+    this.nextExpiryCheck = runAt;
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+      this.nextExpiryCheck = null;
+      this.cleanupExpiredFiles();
+    }, delay);
   }
 
-  // Clean up expired files
+  // Delete every file that has expired, a batch at a time, then sleep until
+  // the next file is due to expire
   async cleanupExpiredFiles() {
+    // A run in progress picks up everything that is due
+    if (this.expiring) return;
+    this.expiring = true;
+
+    let nextExpiry = null;
+
     try {
-      console.log('Starting expired files cleanup...');
-      
-      // Find all expired files
-      const expiredFiles = await File.findExpiredFiles();
-      
-      if (expiredFiles.length === 0) {
-        console.log('No expired files found');
-        return;
+      let deletedCount = 0;
+      let batch;
+
+      do {
+        batch = await File.find({ expiryTime: { $lte: new Date() } }, '_id')
+          .sort({ expiryTime: 1 })
+          .limit(EXPIRY_BATCH_SIZE);
+
+        for (const { _id } of batch) {
+          if (await this.expireFile(_id)) {
+            deletedCount++;
+          }
+        }
+      } while (batch.length === EXPIRY_BATCH_SIZE);
+
+      if (deletedCount > 0) {
+        console.log(`Expired files cleanup completed. Deleted: ${deletedCount}`);
       }
 
-      console.log(`Found ${expiredFiles.length} expired files to clean up`);
+      const next = await File.findOne({}, 'expiryTime').sort({ expiryTime: 1 });
+      nextExpiry = next ? next.expiryTime : null;
+
+    } catch (error) {
+      console.error('Error during cleanup process:', error);
+    } finally {
+      this.expiring = false;
+      this.scheduleExpiryCheck(nextExpiry || Date.now() + EXPIRY_MAX_WAIT_MS);
+    }
+  }
+
+  // Delete one expired file. The record is claimed first so only one server
+  // deletes it; stored bytes left behind by a failed delete are removed by
+  // reconciliation. Resolves to whether this call deleted the file.
+  async expireFile(id) {
+    const file = await File.findOneAndDelete({ _id: id, expiryTime: { $lte: new Date() } });
+    if (!file) {
+      return false;
+    }
+
+    try {
+      await storage.delete(file.filename);
+    } catch (error) {
+      console.error(`Error deleting expired file ${file.originalName} from storage:`, error);
+    }
+
+    console.log(`Cleaned up expired file: ${file.originalName} (${file.id})`);
+
+    try {
+      fileEvents.emit('expired', file);
+    } catch (error) {
+      console.error('Error in expired file listener:', error);
+    }
+
+    return true;
+  }
+
+  // Clean up resumable uploads that were never completed
+  async cleanupStaleUploads() {
+    try {
+      const staleSessions = await UploadSession.findStaleSessions();
+
+      if (staleSessions.length === 0) {
+        return;
+      }
 
       let deletedCount = 0;
-      let errorCount = 0;
 
-      for (const file of expiredFiles) {
+      for (const session of staleSessions) {
         try {
-          // Delete file from disk
-          if (fs.existsSync(file.filePath)) {
-            fs.unlinkSync(file.filePath);
-            console.log(`Deleted file from disk: ${file.originalName}`);
+          if (fs.existsSync(session.tempPath)) {
+            fs.unlinkSync(session.tempPath);
           }
-
-          // Delete file record from database
-          await File.findByIdAndDelete(file._id);
+          await UploadSession.findByIdAndDelete(session._id);
           deletedCount++;
-
-          console.log(`Cleaned up expired file: ${file.originalName} (${file.id})`);
-
         } catch (error) {
-          console.error(`Error cleaning up file ${file.originalName}:`, error);
-          errorCount++;
+          console.error(`Error cleaning up upload session ${session.id}:`, error);
         }
       }
 
-      console.log(`Cleanup completed. Deleted: ${deletedCount}, Errors: ${errorCount}`);
-
-      // Log cleanup statistics
-      const stats = await this.getCleanupStats();
-      console.log('Cleanup stats:', stats);
+      console.log(`Stale uploads cleanup completed. Deleted: ${deletedCount}`);
 
     } catch (error) {
-      console.error('Error during cleanup process:', error);
+      console.error('Error during stale uploads cleanup:', error);
     }
   }
 
@@ -96,8 +217,10 @@ class CleanupService {
   async getCleanupStats() {
     try {
       const totalFiles = await File.countDocuments();
-      const expiredFiles = await File.findExpiredFiles();
-      const activeFiles = totalFiles - expiredFiles.length;
+      const expiredFiles = await File.countDocuments({
+        $or: [{ isExpired: true }, { expiryTime: { $lt: new Date() } }]
+      });
+      const activeFiles = totalFiles - expiredFiles;
 
       const totalSize = await File.aggregate([
         { $group: { _id: null, totalSize: { $sum: '$fileSize' } } }
@@ -111,7 +234,7 @@ class CleanupService {
       return {
         totalFiles,
         activeFiles,
-        expiredFiles: expiredFiles.length,
+        expiredFiles,
         totalSize: totalSize[0]?.totalSize || 0,
         expiredSize: expiredSize[0]?.totalSize || 0,
         lastCleanup: new Date()
@@ -132,11 +255,9 @@ class CleanupService {
         throw new Error('File not found');
       }
 
-      // Delete file from disk
-      if (fs.existsSync(file.filePath)) {
-        fs.unlinkSync(file.filePath);
-        console.log(`Force deleted file from disk: ${file.originalName}`);
-      }
+      // Delete file from storage
+      await storage.delete(file.filename);
+      console.log(`Force deleted file from storage: ${file.originalName}`);
 
       // Delete file record from database
       await File.findByIdAndDelete(file._id);
@@ -150,82 +271,142 @@ class CleanupService {
     }
   }
 
-  // Clean up orphaned files (files on disk but not in database)
-  async cleanupOrphanedFiles() {
+  // Reconcile storage with the database in both directions: objects in
+  // storage with no file record are deleted, and records whose object is
+  // missing are marked broken (and unmarked if it comes back). Records of
+  // expired or used-up files are never marked: their bytes are deleted on
+  // purpose. With dryRun nothing is changed and the report only lists what
+  // would be done.
+  async reconcile({ dryRun = false } = {}) {
+    if (this.reconciling) {
+      throw new Error('Reconciliation is already running');
+    }
+
+    this.reconciling = true;
+    const report = {
+      dryRun,
+      startedAt: new Date(),
+      finishedAt: null,
+      orphanedObjects: [],
+      orphanedCount: 0,
+      orphanedSize: 0,
+      deletedCount: 0,
+      missingFiles: [],
+      missingCount: 0,
+      markedBrokenCount: 0,
+      restoredCount: 0,
+      errorCount: 0
+    };
+
     try {
-      console.log('Starting orphaned files cleanup...');
-      
-      const uploadDir = './uploads';
-      if (!fs.existsSync(uploadDir)) {
-        console.log('Upload directory does not exist');
-        return;
-      }
+      console.log(`Starting storage reconciliation${dryRun ? ' (dry run)' : ''}...`);
 
-      // Get all files in upload directory
-      const filesOnDisk = fs.readdirSync(uploadDir);
-      
-      // Get all file paths from database
-      const dbFiles = await File.find({}, 'filePath');
-      const dbFilePaths = new Set(dbFiles.map(file => path.basename(file.filePath)));
-
-      let orphanedCount = 0;
-      let errorCount = 0;
-
-      for (const fileName of filesOnDisk) {
-        const filePath = path.join(uploadDir, fileName);
-        
-        // Skip if it's not a file
-        if (!fs.statSync(filePath).isFile()) {
+      const dbFiles = await File.find({}, 'id filename originalName isBroken expiryTime downloadCount maxDownloads');
+      const dbFileNames = new Set(dbFiles.map(file => file.filename));
+      const storedKeys = new Set();
+
+      // Uploads still in progress are stored before their record is saved
+      const cutoff = Date.now() - 60 * 60 * 1000;
+
+      for await (const { key, size, lastModified } of storage.list()) {
+        storedKeys.add(key);
+
+        if (dbFileNames.has(key) || (lastModified && lastModified.getTime() > cutoff)) {
           continue;
         }
 
-        // Check if file exists in database
-        if (!dbFilePaths.has(fileName)) {
+        report.orphanedCount++;
+        report.orphanedSize += size || 0;
+        if (report.orphanedObjects.length < REPORT_ITEM_LIMIT) {
+          report.orphanedObjects.push({ key, size, lastModified });
+        }
+
+        if (!dryRun) {
           try {
-            fs.unlinkSync(filePath);
-            orphanedCount++;
-            console.log(`Deleted orphaned file: ${fileName}`);
+            await storage.delete(key);
+            report.deletedCount++;
+            console.log(`Deleted orphaned file: ${key}`);
           } catch (error) {
-            console.error(`Error deleting orphaned file ${fileName}:`, error);
-            errorCount++;
+            console.error(`Error deleting orphaned file ${key}:`, error);
+            report.errorCount++;
           }
         }
       }
 
-      console.log(`Orphaned files cleanup completed. Deleted: ${orphanedCount}, Errors: ${errorCount}`);
+      const newlyBroken = [];
+      const restored = [];
 
-      return {
-        orphanedCount,
-        errorCount,
-        message: `Cleaned up ${orphanedCount} orphaned files`
-      };
+      for (const file of dbFiles) {
+        if (storedKeys.has(file.filename)) {
+          if (file.isBroken) {
+            restored.push(file._id);
+          }
+          continue;
+        }
+
+        // Deleted when the file expired or reached its download limit
+        if (file.isFileExpired() || file.isDownloadLimitReached()) {
+          continue;
+        }
+
+        report.missingCount++;
+        if (report.missingFiles.length < REPORT_ITEM_LIMIT) {
+          report.missingFiles.push({
+            id: file.id,
+            filename: file.originalName,
+            storageKey: file.filename,
+            alreadyBroken: file.isBroken
+          });
+        }
+        if (!file.isBroken) {
+          newlyBroken.push(file._id);
+        }
+      }
+
+      if (dryRun) {
+        report.markedBrokenCount = newlyBroken.length;
+        report.restoredCount = restored.length;
+      } else {
+        if (newlyBroken.length > 0) {
+          const result = await File.updateMany(
+            { _id: { $in: newlyBroken } },
+            { $set: { isBroken: true, brokenAt: new Date() } }
+          );
+          report.markedBrokenCount = result.modifiedCount;
+        }
+        if (restored.length > 0) {
+          const result = await File.updateMany(
+            { _id: { $in: restored } },
+            { $set: { isBroken: false, brokenAt: null } }
+          );
+          report.restoredCount = result.modifiedCount;
+        }
+      }
+
+      report.finishedAt = new Date();
+      this.lastReconciliation = report;
+
+      console.log(`Reconciliation completed${dryRun ? ' (dry run)' : ''}. Orphaned: ${report.orphanedCount}, Deleted: ${report.deletedCount}, Missing: ${report.missingCount}, Marked broken: ${report.markedBrokenCount}, Errors: ${report.errorCount}`);
+
+      return report;
 
     } catch (error) {
-      console.error('Error during orphaned files cleanup:', error);
+      console.error('Error during storage reconciliation:', error);
       throw error;
+    } finally {
+      this.reconciling = false;
     }
   }
 
-  // Get disk usage statistics
+  // Get storage usage statistics
   async getDiskUsage() {
     try {
-      const uploadDir = './uploads';
-      if (!fs.existsSync(uploadDir)) {
-        return { totalSize: 0, fileCount: 0 };
-      }
-
-      const files = fs.readdirSync(uploadDir);
       let totalSize = 0;
       let fileCount = 0;
 
-      for (const file of files) {
-        const filePath = path.join(uploadDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.isFile()) {
-          totalSize += stats.size;
-          fileCount++;
-        }
+      for await (const { size } of storage.list()) {
+        totalSize += size;
+        fileCount++;
       }
 
       return {
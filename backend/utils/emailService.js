@@ -1,22 +1,38 @@
+const { EventEmitter } = require('events');
 const nodemailer = require('nodemailer');
-const path = require('path');
+const File = require('../models/File');
+const EmailMessage = require('../models/EmailMessage');
+const templates = require('./emailTemplates');
 
-class EmailService {
+// Tests deliver to a local SMTP catch-all (npm run mail:catch-all, or
+// MailHog or Mailpit) unless EMAIL_HOST says otherwise
+const isTest = process.env.NODE_ENV === 'test';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Builds emails and queues them in the outbox (see models/EmailMessage);
+// the email worker delivers them with deliver(). Emits "queued" (message).
+// The emails themselves are templates/email, rendered by utils/emailTemplates.
+class EmailService extends EventEmitter {
   constructor() {
+    super();
+
     this.transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-      port: parseInt(process.env.EMAIL_PORT) || 587,
+      host: process.env.EMAIL_HOST || (isTest ? 'localhost' : 'smtp.gmail.com'),
+      port: parseInt(process.env.EMAIL_PORT) || (isTest ? 1025 : 587),
       secure: false, // true for 465, false for other ports
-      auth: {
+      auth: process.env.EMAIL_USER ? {
         user: process.env.EMAIL_USER,
         pass: process.env.EMAIL_PASS
-      },
+      } : undefined,
       tls: {
         rejectUnauthorized: false
       }
     });
 
-    // Verify connection configuration
+    // Verify connection configuration; tests start their catch-all later
+    if (isTest) return;
+
     this.transporter.verify((error, success) => {
       if (error) {
         console.log('Email service configuration error:', error);
@@ -26,274 +42,203 @@ class EmailService {
     });
   }
 
-  // Send file download link email
-  async sendFileLinkEmail(fileData, recipientEmail, senderEmail = null) {
+  // Summarize a share (one File or an array of Files) for the templates
+  describeShare(files, locale) {
+    files = [].concat(files);
+    const [firstFile] = files;
+    const totalSize = files.reduce((total, file) => total + file.fileSize, 0);
+
+    return {
+      shareId: firstFile.shareId || firstFile.id,
+      fileName: files.length === 1
+        ? firstFile.originalName
+        : templates.translate(locale, 'common.fileCount', { count: files.length }),
+      fileSize: File.formatSize(totalSize),
+      files: files.length > 1
+        ? files.map(file => ({ name: file.originalName, size: file.fileSizeFormatted }))
+        : [],
+      downloadUrl: `${frontendUrl()}/download/${firstFile.shareId || firstFile.id}`,
+      expiryTime: firstFile.expiryTime,
+      downloadCount: firstFile.downloadCount,
+      maxDownloads: firstFile.maxDownloads
+    };
+  }
+
+  // The language a user gets their emails in
+  userLocale(user) {
+    return templates.resolveLocale(user && user.preferences && user.preferences.locale);
+  }
+
+  // Send file download link email. options.message is the sender's personal
+  // note, options.subject replaces the default subject, options.locale is
+  // the recipient's language and options.sentBy is the user sending it.
+  async sendFileLinkEmail(files, recipientEmail, senderEmail = null, options = {}) {
     try {
-      const downloadUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/download/${fileData.id}`;
-      const expiryDate = new Date(fileData.expiryTime).toLocaleString();
-      
-      const mailOptions = {
-        from: {
-          name: 'FileShare',
-          address: process.env.EMAIL_USER
-        },
-        to: recipientEmail,
-        subject: `File shared with you: ${fileData.originalName}`,
-        html: this.generateFileShareEmailTemplate({
-          fileName: fileData.originalName,
-          fileSize: fileData.fileSizeFormatted,
-          downloadUrl: downloadUrl,
-          expiryDate: expiryDate,
-          senderEmail: senderEmail,
-          downloadCount: fileData.downloadCount,
-          maxDownloads: fileData.maxDownloads
-        })
-      };
+      const locale = templates.resolveLocale(options.locale);
+      const share = this.describeShare(files, locale);
+      // A subject is a single header line
+      const subject = (options.subject || '').replace(/[\r\n]+/g, ' ').trim();
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('File share email sent successfully:', result.messageId);
-      return { success: true, messageId: result.messageId };
+      return await this.queue('file-link', recipientEmail, locale, {
+        subject: subject || templates.translate(
+          locale,
+          share.files.length > 1 ? 'fileLink.subjectMany' : 'fileLink.subjectOne',
+          { fileName: share.fileName }
+        ),
+        ...templates.render('file-link', locale, {
+          ...share,
+          senderEmail,
+          message: options.message
+        })
+      }, {
+        shareId: share.shareId,
+        sentBy: options.sentBy
+      });
     } catch (error) {
-      console.error('Error sending file share email:', error);
-      throw new Error('Failed to send email');
+      console.error('Error queueing file share email:', error);
+      throw new Error('Failed to queue email');
     }
   }
 
   // Send upload confirmation email
-  async sendUploadConfirmationEmail(fileData, userEmail) {
+  async sendUploadConfirmationEmail(files, userEmail, locale = null) {
     try {
-      const downloadUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/download/${fileData.id}`;
-      const expiryDate = new Date(fileData.expiryTime).toLocaleString();
-      
-      const mailOptions = {
-        from: {
-          name: 'FileShare',
-          address: process.env.EMAIL_USER
-        },
-        to: userEmail,
-        subject: `File uploaded successfully: ${fileData.originalName}`,
-        html: this.generateUploadConfirmationEmailTemplate({
-          fileName: fileData.originalName,
-          fileSize: fileData.fileSizeFormatted,
-          downloadUrl: downloadUrl,
-          expiryDate: expiryDate
+      locale = templates.resolveLocale(locale);
+      const share = this.describeShare(files, locale);
+
+      return await this.queue('upload-confirmation', userEmail, locale, {
+        subject: templates.translate(
+          locale,
+          share.files.length > 1 ? 'uploadConfirmation.subjectMany' : 'uploadConfirmation.subjectOne',
+          { fileName: share.fileName }
+        ),
+        ...templates.render('upload-confirmation', locale, share)
+      }, { shareId: share.shareId });
+    } catch (error) {
+      console.error('Error queueing upload confirmation email:', error);
+      throw new Error('Failed to queue confirmation email');
+    }
+  }
+
+  // Send email address verification link
+  async sendVerificationEmail(user, token) {
+    try {
+      const locale = this.userLocale(user);
+
+      return await this.queue('verification', user.email, locale, {
+        subject: templates.translate(locale, 'verification.subject'),
+        ...templates.render('verification', locale, {
+          username: user.username,
+          verificationUrl: `${frontendUrl()}/verify-email/${token}`
         })
-      };
+      });
+    } catch (error) {
+      console.error('Error queueing verification email:', error);
+      throw new Error('Failed to queue verification email');
+    }
+  }
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('Upload confirmation email sent successfully:', result.messageId);
-      return { success: true, messageId: result.messageId };
+  // Send password reset link
+  async sendPasswordResetEmail(user, token) {
+    try {
+      const locale = this.userLocale(user);
+
+      return await this.queue('password-reset', user.email, locale, {
+        subject: templates.translate(locale, 'passwordReset.subject'),
+        ...templates.render('password-reset', locale, {
+          username: user.username,
+          resetUrl: `${frontendUrl()}/reset-password/${token}`,
+          expiryMinutes: Math.round((user.resetPasswordExpires - Date.now()) / 60000)
+        })
+      });
     } catch (error) {
-      console.error('Error sending upload confirmation email:', error);
-      throw new Error('Failed to send confirmation email');
+      console.error('Error queueing password reset email:', error);
+      throw new Error('Failed to queue password reset email');
     }
   }
 
-  // Generate HTML template for file share email
-  generateFileShareEmailTemplate(data) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>File Shared with You</title>
-        <style>
-            body {
-                font-family: Arial, sans-serif;
-                line-height: 1.6;
-                color: #333;
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 20px;
-            }
-            .header {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 30px;
-                text-align: center;
-                border-radius: 10px 10px 0 0;
-            }
-            .content {
-                background: #f9f9f9;
-                padding: 30px;
-                border-radius: 0 0 10px 10px;
-            }
-            .file-info {
-                background: white;
-                padding: 20px;
-                border-radius: 8px;
-                margin: 20px 0;
-                border-left: 4px solid #667eea;
-            }
-            .download-btn {
-                display: inline-block;
-                background: #667eea;
-                color: white;
-                padding: 15px 30px;
-                text-decoration: none;
-                border-radius: 5px;
-                font-weight: bold;
-                margin: 20px 0;
-            }
-            .download-btn:hover {
-                background: #5a6fd8;
-            }
-            .warning {
-                background: #fff3cd;
-                border: 1px solid #ffeaa7;
-                color: #856404;
-                padding: 15px;
-                border-radius: 5px;
-                margin: 20px 0;
-            }
-            .footer {
-                text-align: center;
-                margin-top: 30px;
-                color: #666;
-                font-size: 12px;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="header">
-            <h1>📁 File Shared with You</h1>
-            <p>Someone has shared a file with you using FileShare</p>
-        </div>
-        
-        <div class="content">
-            <div class="file-info">
-                <h3>📄 ${data.fileName}</h3>
-                <p><strong>File Size:</strong> ${data.fileSize}</p>
-                <p><strong>Expires:</strong> ${data.expiryDate}</p>
-                ${data.senderEmail ? `<p><strong>From:</strong> ${data.senderEmail}</p>` : ''}
-                <p><strong>Downloads:</strong> ${data.downloadCount}/${data.maxDownloads}</p>
-            </div>
-            
-            <div style="text-align: center;">
-                <a href="${data.downloadUrl}" class="download-btn">Download File</a>
-            </div>
-            
-            <div class="warning">
-                <strong>⚠️ Important:</strong> This file will expire automatically and be deleted after the expiry date. Please download it soon.
-            </div>
-            
-            <p>If the download button doesn't work, copy and paste this link into your browser:</p>
-            <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 3px;">
-                ${data.downloadUrl}
-            </p>
-        </div>
-        
-        <div class="footer">
-            <p>This email was sent by FileShare - Secure File Sharing</p>
-            <p>If you didn't expect this email, you can safely ignore it.</p>
-        </div>
-    </body>
-    </html>
-    `;
+  // Tell an uploader that their share was downloaded. download holds the
+  // accessLog entry (ip, userAgent, downloadTime, archive) and isFirstDownload.
+  async sendDownloadNotificationEmail(user, files, download) {
+    try {
+      const locale = this.userLocale(user);
+      const share = this.describeShare(files, locale);
+
+      return await this.queue('download-notification', user.email, locale, {
+        subject: templates.translate(
+          locale,
+          download.isFirstDownload ? 'downloadNotification.subjectFirst' : 'downloadNotification.subject',
+          { fileName: share.fileName }
+        ),
+        ...templates.render('download-notification', locale, {
+          ...share,
+          username: user.username,
+          isFirstDownload: download.isFirstDownload,
+          archive: download.archive,
+          downloadTime: download.downloadTime,
+          ip: download.ip,
+          userAgent: download.userAgent,
+          settingsUrl: `${frontendUrl()}/settings`
+        })
+      }, { shareId: share.shareId });
+    } catch (error) {
+      console.error('Error queueing download notification email:', error);
+      throw new Error('Failed to queue download notification email');
+    }
   }
 
-  // Generate HTML template for upload confirmation email
-  generateUploadConfirmationEmailTemplate(data) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>File Upload Successful</title>
-        <style>
-            body {
-                font-family: Arial, sans-serif;
-                line-height: 1.6;
-                color: #333;
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 20px;
-            }
-            .header {
-                background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
-                color: white;
-                padding: 30px;
-                text-align: center;
-                border-radius: 10px 10px 0 0;
-            }
-            .content {
-                background: #f9f9f9;
-                padding: 30px;
-                border-radius: 0 0 10px 10px;
-            }
-            .file-info {
-                background: white;
-                padding: 20px;
-                border-radius: 8px;
-                margin: 20px 0;
-                border-left: 4px solid #28a745;
-            }
-            .download-btn {
-                display: inline-block;
-                background: #28a745;
-                color: white;
-                padding: 15px 30px;
-                text-decoration: none;
-                border-radius: 5px;
-                font-weight: bold;
-                margin: 20px 0;
-            }
-            .download-btn:hover {
-                background: #218838;
-            }
-            .info {
-                background: #d1ecf1;
-                border: 1px solid #bee5eb;
-                color: #0c5460;
-                padding: 15px;
-                border-radius: 5px;
-                margin: 20px 0;
-            }
-            .footer {
-                text-align: center;
-                margin-top: 30px;
-                color: #666;
-                font-size: 12px;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="header">
-            <h1>✅ File Upload Successful</h1>
-            <p>Your file has been uploaded and is ready to share</p>
-        </div>
-        
-        <div class="content">
-            <div class="file-info">
-                <h3>📄 ${data.fileName}</h3>
-                <p><strong>File Size:</strong> ${data.fileSize}</p>
-                <p><strong>Expires:</strong> ${data.expiryDate}</p>
-            </div>
-            
-            <div style="text-align: center;">
-                <a href="${data.downloadUrl}" class="download-btn">View Download Link</a>
-            </div>
-            
-            <div class="info">
-                <strong>ℹ️ Your file is now ready to share!</strong><br>
-                Share the download link with anyone you want. The file will automatically expire and be deleted after the expiry date.
-            </div>
-            
-            <p>Share this link:</p>
-            <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 3px;">
-                ${data.downloadUrl}
-            </p>
-        </div>
-        
-        <div class="footer">
-            <p>This email was sent by FileShare - Secure File Sharing</p>
-            <p>Thank you for using our service!</p>
-        </div>
-    </body>
-    </html>
-    `;
+  // Remind an uploader that their share expires soon, with a link to extend it
+  async sendExpiryReminderEmail(user, files, token) {
+    try {
+      const locale = this.userLocale(user);
+      const share = this.describeShare(files, locale);
+
+      return await this.queue('expiry-reminder', user.email, locale, {
+        subject: templates.translate(locale, 'expiryReminder.subject', { fileName: share.fileName }),
+        ...templates.render('expiry-reminder', locale, {
+          ...share,
+          username: user.username,
+          extendUrl: `${frontendUrl()}/extend/${token}`,
+          settingsUrl: `${frontendUrl()}/settings`
+        })
+      }, { shareId: share.shareId });
+    } catch (error) {
+      console.error('Error queueing expiry reminder email:', error);
+      throw new Error('Failed to queue expiry reminder email');
+    }
+  }
+
+  // Put an email ({ subject, html, text }) in the outbox. Resolves once it
+  // is stored, not sent.
+  async queue(kind, to, locale, email, { shareId = null, sentBy = null } = {}) {
+    const message = await EmailMessage.create({
+      kind,
+      from: {
+        name: templates.branding.name,
+        address: process.env.EMAIL_USER
+      },
+      to,
+      locale,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      shareId,
+      sentBy
+    });
+
+    this.emit('queued', message);
+    return { success: true, queued: true, messageId: message.id, email: message };
+  }
+
+  // Send a queued message over SMTP; resolves to the transport's result
+  async deliver(message) {
+    return this.transporter.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text || undefined
+    });
   }
 
   // Test email configuration
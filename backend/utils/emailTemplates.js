@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const nunjucks = require('nunjucks');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+const LOCALE_DIR = path.join(TEMPLATE_DIR, 'locales');
+
+// Every templates/email/locales/<locale>.json is a supported locale
+const catalogs = Object.fromEntries(
+  fs.readdirSync(LOCALE_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => [path.basename(name, '.json'), require(path.join(LOCALE_DIR, name))])
+);
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Emails fall back to this locale, and missing strings to its catalog
+const DEFAULT_LOCALE = catalogs[process.env.EMAIL_DEFAULT_LOCALE] ? process.env.EMAIL_DEFAULT_LOCALE : 'en';
+
+// Branding shown in every email
+const BRANDING = {
+  name: process.env.BRAND_NAME || 'FileShare',
+  tagline: process.env.BRAND_TAGLINE || 'Secure File Sharing',
+  primaryColor: process.env.BRAND_PRIMARY_COLOR || '#667eea',
+  secondaryColor: process.env.BRAND_SECONDARY_COLOR || '#764ba2',
+  logoUrl: process.env.BRAND_LOGO_URL || null
+};
+
+// Renders the emails in templates/email. Every email is a pair of templates,
+// <name>.html.njk and <name>.txt.njk; the HTML ones are autoescaped. Strings
+// come from the locale catalogs through t('section.key', { param }).
+class EmailTemplates {
+  constructor() {
+    this.supportedLocales = SUPPORTED_LOCALES;
+    this.defaultLocale = DEFAULT_LOCALE;
+    this.branding = BRANDING;
+
+    const loader = new nunjucks.FileSystemLoader(TEMPLATE_DIR, {
+      noCache: process.env.NODE_ENV === 'development'
+    });
+
+    this.html = new nunjucks.Environment(loader, { autoescape: true, trimBlocks: true, lstripBlocks: true });
+    this.text = new nunjucks.Environment(loader, { autoescape: false, trimBlocks: true, lstripBlocks: true });
+
+    for (const env of [this.html, this.text]) {
+      env.addGlobal('brand', BRANDING);
+    }
+  }
+
+  // Pick the locale to render in, falling back to the default
+  resolveLocale(locale) {
+    return catalogs[locale] ? locale : DEFAULT_LOCALE;
+  }
+
+  // Look up a string and fill in its {placeholders}. {brand} and {tagline}
+  // are always available.
+  translate(locale, key, params = {}) {
+    const lookup = (catalog) => key.split('.').reduce((value, part) => (value ? value[part] : undefined), catalog);
+    const template = lookup(catalogs[this.resolveLocale(locale)]) || lookup(catalogs[DEFAULT_LOCALE]) || key;
+    const values = { brand: BRANDING.name, tagline: BRANDING.tagline, ...params };
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+  }
+
+  // Format a date for the locale
+  formatDate(locale, value) {
+    return new Date(value || Date.now()).toLocaleString(this.resolveLocale(locale));
+  }
+
+  // Render an email to { html, text }
+  render(name, locale, data = {}) {
+    locale = this.resolveLocale(locale);
+
+    const context = {
+      ...data,
+      locale,
+      t: (key, params) => this.translate(locale, key, params),
+      formatDate: (value) => this.formatDate(locale, value)
+    };
+
+    return {
+      html: this.html.render(`${name}.html.njk`, context),
+      text: this.text.render(`${name}.txt.njk`, context).replace(/\n{3,}/g, '\n\n').trim() + '\n'
+    };
+  }
+}
+
+module.exports = new EmailTemplates();
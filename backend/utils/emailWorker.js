@@ -0,0 +1,109 @@
+const EmailMessage = require('../models/EmailMessage');
+const emailService = require('./emailService');
+
+// How often the outbox is checked for messages that are due (retries, and
+// anything queued by another server)
+const EMAIL_POLL_INTERVAL_MS = (parseInt(process.env.EMAIL_POLL_INTERVAL_SECONDS) || 10) * 1000;
+
+// How long a claimed message may take to send before another worker may
+// claim it again
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+// Delivers the outbox: queued emails are sent one at a time, failures are
+// retried with backoff and finally dead-lettered (see models/EmailMessage).
+class EmailWorker {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+    this.processing = false;
+
+    // Send newly queued emails straight away rather than at the next poll
+    this.onQueued = () => {
+      this.processQueue();
+    };
+  }
+
+  // Start the email worker
+  start() {
+    if (this.isRunning) {
+      console.log('Email worker is already running');
+      return;
+    }
+
+    console.log('Starting email worker...');
+    this.isRunning = true;
+
+    emailService.on('queued', this.onQueued);
+
+    EmailMessage.redactFinished().catch(error => {
+      console.error('Error clearing sent email bodies:', error);
+    });
+
+    this.processQueue();
+    this.intervalId = setInterval(() => {
+      this.processQueue();
+    }, EMAIL_POLL_INTERVAL_MS);
+  }
+
+  // Stop the email worker
+  stop() {
+    if (!this.isRunning) {
+      console.log('Email worker is not running');
+      return;
+    }
+
+    console.log('Stopping email worker...');
+    this.isRunning = false;
+
+    emailService.off('queued', this.onQueued);
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  // Send every message that is due
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let message;
+      while (this.isRunning && (message = await EmailMessage.claimNext(SEND_LOCK_MS))) {
+        await this.sendMessage(message);
+      }
+    } catch (error) {
+      console.error('Error processing email queue:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Make one delivery attempt and record its outcome
+  async sendMessage(message) {
+    try {
+      const result = await emailService.deliver(message);
+      await message.markSent(result.messageId);
+      console.log(`Email sent: ${message.kind} to ${message.to} (${result.messageId})`);
+    } catch (error) {
+      await message.markFailed(error);
+
+      if (message.status === 'dead') {
+        console.error(`Email dead-lettered after ${message.attempts} attempt(s): ${message.kind} to ${message.to}:`, error.message);
+      } else {
+        console.warn(`Email attempt ${message.attempts} failed, retrying at ${message.nextAttemptAt.toISOString()}: ${message.kind} to ${message.to}:`, error.message);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const emailWorker = new EmailWorker();
+
+// Start email worker when module is loaded
+if (process.env.NODE_ENV !== 'test') {
+  emailWorker.start();
+}
+
+module.exports = emailWorker;
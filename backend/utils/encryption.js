@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Files are encrypted with their own random data key (envelope encryption).
+// The data key is stored on the File record, wrapped by a master key from
+// config, so rotating the master key only means re-wrapping data keys.
+//
+// Contents are split into segments that are sealed separately with
+// AES-256-GCM, so any byte range can be decrypted without reading the whole
+// file. Each segment's nonce is derived from a per-file nonce and the
+// segment index, and the last segment is marked in its additional data so
+// a truncated file fails to decrypt.
+const ALGORITHM = 'aes-256-gcm';
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const NONCE_LENGTH = 12;
+
+// Partial uploads are staged on the local disk a chunk at a time, at any
+// offset, so they are encrypted with AES-256-CTR, which can start at any
+// byte. Staged bytes are re-encrypted as above once the upload completes.
+const STAGING_ALGORITHM = 'aes-256-ctr';
+const BLOCK_SIZE = 16;
+
+const parseKey = (value, name) => {
+  const key = Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a base64 encoded 32 byte key`);
+  }
+  return key;
+};
+
+const segmentNonce = (nonce, index) => {
+  const derived = Buffer.from(nonce);
+  derived.writeUInt32BE((derived.readUInt32BE(NONCE_LENGTH - 4) ^ index) >>> 0, NONCE_LENGTH - 4);
+  return derived;
+};
+
+// The CTR counter block for the block holding byte offset
+const counterAt = (iv, offset) => {
+  const counter = Buffer.from(iv);
+  let carry = Math.floor(offset / BLOCK_SIZE);
+
+  for (let i = counter.length - 1; i >= 0 && carry > 0; i--) {
+    const sum = counter[i] + (carry % 256);
+    counter[i] = sum % 256;
+    carry = Math.floor(carry / 256) + Math.floor(sum / 256);
+  }
+  return counter;
+};
+
+const finalFlag = (isFinal) => Buffer.from([isFinal ? 1 : 0]);
+
+// Encrypts a plaintext stream into sealed segments
+class EncryptStream extends Transform {
+  constructor(dataKey, nonce, segmentSize) {
+    super();
+    this.dataKey = dataKey;
+    this.nonce = nonce;
+    this.segmentSize = segmentSize;
+    this.pending = Buffer.alloc(0);
+    this.index = 0;
+    this.bytesIn = 0;
+  }
+
+  seal(segment, isFinal) {
+    const cipher = crypto.createCipheriv(ALGORITHM, this.dataKey, segmentNonce(this.nonce, this.index++));
+    cipher.setAAD(finalFlag(isFinal));
+    this.push(Buffer.concat([cipher.update(segment), cipher.final(), cipher.getAuthTag()]));
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytesIn += chunk.length;
+    this.pending = Buffer.concat([this.pending, chunk]);
+
+    // A full segment is held back until we know whether it is the last one
+    while (this.pending.length > this.segmentSize) {
+      this.seal(this.pending.subarray(0, this.segmentSize), false);
+      this.pending = this.pending.subarray(this.segmentSize);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    // Empty files still get one (empty) final segment
+    this.seal(this.pending, true);
+    callback();
+  }
+}
+
+// Decrypts sealed segments, emitting only the requested plaintext bytes
+class DecryptStream extends Transform {
+  constructor(dataKey, nonce, segmentSize, range) {
+    super();
+    this.dataKey = dataKey;
+    this.nonce = nonce;
+    this.cipherSegmentSize = segmentSize + TAG_LENGTH;
+    this.pending = Buffer.alloc(0);
+    this.index = range.firstSegment;
+    this.lastSegment = range.lastSegment;
+    this.finalSegment = range.finalSegment;
+    this.skip = range.skip;
+    this.remaining = range.length;
+  }
+
+  open(sealed) {
+    const isFinal = this.index === this.finalSegment;
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.dataKey, segmentNonce(this.nonce, this.index++));
+    decipher.setAAD(finalFlag(isFinal));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+
+    let plaintext = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+
+    if (this.skip > 0) {
+      plaintext = plaintext.subarray(this.skip);
+      this.skip = 0;
+    }
+    plaintext = plaintext.subarray(0, this.remaining);
+    this.remaining -= plaintext.length;
+
+    if (plaintext.length > 0) {
+      this.push(plaintext);
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.pending = Buffer.concat([this.pending, chunk]);
+
+      while (this.pending.length >= this.cipherSegmentSize) {
+        this.open(this.pending.subarray(0, this.cipherSegmentSize));
+        this.pending = this.pending.subarray(this.cipherSegmentSize);
+      }
+      callback();
+    } catch (error) {
+      callback(new Error('Stored file failed to decrypt'));
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (this.pending.length > 0) {
+        this.open(this.pending);
+      }
+
+      if (this.index <= this.lastSegment) {
+        throw new Error('Stored file is truncated');
+      }
+      callback();
+    } catch (error) {
+      callback(new Error('Stored file failed to decrypt'));
+    }
+  }
+}
+
+class EncryptionService {
+  constructor() {
+    this.currentKeyId = null;
+    this.keys = new Map();
+
+    if (process.env.FILE_ENCRYPTION_KEY) {
+      this.currentKeyId = process.env.FILE_ENCRYPTION_KEY_ID || 'primary';
+      this.keys.set(this.currentKeyId, parseKey(process.env.FILE_ENCRYPTION_KEY, 'FILE_ENCRYPTION_KEY'));
+    }
+
+    // Retired master keys ("keyId:base64key,...") stay readable until the
+    // rotation command has re-wrapped every data key they protect
+    (process.env.FILE_ENCRYPTION_PREVIOUS_KEYS || '').split(',').forEach((entry) => {
+      const [keyId, value] = entry.trim().split(':');
+      if (keyId && value && !this.keys.has(keyId)) {
+        this.keys.set(keyId, parseKey(value, `Previous key ${keyId}`));
+      }
+    });
+
+    if (!this.isEnabled() && process.env.NODE_ENV === 'production') {
+      console.warn('FILE_ENCRYPTION_KEY is not set; uploaded files are stored unencrypted');
+    }
+  }
+
+  isEnabled() {
+    return this.currentKeyId !== null;
+  }
+
+  // Wrap a data key with the current master key
+  wrapKey(dataKey) {
+    const iv = crypto.randomBytes(NONCE_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.currentKeyId), iv);
+    cipher.setAAD(Buffer.from(this.currentKeyId));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyId: this.currentKeyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64')
+    };
+  }
+
+  // Recover a data key using whichever master key wrapped it
+  unwrapKey(envelope) {
+    const masterKey = this.keys.get(envelope.keyId);
+    if (!masterKey) {
+      throw new Error(`Master key ${envelope.keyId} is not configured`);
+    }
+
+    const wrapped = Buffer.from(envelope.wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, wrapped.subarray(0, NONCE_LENGTH));
+    decipher.setAAD(Buffer.from(envelope.keyId));
+    decipher.setAuthTag(wrapped.subarray(NONCE_LENGTH, NONCE_LENGTH + TAG_LENGTH));
+
+    return Buffer.concat([decipher.update(wrapped.subarray(NONCE_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+
+  // Re-wrap a data key with the current master key; contents are untouched
+  rewrapKey(envelope) {
+    return {
+      ...envelope,
+      ...this.wrapKey(this.unwrapKey(envelope))
+    };
+  }
+
+  // Start encrypting a new file. The stream reports the plaintext size in
+  // bytesIn and the envelope is what gets stored on the File record.
+  createEncryptStream() {
+    const dataKey = crypto.randomBytes(32);
+    const nonce = crypto.randomBytes(NONCE_LENGTH);
+
+    return {
+      stream: new EncryptStream(dataKey, nonce, SEGMENT_SIZE),
+      envelope: {
+        ...this.wrapKey(dataKey),
+        nonce: nonce.toString('base64'),
+        segmentSize: SEGMENT_SIZE
+      }
+    };
+  }
+
+  // Start staging a partial upload; the envelope is stored on its session
+  createStagingEnvelope() {
+    return {
+      ...this.wrapKey(crypto.randomBytes(32)),
+      iv: crypto.randomBytes(BLOCK_SIZE).toString('base64')
+    };
+  }
+
+  // Cipher for staged bytes from offset on; its update() encrypts (or,
+  // from offset 0, decrypts) them
+  createStagingCipher(envelope, offset = 0) {
+    const cipher = crypto.createCipheriv(
+      STAGING_ALGORITHM,
+      this.unwrapKey(envelope),
+      counterAt(Buffer.from(envelope.iv, 'base64'), offset)
+    );
+
+    // Skip to offset within its block
+    cipher.update(Buffer.alloc(offset % BLOCK_SIZE));
+    return cipher;
+  }
+
+  // Work out which stored bytes hold plaintext bytes start..end (inclusive)
+  // of a file of plainSize bytes, and create the stream that decrypts them
+  createDecryptStream(envelope, plainSize, start = 0, end = plainSize - 1) {
+    const segmentSize = envelope.segmentSize;
+    const cipherSegmentSize = segmentSize + TAG_LENGTH;
+    const finalSegment = plainSize === 0 ? 0 : Math.floor((plainSize - 1) / segmentSize);
+    const cipherSize = plainSize + (finalSegment + 1) * TAG_LENGTH;
+
+    const firstSegment = Math.min(Math.floor(start / segmentSize), finalSegment);
+    const lastSegment = Math.max(Math.min(Math.floor(end / segmentSize), finalSegment), firstSegment);
+
+    const stream = new DecryptStream(
+      this.unwrapKey(envelope),
+      Buffer.from(envelope.nonce, 'base64'),
+      segmentSize,
+      {
+        firstSegment,
+        lastSegment,
+        finalSegment,
+        skip: start - firstSegment * segmentSize,
+        length: Math.max(end - start + 1, 0)
+      }
+    );
+
+    return {
+      stream,
+      cipherStart: firstSegment * cipherSegmentSize,
+      cipherEnd: Math.min((lastSegment + 1) * cipherSegmentSize, cipherSize) - 1
+    };
+  }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,12 @@
+const { EventEmitter } = require('events');
+
+// File lifecycle events, so parts of the app can react to each other
+// without depending on one another:
+//   created (files)    - a share was uploaded; files are its new records
+//   downloaded (files) - a download was counted; files are the updated
+//                        records (several for a "download all" archive)
+//   expired (file)     - an expired file was deleted; file is the removed record
+// Listeners run synchronously and must not throw.
+class FileEvents extends EventEmitter {}
+
+module.exports = new FileEvents();
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const { pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const bcrypt = require('bcryptjs');
+const File = require('../models/File');
+const emailService = require('./emailService');
+const storage = require('./storage');
+const fileEvents = require('./fileEvents');
+const encryption = require('./encryption');
+const { generateShareToken } = require('../middleware/shareAccess');
+
+// Longest a share may live, counted from now (the same limit as uploads)
+const MAX_EXPIRY_HOURS = 168;
+
+class FileService {
+  // Create the file records for one upload and notify sender/receiver.
+  // Every file uploaded together gets the same share ID (and so one link).
+  async createShare(storedFiles, options = {}, user = null) {
+    // Calculate expiry time
+    const expiryHours = options.expiryHours || 24;
+    const expiryTime = moment().add(expiryHours, 'hours').toDate();
+
+    // A single file keeps using its own ID as the share ID
+    const shareId = uuidv4();
+
+    // Every file in the share is unlocked by the same password
+    const passwordHash = options.password ? await bcrypt.hash(options.password, 12) : null;
+
+    const files = storedFiles.map((storedFile) => new File({
+      id: storedFiles.length === 1 ? shareId : uuidv4(),
+      shareId,
+      filename: storedFile.filename,
+      originalName: storedFile.originalName,
+      filePath: storedFile.path,
+      mimeType: storedFile.mimeType,
+      fileSize: storedFile.size,
+      expiryTime: expiryTime,
+      senderEmail: options.senderEmail,
+      receiverEmail: options.receiverEmail,
+      // Left unset the model default applies
+      maxDownloads: options.maxDownloads,
+      passwordHash,
+      reminderAt: user ? user.expiryReminderTime(expiryTime) : null,
+      encryption: storedFile.encryption || null,
+      e2e: !!storedFile.e2e,
+      e2eMetadata: storedFile.e2eMetadata || null,
+      createdBy: user ? user.id : null
+    }));
+
+    // Save one at a time so createdAt keeps the upload order
+    for (const file of files) {
+      await file.save();
+    }
+
+    fileEvents.emit('created', files);
+
+    // Update user stats if authenticated
+    if (user) {
+      await user.updateUploadStats(this.getTotalSize(files), files.length);
+    }
+
+    await this.sendUploadEmails(files, options, user);
+
+    return files;
+  }
+
+  // Push a share's expiry back by its original lifetime, at most
+  // MAX_EXPIRY_HOURS from now. Only a share still expiring at fromExpiry is
+  // extended, so the same request made twice extends it once. Resolves to
+  // the new expiry time, or null if the share had already changed.
+  async extendShare(files, fromExpiry, user) {
+    const [firstFile] = files;
+    if (firstFile.expiryTime.getTime() !== new Date(fromExpiry).getTime()) {
+      return null;
+    }
+
+    const lifetime = firstFile.expiryTime - firstFile.uploadTime;
+    const expiryTime = new Date(Math.min(
+      Math.max(firstFile.expiryTime.getTime(), Date.now()) + lifetime,
+      Date.now() + MAX_EXPIRY_HOURS * 60 * 60 * 1000
+    ));
+
+    const result = await File.updateMany(
+      { shareId: firstFile.shareId, expiryTime: firstFile.expiryTime },
+      { $set: { expiryTime, isExpired: false, reminderAt: user.expiryReminderTime(expiryTime) } }
+    );
+
+    return result.modifiedCount > 0 ? expiryTime : null;
+  }
+
+  // Find every file behind a share link (or a single file by its own ID)
+  async findShare(id) {
+    const files = await File.findShare(id);
+    if (files.length > 0) {
+      return files;
+    }
+
+    const file = await File.findOne({ id });
+    return file ? [file] : [];
+  }
+
+  // Queue confirmation and link emails; failures never fail the upload.
+  // They are only queued here, so SMTP never holds up the response.
+  async sendUploadEmails(files, options = {}, user = null) {
+    // Send confirmation email to sender if provided
+    if (options.senderEmail) {
+      try {
+        await emailService.sendUploadConfirmationEmail(files, options.senderEmail, emailService.userLocale(user));
+      } catch (emailError) {
+        console.error('Failed to send confirmation email:', emailError);
+      }
+    }
+
+    // Send file link email to receiver if provided. End-to-end encrypted
+    // shares are skipped: only the uploader's link carries the key. So are
+    // accounts that must verify their email before sending links.
+    if (options.receiverEmail && !this.isEndToEnd(files) && !(user && user.isVerificationRequiredFor('email'))) {
+      try {
+        await emailService.sendFileLinkEmail(files, options.receiverEmail, options.senderEmail, {
+          locale: options.locale || emailService.userLocale(user),
+          sentBy: user ? user._id : null
+        });
+      } catch (emailError) {
+        console.error('Failed to send file link email:', emailError);
+      }
+    }
+  }
+
+  // Store the bytes of an upload, encrypted when a master key is configured.
+  // Resolves to { size, location, encryption } where size is the plaintext size.
+  async storeStream(key, stream, options = {}) {
+    if (!encryption.isEnabled()) {
+      const result = await storage.put(key, stream, options);
+      return { ...result, encryption: null };
+    }
+
+    const encrypted = encryption.createEncryptStream();
+    const { location } = await storage.put(key, pipeline(stream, encrypted.stream, () => {}), options);
+
+    return { size: encrypted.stream.bytesIn, location, encryption: encrypted.envelope };
+  }
+
+  // Store a file from the local disk, which is removed afterwards.
+  // options.staging is the envelope of a staged (encrypted) partial upload.
+  async storeLocalFile(key, localPath, options = {}) {
+    const { staging, ...storeOptions } = options;
+
+    if (!encryption.isEnabled() && !staging) {
+      const result = await storage.putFile(key, localPath, storeOptions);
+      return { ...result, encryption: null };
+    }
+
+    let stream = fs.createReadStream(localPath);
+    if (staging) {
+      stream = pipeline(stream, encryption.createStagingCipher(staging), () => {});
+    }
+
+    const result = await this.storeStream(key, stream, storeOptions);
+    await fs.promises.unlink(localPath);
+    return result;
+  }
+
+  // Open the (decrypted) contents of a file, optionally bytes start..end only
+  async openStream(file, range = {}) {
+    if (!file.encryption) {
+      return storage.getStream(file.filename, range);
+    }
+
+    const { stream, cipherStart, cipherEnd } = encryption.createDecryptStream(
+      file.encryption,
+      file.fileSize,
+      range.start,
+      range.end
+    );
+
+    const stored = await storage.getStream(file.filename, { start: cipherStart, end: cipherEnd });
+    return pipeline(stored, stream, () => {});
+  }
+
+  // Delete a file from storage once its last allowed download has completed.
+  // The record is kept so the download page can still report the limit;
+  // with a limit of 1 this makes the link burn after reading.
+  async discardIfLimitReached(file) {
+    if (!file.isDownloadLimitReached()) {
+      return;
+    }
+
+    try {
+      await storage.delete(file.filename);
+      console.log(`Deleted fully downloaded file from storage: ${file.originalName} (${file.id})`);
+    } catch (error) {
+      console.error('Error deleting fully downloaded file:', error);
+    }
+  }
+
+  isEndToEnd(files) {
+    return files.some(file => file.e2e);
+  }
+
+  getTotalSize(files) {
+    return files.reduce((total, file) => total + file.fileSize, 0);
+  }
+
+  getShareUrl(shareId) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/download/${shareId}`;
+  }
+
+  // Shape of the upload response shared by all upload endpoints
+  toUploadResponse(files) {
+    const [firstFile] = files;
+
+    return {
+      id: firstFile.shareId,
+      shareId: firstFile.shareId,
+      filename: files.length === 1 ? firstFile.originalName : `${files.length} files`,
+      size: File.formatSize(this.getTotalSize(files)),
+      fileCount: files.length,
+      files: files.map(file => ({
+        id: file.id,
+        filename: file.originalName,
+        size: file.fileSizeFormatted
+      })),
+      expiryTime: firstFile.expiryTime,
+      downloadUrl: this.getShareUrl(firstFile.shareId),
+      senderEmail: firstFile.senderEmail,
+      receiverEmail: firstFile.receiverEmail,
+      maxDownloads: firstFile.maxDownloads,
+      e2e: this.isEndToEnd(files),
+      passwordProtected: !!firstFile.passwordHash,
+      // Lets the uploader open a protected share without typing the password,
+      // and add a message when emailing its link
+      shareToken: generateShareToken(firstFile.shareId, { uploader: true })
+    };
+  }
+}
+
+module.exports = new FileService();
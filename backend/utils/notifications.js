@@ -0,0 +1,166 @@
+const File = require('../models/File');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const fileEvents = require('./fileEvents');
+const { generateExtendToken } = require('../middleware/shareAccess');
+
+// How often due expiry reminders are looked for
+const REMINDER_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Reminders are sent this many shares at a time
+const REMINDER_BATCH_SIZE = 50;
+
+// Emails uploaders about their shares: downloads and upcoming expiry.
+// Every notification honours the uploader's notification preferences.
+class NotificationService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+    this.sendingReminders = false;
+
+    // Never hold up (or fail) the download itself
+    this.onDownloaded = (files) => {
+      this.notifyDownload(files).catch((error) => {
+        console.error('Error sending download notification:', error);
+      });
+    };
+  }
+
+  // Start the notification service
+  start() {
+    if (this.isRunning) {
+      console.log('Notification service is already running');
+      return;
+    }
+
+    console.log('Starting notification service...');
+    this.isRunning = true;
+
+    fileEvents.on('downloaded', this.onDownloaded);
+
+    this.sendExpiryReminders();
+    this.intervalId = setInterval(() => {
+      this.sendExpiryReminders();
+    }, REMINDER_CHECK_INTERVAL_MS);
+  }
+
+  // Stop the notification service
+  stop() {
+    if (!this.isRunning) {
+      console.log('Notification service is not running');
+      return;
+    }
+
+    console.log('Stopping notification service...');
+    this.isRunning = false;
+
+    fileEvents.off('downloaded', this.onDownloaded);
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  // Tell the uploader about a download of their share
+  async notifyDownload(files) {
+    const [file] = files;
+    if (!file || !file.createdBy) {
+      return;
+    }
+
+    // Any file of the share being downloaded counts, and of parallel
+    // downloads only one is the first
+    const isFirstDownload = await File.claimFirstDownload(file);
+    const user = await User.findById(file.createdBy);
+
+    if (!user || !user.wantsDownloadNotification(isFirstDownload)) {
+      return;
+    }
+
+    const entry = file.accessLog[file.accessLog.length - 1] || {};
+
+    await emailService.sendDownloadNotificationEmail(user, files, {
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+      downloadTime: entry.downloadTime,
+      archive: entry.archive,
+      isFirstDownload
+    });
+  }
+
+  // Send every expiry reminder that is due
+  async sendExpiryReminders() {
+    if (this.sendingReminders) return;
+    this.sendingReminders = true;
+
+    try {
+      let sentCount = 0;
+      let shareIds;
+
+      do {
+        const due = await File.find({ reminderAt: { $ne: null, $lte: new Date() } }, 'shareId')
+          .sort({ reminderAt: 1 })
+          .limit(REMINDER_BATCH_SIZE);
+        shareIds = [...new Set(due.map(file => file.shareId))];
+
+        for (const shareId of shareIds) {
+          if (await this.sendExpiryReminder(shareId)) {
+            sentCount++;
+          }
+        }
+      } while (shareIds.length > 0);
+
+      if (sentCount > 0) {
+        console.log(`Expiry reminders sent: ${sentCount}`);
+      }
+
+    } catch (error) {
+      console.error('Error sending expiry reminders:', error);
+    } finally {
+      this.sendingReminders = false;
+    }
+  }
+
+  // Send the expiry reminder for one share. The reminder is cleared first so
+  // only one server sends it. Resolves to whether an email was sent.
+  async sendExpiryReminder(shareId) {
+    const claimed = await File.updateMany(
+      { shareId, reminderAt: { $ne: null } },
+      { $set: { reminderAt: null } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    const files = await File.findShare(shareId);
+    const [file] = files;
+    if (!file || !file.createdBy || file.isFileExpired()) {
+      return false;
+    }
+
+    // Preferences may have changed since the share was uploaded
+    const user = await User.findById(file.createdBy);
+    if (!user || !user.wantsExpiryReminder()) {
+      return false;
+    }
+
+    try {
+      await emailService.sendExpiryReminderEmail(user, files, generateExtendToken(file));
+      return true;
+    } catch (error) {
+      console.error(`Failed to send expiry reminder for share ${shareId}:`, error);
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+// Start notification service when module is loaded
+if (process.env.NODE_ENV !== 'test') {
+  notificationService.start();
+}
+
+module.exports = notificationService;
@@ -0,0 +1,104 @@
+const { Issuer, generators } = require('openid-client');
+const OidcState = require('../models/OidcState');
+
+const LOGIN_TTL_MINUTES = 10;
+
+// OpenID Connect single sign-on (authorization code flow with PKCE). The
+// provider is found through its discovery document, so any compliant
+// identity provider works, including a local mock for testing.
+class OidcService {
+  constructor() {
+    this.discoveryUrl = process.env.OIDC_DISCOVERY_URL;
+    this.clientId = process.env.OIDC_CLIENT_ID;
+    this.clientSecret = process.env.OIDC_CLIENT_SECRET;
+    this.redirectUri = process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`;
+    this.scopes = process.env.OIDC_SCOPES || 'openid email profile';
+    this.providerName = process.env.OIDC_PROVIDER_NAME || 'SSO';
+    this.client = null;
+    this.loginTtlMs = LOGIN_TTL_MINUTES * 60 * 1000;
+  }
+
+  isEnabled() {
+    return Boolean(this.discoveryUrl && this.clientId);
+  }
+
+  // Discover the provider once; a failed attempt is retried on next use
+  getClient() {
+    if (!this.client) {
+      this.client = Issuer.discover(this.discoveryUrl)
+        .then((issuer) => new issuer.Client({
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          redirect_uris: [this.redirectUri],
+          response_types: ['code'],
+          token_endpoint_auth_method: this.clientSecret ? 'client_secret_basic' : 'none'
+        }))
+        .catch((error) => {
+          this.client = null;
+          throw error;
+        });
+    }
+    return this.client;
+  }
+
+  // Start a login; resolves to { url, state }: the provider URL to send the
+  // browser to, and the state the browser must bring back to the callback
+  async createAuthorizationUrl() {
+    const client = await this.getClient();
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    await OidcState.create({
+      state,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + this.loginTtlMs)
+    });
+
+    const url = client.authorizationUrl({
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+
+    return { url, state };
+  }
+
+  // Finish a login from the provider's redirect; resolves to the ID token
+  // claims merged with userinfo. browserState is the state kept by the
+  // browser that started the login: a callback carrying any other state was
+  // started elsewhere, and would sign this browser in as someone else.
+  async handleCallback(req, browserState) {
+    const client = await this.getClient();
+    const params = client.callbackParams(req);
+
+    if (!browserState || params.state !== browserState) {
+      throw new Error('Login state does not match this browser');
+    }
+
+    const pending = params.state && await OidcState.consume(params.state);
+    if (!pending) {
+      throw new Error('Unknown or expired login state');
+    }
+
+    const tokenSet = await client.callback(this.redirectUri, params, {
+      state: pending.state,
+      nonce: pending.nonce,
+      code_verifier: pending.codeVerifier
+    });
+
+    const claims = tokenSet.claims();
+    if (claims.email || !tokenSet.access_token) {
+      return claims;
+    }
+
+    // Some providers only put the email in userinfo
+    return { ...(await client.userinfo(tokenSet)), ...claims };
+  }
+}
+
+module.exports = new OidcService();
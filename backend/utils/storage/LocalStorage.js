@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Keeps file bytes in a directory on the local disk
+class LocalStorage {
+  constructor(options = {}) {
+    this.root = options.root || './uploads';
+
+    if (!fs.existsSync(this.root)) {
+      fs.mkdirSync(this.root, { recursive: true });
+    }
+  }
+
+  resolve(key) {
+    // Keys are generated file names; never let one point outside the root
+    return path.join(this.root, path.basename(key));
+  }
+
+  // Write a stream under key
+  async put(key, stream) {
+    const filePath = this.resolve(key);
+    const writeStream = fs.createWriteStream(filePath);
+
+    try {
+      await pipeline(stream, writeStream);
+    } catch (error) {
+      await this.delete(key);
+      throw error;
+    }
+
+    return { size: writeStream.bytesWritten, location: filePath };
+  }
+
+  // Move a file that is already on the local disk into storage
+  async putFile(key, sourcePath) {
+    const filePath = this.resolve(key);
+    await fs.promises.rename(sourcePath, filePath);
+
+    const stats = await fs.promises.stat(filePath);
+    return { size: stats.size, location: filePath };
+  }
+
+  // Read the stored bytes, optionally only from start to end (inclusive)
+  async getStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Size and modification time, or null if nothing is stored under key
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Every stored file; sub-directories (like partial uploads) are skipped
+  async *list() {
+    const entries = await fs.promises.readdir(this.root, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+      const stats = await this.stat(entry.name);
+      if (stats) {
+        yield { key: entry.name, ...stats };
+      }
+    }
+  }
+}
+
+module.exports = LocalStorage;
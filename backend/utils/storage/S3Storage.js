@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+// Keeps file bytes in an S3 bucket. Any S3-compatible service (such as MinIO)
+// works by pointing the endpoint at it.
+class S3Storage {
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('S3_BUCKET must be set to use the S3 storage driver');
+    }
+
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+
+    this.client = new S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint,
+      // MinIO and most self-hosted services don't support bucket subdomains
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId ? {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  // Write a stream under key; large streams are sent as a multipart upload
+  async put(key, stream, options = {}) {
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    stream.on('error', (error) => counter.destroy(error));
+
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: stream.pipe(counter),
+        ContentType: options.contentType
+      }
+    });
+
+    await upload.done();
+
+    return { size, location: `s3://${this.bucket}/${this.objectKey(key)}` };
+  }
+
+  // Upload a file from the local disk, removing the local copy afterwards
+  async putFile(key, sourcePath, options = {}) {
+    const result = await this.put(key, fs.createReadStream(sourcePath), options);
+    await fs.promises.unlink(sourcePath);
+    return result;
+  }
+
+  // Read the stored bytes, optionally only from start to end (inclusive)
+  async getStream(key, range = {}) {
+    const hasRange = range.start !== undefined || range.end !== undefined;
+
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: hasRange ? `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}` : undefined
+    }));
+
+    return response.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  // Size and modification time, or null if nothing is stored under key
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+
+      return { size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  // Every stored object under the configured prefix
+  async *list() {
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        const key = object.Key.slice(this.prefix.length);
+        // Keys with a slash belong to something else sharing the prefix
+        if (!key || key.includes('/')) continue;
+
+        yield { key, size: object.Size, lastModified: object.LastModified };
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+module.exports = S3Storage;
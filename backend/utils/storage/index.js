@@ -0,0 +1,36 @@
+const LocalStorage = require('./LocalStorage');
+const S3Storage = require('./S3Storage');
+
+// Every driver stores bytes under a key (the generated file name) and offers:
+//   put(key, stream, options)         -> { size, location }
+//   putFile(key, localPath, options)  -> { size, location }
+//   getStream(key, { start, end })    -> readable stream
+//   delete(key)
+//   stat(key)                         -> { size, lastModified } or null
+//   list()                            -> async iterator of { key, size, lastModified }
+const createStorage = () => {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return new LocalStorage({ root: process.env.UPLOAD_DIR || './uploads' });
+
+    case 's3':
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX || '',
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+          ? process.env.S3_FORCE_PATH_STYLE === 'true'
+          : !!process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+};
+
+module.exports = createStorage();
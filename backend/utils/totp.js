@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Time-based one-time passwords (RFC 6238) with the parameters every
+// authenticator app supports: HMAC-SHA1, 6 digits, 30 second steps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  let bits = '';
+  value.replace(/=+$/, '').toUpperCase().split('').forEach((char) => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'FileShare';
+  }
+
+  // New random shared secret, base32 encoded as authenticator apps expect
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // The code for a given time step (HOTP, RFC 4226)
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  }
+
+  // Check a code, allowing one step of clock drift either way. Returns the
+  // matching time step so callers can refuse to accept it twice, or null.
+  verify(secret, code, window = 1) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+      return null;
+    }
+
+    const current = this.currentStep();
+    for (let step = current - window; step <= current + window; step++) {
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // otpauth:// URI for enrolling an authenticator app
+  keyUri(accountName, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  // QR code image (data URL) for the enrollment URI
+  generateQrCode(uri) {
+    return QRCode.toDataURL(uri);
+  }
+
+  // One-time recovery codes; only their hashes are stored
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = new TotpService();
@@ -10,25 +10,42 @@ import SuccessPage from './pages/SuccessPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import DashboardPage from './pages/DashboardPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import SettingsPage from './pages/SettingsPage';
+import SsoCallbackPage from './pages/SsoCallbackPage';
+import AdminPage from './pages/AdminPage';
+import ExtendSharePage from './pages/ExtendSharePage';
 import { AuthProvider } from './contexts/AuthContext';
 import { FileProvider } from './contexts/FileContext';
+import { AdminProvider } from './contexts/AdminContext';
 
 function App() {
   return (
     <AuthProvider>
       <FileProvider>
-        <Box sx={{ minHeight: '100vh', backgroundColor: 'background.default' }}>
-          <Navbar />
-          <Routes>
-            <Route path="/" element={<HomePage />} />
-            <Route path="/upload" element={<UploadPage />} />
-            <Route path="/download/:fileId" element={<DownloadPage />} />
-            <Route path="/success/:fileId" element={<SuccessPage />} />
-            <Route path="/login" element={<LoginPage />} />
-            <Route path="/register" element={<RegisterPage />} />
-            <Route path="/dashboard" element={<DashboardPage />} />
-          </Routes>
-        </Box>
+        <AdminProvider>
+          <Box sx={{ minHeight: '100vh', backgroundColor: 'background.default' }}>
+            <Navbar />
+            <Routes>
+              <Route path="/" element={<HomePage />} />
+              <Route path="/upload" element={<UploadPage />} />
+              <Route path="/download/:fileId" element={<DownloadPage />} />
+              <Route path="/success/:fileId" element={<SuccessPage />} />
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/register" element={<RegisterPage />} />
+              <Route path="/dashboard" element={<DashboardPage />} />
+              <Route path="/settings" element={<SettingsPage />} />
+              <Route path="/admin" element={<AdminPage />} />
+              <Route path="/sso/callback" element={<SsoCallbackPage />} />
+              <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+              <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+              <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+              <Route path="/extend/:token" element={<ExtendSharePage />} />
+            </Routes>
+          </Box>
+        </AdminProvider>
       </FileProvider>
     </AuthProvider>
   );
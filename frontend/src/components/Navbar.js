@@ -27,6 +27,8 @@ import {
   Home as HomeIcon,
   Login as LoginIcon,
   PersonAdd as PersonAddIcon,
+  Settings as SettingsIcon,
+  AdminPanelSettings as AdminIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -69,10 +71,17 @@ const Navbar = () => {
     menuItems.push({ label: 'Dashboard', path: '/dashboard', icon: <DashboardIcon /> });
   }
 
+  const canAdmin = user?.role === 'admin' || user?.role === 'auditor';
+
+  if (canAdmin) {
+    menuItems.push({ label: 'Admin', path: '/admin', icon: <AdminIcon /> });
+  }
+
   const authMenuItems = isAuthenticated
     ? [
         { label: 'Dashboard', path: '/dashboard', icon: <DashboardIcon /> },
         { label: 'Profile', action: () => navigate('/dashboard'), icon: <PersonIcon /> },
+        { label: 'Settings', path: '/settings', icon: <SettingsIcon /> },
         { label: 'Logout', action: handleLogout, icon: <LogoutIcon /> },
       ]
     : [
@@ -256,6 +265,16 @@ const Navbar = () => {
                       <DashboardIcon sx={{ mr: 1 }} />
                       Dashboard
                     </MenuItem>
+                    <MenuItem onClick={() => { navigate('/settings'); handleMenuClose(); }}>
+                      <SettingsIcon sx={{ mr: 1 }} />
+                      Settings
+                    </MenuItem>
+                    {canAdmin && (
+                      <MenuItem onClick={() => { navigate('/admin'); handleMenuClose(); }}>
+                        <AdminIcon sx={{ mr: 1 }} />
+                        Admin
+                      </MenuItem>
+                    )}
                     <MenuItem onClick={handleLogout}>
                       <LogoutIcon sx={{ mr: 1 }} />
                       Logout
@@ -0,0 +1,131 @@
+import React, { createContext, useContext, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const AdminContext = createContext();
+
+export const useAdmin = () => {
+  const context = useContext(AdminContext);
+  if (!context) {
+    throw new Error('useAdmin must be used within an AdminProvider');
+  }
+  return context;
+};
+
+// 🔹 Admin console calls (admins and auditors only; the backend enforces it)
+export const AdminProvider = ({ children }) => {
+  // 🔹 Storage, cleanup and user statistics
+  const getStats = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/admin/stats');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to load statistics';
+      return { success: false, message };
+    }
+  }, []);
+
+  // 🔹 List and search users
+  const getUsers = useCallback(async (params = {}) => {
+    try {
+      const response = await axios.get('/api/admin/users', { params });
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to load users';
+      return { success: false, message };
+    }
+  }, []);
+
+  // 🔹 Deactivate or reactivate a user
+  const setUserActive = async (userId, isActive) => {
+    try {
+      const response = await axios.patch(`/api/admin/users/${userId}`, { isActive });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.errors?.[0]?.msg ||
+        error.response?.data?.message ||
+        'Failed to update user';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Browse every file
+  const getFiles = useCallback(async (params = {}) => {
+    try {
+      const response = await axios.get('/api/admin/files', { params });
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to load files';
+      return { success: false, message };
+    }
+  }, []);
+
+  // 🔹 Force-delete any file
+  const forceDeleteFile = async (fileId) => {
+    try {
+      await axios.delete(`/api/admin/files/${fileId}`);
+      toast.success('File deleted successfully!');
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to delete file';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Report of the last storage reconciliation
+  const getLastReconciliation = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/admin/reconcile');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to load reconciliation report';
+      return { success: false, message };
+    }
+  }, []);
+
+  // 🔹 Reconcile storage with the database (dryRun only reports)
+  const reconcileStorage = async (dryRun = true) => {
+    try {
+      const response = await axios.post('/api/admin/reconcile', { dryRun });
+      toast.success(dryRun ? 'Dry run complete' : 'Storage reconciled');
+      return { success: true, report: response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.errors?.[0]?.msg ||
+        error.response?.data?.message ||
+        'Failed to reconcile storage';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  const value = {
+    getStats,
+    getUsers,
+    setUserActive,
+    getFiles,
+    forceDeleteFile,
+    getLastReconciliation,
+    reconcileStorage
+  };
+
+  return (
+    <AdminContext.Provider value={value}>
+      {children}
+    </AdminContext.Provider>
+  );
+};
@@ -2,7 +2,9 @@ import React, {
   createContext,
   useContext,
   useState,
-  useEffect
+  useEffect,
+  useCallback,
+  useRef
 } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
@@ -21,6 +23,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem('token'));
+  const refreshRequest = useRef(null);
 
   // 🔹 Backend API base URL (Create React App compatible)
   const API = process.env.REACT_APP_API_BASE_URL;
@@ -41,30 +44,111 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  // 🔹 Keep tokens in storage and on every request
+  const saveSession = useCallback((newToken, newRefreshToken) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    setToken(newToken);
+  }, []);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    delete axios.defaults.headers.common['Authorization'];
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // 🔹 Swap the refresh token for a new access token; concurrent callers
+  // share one request because each refresh token only works once
+  const refreshAccessToken = useCallback(() => {
+    if (!refreshRequest.current) {
+      const storedRefreshToken = localStorage.getItem('refreshToken');
+
+      refreshRequest.current = axios
+        .post('/api/auth/refresh', { refreshToken: storedRefreshToken })
+        .then((response) => {
+          const { token: newToken, refreshToken } = response.data.data;
+          saveSession(newToken, refreshToken);
+          return newToken;
+        })
+        .catch(() => {
+          // Another tab may have refreshed with the same token first
+          if (localStorage.getItem('refreshToken') !== storedRefreshToken) {
+            const sharedToken = localStorage.getItem('token');
+            axios.defaults.headers.common['Authorization'] = `Bearer ${sharedToken}`;
+            setToken(sharedToken);
+            return sharedToken;
+          }
+
+          clearSession();
+          return null;
+        })
+        .finally(() => {
+          refreshRequest.current = null;
+        });
+    }
+
+    return refreshRequest.current;
+  }, [saveSession, clearSession]);
+
+  // 🔹 Refresh silently when the access token has expired
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const original = error.config;
+        const reason = error.response?.status === 401 && error.response.data?.error;
+
+        if (reason === 'Session revoked') {
+          clearSession();
+        }
+
+        if (
+          reason !== 'Token expired' ||
+          original._retried ||
+          !localStorage.getItem('refreshToken')
+        ) {
+          return Promise.reject(error);
+        }
+
+        original._retried = true;
+        const newToken = await refreshAccessToken();
+        if (!newToken) {
+          return Promise.reject(error);
+        }
+
+        original.headers['Authorization'] = `Bearer ${newToken}`;
+        return axios(original);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshAccessToken, clearSession]);
+
   // 🔹 Verify auth on app load
   useEffect(() => {
     const checkAuth = async () => {
-      if (token) {
+      if (localStorage.getItem('token')) {
         try {
           const response = await axios.get('/api/auth/verify');
 
           if (response.data.success) {
             setUser(response.data.data.user);
           } else {
-            localStorage.removeItem('token');
-            setToken(null);
+            clearSession();
           }
         } catch (error) {
           console.error('Auth verification failed:', error);
-          localStorage.removeItem('token');
-          setToken(null);
+          clearSession();
         }
       }
       setLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+  }, [clearSession]);
 
   // 🔹 Login
   const login = async (identifier, password) => {
@@ -75,10 +159,18 @@ export const AuthProvider = ({ children }) => {
       });
 
       if (response.data.success) {
-        const { user: userData, token: newToken } = response.data.data;
+        // The password was right, but a second factor is still needed
+        if (response.data.data.twoFactorRequired) {
+          return {
+            success: false,
+            twoFactorRequired: true,
+            challengeToken: response.data.data.challengeToken
+          };
+        }
 
-        localStorage.setItem('token', newToken);
-        setToken(newToken);
+        const { user: userData, token: newToken, refreshToken } = response.data.data;
+
+        saveSession(newToken, refreshToken);
         setUser(userData);
 
         toast.success('Login successful!');
@@ -92,6 +184,66 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // 🔹 Second login step (authenticator or recovery code)
+  const loginWithTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', {
+        challengeToken,
+        code
+      });
+
+      if (response.data.success) {
+        const { user: userData, token: newToken, refreshToken } = response.data.data;
+
+        saveSession(newToken, refreshToken);
+        setUser(userData);
+
+        toast.success('Login successful!');
+        return { success: true, user: userData };
+      }
+    } catch (error) {
+      const message =
+        error.response?.data?.message || 'Login failed';
+      return {
+        success: false,
+        message,
+        expired: error.response?.data?.error === 'Invalid challenge'
+      };
+    }
+  };
+
+  // 🔹 Single sign-on
+  const getSsoConfig = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/auth/oidc/config');
+      return response.data.data;
+    } catch (error) {
+      return { enabled: false };
+    }
+  }, []);
+
+  // The login itself happens at the identity provider
+  const startSsoLogin = () => {
+    window.location.assign(`${API || ''}/api/auth/oidc/login`);
+  };
+
+  // Tokens come back in the URL fragment of /sso/callback
+  const completeSsoLogin = useCallback(async (newToken, refreshToken) => {
+    try {
+      saveSession(newToken, refreshToken);
+      const response = await axios.get('/api/auth/verify');
+      setUser(response.data.data.user);
+
+      toast.success('Login successful!');
+      return { success: true };
+    } catch (error) {
+      clearSession();
+      const message =
+        error.response?.data?.message || 'Login failed';
+      return { success: false, message };
+    }
+  }, [saveSession, clearSession]);
+
   // 🔹 Register
   const register = async (userData) => {
     try {
@@ -101,14 +253,13 @@ export const AuthProvider = ({ children }) => {
       );
 
       if (response.data.success) {
-        const { user: newUser, token: newToken } =
+        const { user: newUser, token: newToken, refreshToken } =
           response.data.data;
 
-        localStorage.setItem('token', newToken);
-        setToken(newToken);
+        saveSession(newToken, refreshToken);
         setUser(newUser);
 
-        toast.success('Registration successful!');
+        toast.success('Registration successful! Check your email to verify your address.');
         return { success: true, user: newUser };
       }
     } catch (error) {
@@ -121,14 +272,148 @@ export const AuthProvider = ({ children }) => {
   };
 
   // 🔹 Logout
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
-    delete axios.defaults.headers.common['Authorization'];
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+
+    // End the session on the server too; the local logout stands either way
+    if (refreshToken) {
+      try {
+        await axios.post('/api/auth/logout', { refreshToken });
+      } catch (error) {
+        console.error('Server logout failed:', error);
+      }
+    }
+
     toast.success('Logged out successfully!');
   };
 
+  // 🔹 Logout everywhere
+  const logoutAll = async () => {
+    try {
+      await axios.post('/api/auth/logout-all');
+      clearSession();
+      toast.success('Logged out of all sessions!');
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Logout failed';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Active sessions
+  const getSessions = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/auth/sessions');
+      return { success: true, sessions: response.data.data.sessions };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to load sessions';
+      return { success: false, message };
+    }
+  }, []);
+
+  const revokeSession = async (sessionId) => {
+    try {
+      await axios.delete(`/api/auth/sessions/${sessionId}`);
+      toast.success('Session revoked');
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to revoke session';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Personal API keys
+  const getApiKeys = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/auth/api-keys');
+      return { success: true, ...response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to load API keys';
+      return { success: false, message };
+    }
+  }, []);
+
+  const createApiKey = async (name, scopes) => {
+    try {
+      const response = await axios.post('/api/auth/api-keys', { name, scopes });
+      toast.success('API key created');
+      return { success: true, key: response.data.data.key };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        error.response?.data?.errors?.[0]?.msg ||
+        'Failed to create API key';
+      return { success: false, message };
+    }
+  };
+
+  const revokeApiKey = async (keyId) => {
+    try {
+      await axios.delete(`/api/auth/api-keys/${keyId}`);
+      toast.success('API key revoked');
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to revoke API key';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Two-factor authentication
+  const startTwoFactorSetup = async () => {
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      return { success: true, ...response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Could not start two-factor setup';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  const enableTwoFactor = async (code) => {
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code });
+      setUser((current) => ({ ...current, twoFactorEnabled: true }));
+      toast.success('Two-factor authentication enabled!');
+      return { success: true, recoveryCodes: response.data.data.recoveryCodes };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Could not enable two-factor authentication';
+      return { success: false, message };
+    }
+  };
+
+  const disableTwoFactor = async (password, code) => {
+    try {
+      await axios.post('/api/auth/2fa/disable', { password, code });
+      setUser((current) => ({ ...current, twoFactorEnabled: false }));
+      toast.success('Two-factor authentication disabled');
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Could not disable two-factor authentication';
+      return { success: false, message };
+    }
+  };
+
   // 🔹 Update profile
   const updateProfile = async (profileData) => {
     try {
@@ -181,16 +466,122 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // 🔹 Verify email address from the emailed link
+  const verifyEmail = async (verificationToken) => {
+    try {
+      const response = await axios.get(
+        `/api/auth/verify-email/${verificationToken}`
+      );
+
+      if (response.data.success) {
+        // The link may have been opened while signed in to this account
+        if (token) {
+          axios
+            .get('/api/auth/verify')
+            .then((current) => setUser(current.data.data.user))
+            .catch(() => {});
+        }
+        return { success: true };
+      }
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Email verification failed';
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Resend the verification email
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post(
+        '/api/auth/resend-verification'
+      );
+
+      if (response.data.success) {
+        toast.success('Verification email sent!');
+        return { success: true };
+      }
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Could not send verification email';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Request a password reset link
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await axios.post(
+        '/api/auth/forgot-password',
+        { email }
+      );
+
+      if (response.data.success) {
+        return { success: true, message: response.data.message };
+      }
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        error.response?.data?.errors?.[0]?.msg ||
+        'Password reset request failed';
+      return { success: false, message };
+    }
+  };
+
+  // 🔹 Reset password with the emailed token
+  const resetPassword = async (resetToken, password) => {
+    try {
+      const response = await axios.post(
+        '/api/auth/reset-password',
+        { token: resetToken, password }
+      );
+
+      if (response.data.success) {
+        // Every existing session was signed out by the reset
+        clearSession();
+
+        toast.success('Password reset successfully!');
+        return { success: true };
+      }
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        error.response?.data?.errors?.[0]?.msg ||
+        'Password reset failed';
+      return { success: false, message };
+    }
+  };
+
   const value = {
     user,
     loading,
     isAuthenticated: !!user,
     token,
     login,
+    loginWithTwoFactor,
+    getSsoConfig,
+    startSsoLogin,
+    completeSsoLogin,
     register,
     logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    getApiKeys,
+    createApiKey,
+    revokeApiKey,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
     updateProfile,
-    changePassword
+    changePassword,
+    verifyEmail,
+    resendVerification,
+    requestPasswordReset,
+    resetPassword
   };
 
   return (
@@ -2,13 +2,190 @@ import React, {
   createContext,
   useContext,
   useState,
-  useEffect
+  useEffect,
+  useCallback
 } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import {
+  generateKey,
+  keyToFragment,
+  encryptFile,
+  decryptStream
+} from '../utils/e2e';
 
 const FileContext = createContext();
 
+// 🔹 Resumable upload settings (tus 1.0.0 protocol)
+const UPLOADS_ENDPOINT = '/api/files/uploads';
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000];
+const tusHeaders = { 'Tus-Resumable': '1.0.0' };
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Uploads are remembered per file so a reload can pick up where it stopped
+const uploadStorageKey = (file) =>
+  `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+const encodeMetadata = (metadata) =>
+  Object.entries(metadata)
+    .map(([key, value]) =>
+      `${key} ${btoa(unescape(encodeURIComponent(value)))}`
+    )
+    .join(',');
+
+// Network failures, server errors and offset conflicts are worth retrying
+const isRetryable = (error) =>
+  !error.response ||
+  error.response.status >= 500 ||
+  error.response.status === 409;
+
+const createUpload = async (file, metadata = {}) => {
+  const response = await axios.post(UPLOADS_ENDPOINT, null, {
+    headers: {
+      ...tusHeaders,
+      'Upload-Length': file.size,
+      'Upload-Metadata': encodeMetadata({
+        filename: file.name,
+        filetype: file.type,
+        ...metadata
+      })
+    }
+  });
+
+  const uploadUrl = `${UPLOADS_ENDPOINT}/${response.data.data.uploadId}`;
+  localStorage.setItem(uploadStorageKey(file), uploadUrl);
+  return uploadUrl;
+};
+
+// Returns the server's offset, or null if the upload no longer exists
+const getUploadOffset = async (uploadUrl) => {
+  try {
+    const response = await axios.head(uploadUrl, { headers: tusHeaders });
+    return parseInt(response.headers['upload-offset'], 10);
+  } catch (error) {
+    if ([403, 404].includes(error.response?.status)) return null;
+    throw error;
+  }
+};
+
+const uploadInChunks = async (file, onProgress, metadata = {}) => {
+  let uploadUrl = localStorage.getItem(uploadStorageKey(file));
+  let offset = uploadUrl ? await getUploadOffset(uploadUrl) : null;
+
+  if (offset === null) {
+    uploadUrl = await createUpload(file, metadata);
+    offset = 0;
+  }
+
+  let attempt = 0;
+  while (offset < file.size) {
+    const chunkStart = offset;
+
+    try {
+      const chunk = file.slice(chunkStart, chunkStart + CHUNK_SIZE);
+      const response = await axios.patch(uploadUrl, chunk, {
+        headers: {
+          ...tusHeaders,
+          'Upload-Offset': chunkStart,
+          'Content-Type': 'application/offset+octet-stream'
+        },
+        onUploadProgress: (event) => {
+          onProgress(chunkStart + event.loaded);
+        }
+      });
+
+      offset = parseInt(response.headers['upload-offset'], 10);
+      onProgress(offset);
+      attempt = 0;
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= RETRY_DELAYS.length) {
+        throw error;
+      }
+
+      // Wait out the blip, then ask the server how much it actually kept
+      await wait(RETRY_DELAYS[attempt]);
+      attempt += 1;
+
+      const serverOffset = await getUploadOffset(uploadUrl).catch(() => chunkStart);
+      if (serverOffset === null) {
+        uploadUrl = await createUpload(file, metadata);
+        offset = 0;
+      } else {
+        offset = serverOffset;
+      }
+    }
+  }
+
+  return uploadUrl;
+};
+
+// 🔹 Tokens for unlocked password-protected shares (per browser tab)
+const shareTokenKey = (shareId) => `shareToken:${shareId}`;
+
+const storeShareToken = (shareId, shareToken) => {
+  if (shareToken) sessionStorage.setItem(shareTokenKey(shareId), shareToken);
+};
+
+const shareHeaders = (shareId) => {
+  const shareToken = sessionStorage.getItem(shareTokenKey(shareId));
+  return shareToken ? { 'X-Share-Token': shareToken } : {};
+};
+
+// 🔹 Hand a blob to the browser as a file download
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// 🔹 Where decrypted downloads go: straight to disk where the browser
+// supports it, otherwise collected into a blob
+const openDecryptedTarget = async (metadata) => {
+  if (window.showSaveFilePicker) {
+    try {
+      const handle = await window.showSaveFilePicker({
+        suggestedName: metadata.name
+      });
+      const writable = await handle.createWritable();
+
+      return {
+        write: (chunk) => writable.write(chunk),
+        close: () => writable.close(),
+        abort: () => writable.abort()
+      };
+    } catch (error) {
+      // Cancelled by the user; anything else (e.g. no user gesture left
+      // after an earlier download) falls back to a blob
+      if (error.name === 'AbortError') throw error;
+    }
+  }
+
+  const parts = [];
+  return {
+    write: (chunk) => {
+      parts.push(chunk);
+    },
+    close: () => saveBlob(new Blob(parts, { type: metadata.type }), metadata.name),
+    abort: () => {}
+  };
+};
+
+// 🔹 Let the browser download straight from a (signed) URL
+const openDownloadUrl = (url) => {
+  const link = document.createElement('a');
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
 export const useFile = () => {
   const context = useContext(FileContext);
   if (!context) {
@@ -20,6 +197,7 @@ export const useFile = () => {
 export const FileProvider = ({ children }) => {
   const [uploading, setUploading] = useState(false);
   const [downloading, setDownloading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
 
   // 🔹 Backend API base URL (Create React App compatible)
   const API = process.env.REACT_APP_API_BASE_URL;
@@ -31,39 +209,73 @@ export const FileProvider = ({ children }) => {
     }
   }, [API]);
 
-  // 🔹 Upload file
-  const uploadFile = async (file, emailData = {}) => {
+  // 🔹 Upload files (resumable, in chunks) under one share link. With
+  // emailData.e2e the files are encrypted in the browser first and the
+  // key is returned as a URL fragment for the share link.
+  const uploadFile = async (files, emailData = {}) => {
+    files = [].concat(files);
     setUploading(true);
+    setUploadProgress(0);
 
     try {
-      const formData = new FormData();
-      formData.append('file', file);
+      const metadata = files.map(() => ({}));
+      let keyFragment;
 
-      if (emailData.senderEmail) {
-        formData.append('senderEmail', emailData.senderEmail);
-      }
+      if (emailData.e2e) {
+        const key = await generateKey();
+        keyFragment = await keyToFragment(key);
+
+        const encrypted = [];
+        for (const file of files) {
+          encrypted.push(await encryptFile(file, key));
+        }
 
-      if (emailData.receiverEmail) {
-        formData.append('receiverEmail', emailData.receiverEmail);
+        files = encrypted.map((item) => item.file);
+        encrypted.forEach((item, index) => {
+          metadata[index] = { e2e: '1', e2eMetadata: item.metadata };
+        });
       }
 
-      if (emailData.expiryHours) {
-        formData.append('expiryHours', emailData.expiryHours);
+      const totalBytes = files.reduce((total, file) => total + file.size, 0);
+      const uploadIds = [];
+      let uploadedBytes = 0;
+
+      for (const [index, file] of files.entries()) {
+        const bytesBefore = uploadedBytes;
+        const uploadUrl = await uploadInChunks(file, (fileBytes) => {
+          setUploadProgress(
+            Math.round(((bytesBefore + fileBytes) / totalBytes) * 100)
+          );
+        }, metadata[index]);
+        uploadIds.push(uploadUrl.split('/').pop());
+        uploadedBytes += file.size;
       }
 
-      const response = await axios.post(
-        '/api/files/upload',
-        formData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data'
-          }
-        }
-      );
+      const response = await axios.post(`${UPLOADS_ENDPOINT}/complete`, {
+        uploadIds,
+        senderEmail: emailData.senderEmail,
+        receiverEmail: emailData.receiverEmail,
+        locale: emailData.locale,
+        expiryHours: emailData.expiryHours,
+        maxDownloads: emailData.maxDownloads,
+        password: emailData.password
+      });
+
+      files.forEach((file) => localStorage.removeItem(uploadStorageKey(file)));
 
       if (response.data.success) {
-        toast.success('File uploaded successfully!');
-        return { success: true, data: response.data.data };
+        const { shareId, shareToken } = response.data.data;
+        storeShareToken(shareId, shareToken);
+
+        toast.success(
+          files.length === 1
+            ? 'File uploaded successfully!'
+            : 'Files uploaded successfully!'
+        );
+        return {
+          success: true,
+          data: { ...response.data.data, keyFragment }
+        };
       }
     } catch (error) {
       const message =
@@ -76,10 +288,11 @@ export const FileProvider = ({ children }) => {
   };
 
   // 🔹 Get file info
-  const getFileInfo = async (fileId) => {
+  const getFileInfo = useCallback(async (fileId) => {
     try {
       const response = await axios.get(
-        `/api/files/${fileId}`
+        `/api/files/${fileId}`,
+        { headers: shareHeaders(fileId) }
       );
 
       if (response.data.success) {
@@ -89,43 +302,123 @@ export const FileProvider = ({ children }) => {
       const message =
         error.response?.data?.message ||
         'Failed to get file info';
+      return {
+        success: false,
+        message,
+        passwordRequired: !!error.response?.data?.passwordProtected
+      };
+    }
+  }, []);
+
+  // 🔹 Unlock a password-protected share
+  const unlockShare = async (shareId, password) => {
+    try {
+      const response = await axios.post(
+        `/api/files/${shareId}/unlock`,
+        { password }
+      );
+
+      if (response.data.success) {
+        const { shareToken } = response.data.data;
+        storeShareToken(shareId, shareToken);
+        storeShareToken(response.data.data.shareId, shareToken);
+        return { success: true };
+      }
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to unlock file';
       return { success: false, message };
     }
   };
 
-  // 🔹 Download file
-  const downloadFile = async (fileId) => {
+  // 🔹 Download file through a short-lived signed link, so large files
+  // stream to disk instead of being held in memory
+  const downloadFile = async (fileId, shareId = fileId) => {
     setDownloading(true);
 
     try {
-      const response = await axios.get(
-        `/api/files/${fileId}/download`,
-        { responseType: 'blob' }
+      const response = await axios.post(
+        `/api/files/${fileId}/link`,
+        {},
+        { headers: shareHeaders(shareId) }
       );
 
-      const url = window.URL.createObjectURL(
-        new Blob([response.data])
-      );
-      const link = document.createElement('a');
-      link.href = url;
+      openDownloadUrl(`${API || ''}${response.data.data.url}`);
 
-      const contentDisposition =
-        response.headers['content-disposition'];
-      let filename = 'download';
+      toast.success('Download started!');
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || 'Download failed';
+      toast.error(message);
+      return { success: false, message };
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // 🔹 Download an end-to-end encrypted file, decrypting it as it arrives
+  const downloadEncryptedFile = async (fileId, shareId, key, metadata) => {
+    let target;
+
+    try {
+      // Ask where to save first, while the click still counts as a gesture
+      target = await openDecryptedTarget(metadata);
+    } catch (error) {
+      return { success: false, message: 'Download cancelled' };
+    }
+
+    setDownloading(true);
+
+    try {
+      const link = await axios.post(
+        `/api/files/${fileId}/link`,
+        {},
+        { headers: shareHeaders(shareId) }
+      );
 
-      if (contentDisposition) {
-        const match =
-          contentDisposition.match(/filename="(.+)"/);
-        if (match) filename = match[1];
+      const response = await fetch(`${API || ''}${link.data.data.url}`);
+      if (!response.ok) {
+        throw new Error('Download failed');
       }
 
-      link.setAttribute('download', filename);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      window.URL.revokeObjectURL(url);
+      await decryptStream(response.body, key, metadata, (chunk) =>
+        target.write(chunk)
+      );
+      await target.close();
 
-      toast.success('File downloaded successfully!');
+      toast.success('File downloaded and decrypted!');
+      return { success: true };
+    } catch (error) {
+      await target.abort();
+      const message =
+        error.response?.data?.message ||
+        (error.name === 'OperationError'
+          ? 'The file could not be decrypted'
+          : 'Download failed');
+      toast.error(message);
+      return { success: false, message };
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // 🔹 Download every file in a share as one ZIP, through a signed link
+  // like downloadFile
+  const downloadArchive = async (shareId) => {
+    setDownloading(true);
+
+    try {
+      const response = await axios.post(
+        `/api/files/${shareId}/archive-link`,
+        {},
+        { headers: shareHeaders(shareId) }
+      );
+
+      openDownloadUrl(`${API || ''}${response.data.data.url}`);
+
+      toast.success('Download started!');
       return { success: true };
     } catch (error) {
       const message =
@@ -137,21 +430,25 @@ export const FileProvider = ({ children }) => {
     }
   };
 
-  // 🔹 Send email link
+  // 🔹 Send email link (with an optional personal message, subject and
+  // the recipient's language)
   const sendEmailLink = async (
     fileId,
     recipientEmail,
-    message = ''
+    message = '',
+    subject = '',
+    locale = undefined
   ) => {
     try {
       const response = await axios.post(
         `/api/files/${fileId}/email`,
-        { recipientEmail, message }
+        { recipientEmail, message: message || undefined, subject: subject || undefined, locale },
+        { headers: shareHeaders(fileId) }
       );
 
       if (response.data.success) {
-        toast.success('Email sent successfully!');
-        return { success: true };
+        toast.success('Email queued for delivery!');
+        return { success: true, email: response.data.email };
       }
     } catch (error) {
       const msg =
@@ -162,6 +459,19 @@ export const FileProvider = ({ children }) => {
     }
   };
 
+  // 🔹 Who a share's link was emailed to (signed-in users only)
+  const getShareEmails = useCallback(async (fileId) => {
+    try {
+      const response = await axios.get(`/api/files/${fileId}/emails`);
+      return { success: true, data: response.data.data.emails };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to load sent emails';
+      return { success: false, message };
+    }
+  }, []);
+
   // 🔹 Delete file
   const deleteFile = async (fileId) => {
     try {
@@ -182,6 +492,19 @@ export const FileProvider = ({ children }) => {
     }
   };
 
+  // 🔹 Extend a share from the link in an expiry reminder
+  const extendShare = useCallback(async (token) => {
+    try {
+      const response = await axios.post(`/api/files/extend/${token}`);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        'Failed to extend the file';
+      return { success: false, message };
+    }
+  }, []);
+
   // 🔹 Get user files
   const getUserFiles = async (page = 1, limit = 10) => {
     try {
@@ -202,13 +525,19 @@ export const FileProvider = ({ children }) => {
 
   const value = {
     uploading,
+    uploadProgress,
     downloading,
     uploadFile,
     getFileInfo,
+    unlockShare,
     downloadFile,
+    downloadEncryptedFile,
+    downloadArchive,
     sendEmailLink,
+    getShareEmails,
     deleteFile,
-    getUserFiles
+    getUserFiles,
+    extendShare
   };
 
   return (
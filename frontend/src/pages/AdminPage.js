@@ -0,0 +1,645 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  Grid,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Pagination,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  Download as DownloadIcon,
+  Refresh as RefreshIcon,
+  Block as BlockIcon,
+  CheckCircle as CheckCircleIcon,
+  Sync as SyncIcon,
+} from '@mui/icons-material';
+import moment from 'moment';
+import { useAuth } from '../contexts/AuthContext';
+import { useAdmin } from '../contexts/AdminContext';
+
+const AdminPage = () => {
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+  const {
+    getStats,
+    getUsers,
+    setUserActive,
+    getFiles,
+    forceDeleteFile,
+    getLastReconciliation,
+    reconcileStorage,
+  } = useAdmin();
+  const navigate = useNavigate();
+
+  const isAdmin = user?.role === 'admin';
+  const canAccess = isAdmin || user?.role === 'auditor';
+
+  const [tab, setTab] = useState(0);
+  const [stats, setStats] = useState(null);
+
+  const [users, setUsers] = useState([]);
+  const [userFilters, setUserFilters] = useState({ search: '', role: '', status: '' });
+  const [userPage, setUserPage] = useState(1);
+  const [userPages, setUserPages] = useState(1);
+
+  const [files, setFiles] = useState([]);
+  const [fileFilters, setFileFilters] = useState({ search: '', owner: '', status: '' });
+  const [filePage, setFilePage] = useState(1);
+  const [filePages, setFilePages] = useState(1);
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [deleteDialog, setDeleteDialog] = useState({ open: false, fileId: null, fileName: '' });
+  const [deleting, setDeleting] = useState(false);
+
+  const [reconciliation, setReconciliation] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    const result = await getStats();
+    if (result.success) {
+      setStats(result.data);
+    }
+  }, [getStats]);
+
+  const loadReconciliation = useCallback(async () => {
+    const result = await getLastReconciliation();
+    if (result.success) {
+      setReconciliation(result.data.report);
+    }
+  }, [getLastReconciliation]);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    const result = await getUsers({ ...userFilters, page: userPage });
+    if (result.success) {
+      setUsers(result.data.users);
+      setUserPages(result.data.pagination.totalPages);
+      setError('');
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  }, [getUsers, userFilters, userPage]);
+
+  const loadFiles = useCallback(async () => {
+    setLoading(true);
+    const result = await getFiles({ ...fileFilters, page: filePage });
+    if (result.success) {
+      setFiles(result.data.files);
+      setFilePages(result.data.pagination.totalPages);
+      setError('');
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  }, [getFiles, fileFilters, filePage]);
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: { pathname: '/admin' } } });
+      return;
+    }
+    if (!canAccess) {
+      navigate('/dashboard');
+      return;
+    }
+    loadStats();
+    loadReconciliation();
+  }, [authLoading, isAuthenticated, canAccess, navigate, loadStats, loadReconciliation]);
+
+  useEffect(() => {
+    if (!canAccess) return;
+
+    if (tab === 0) {
+      loadUsers();
+    } else {
+      loadFiles();
+    }
+  }, [canAccess, tab, loadUsers, loadFiles]);
+
+  const handleUserFilter = (field) => (e) => {
+    setUserFilters((prev) => ({ ...prev, [field]: e.target.value }));
+    setUserPage(1);
+  };
+
+  const handleFileFilter = (field) => (e) => {
+    setFileFilters((prev) => ({ ...prev, [field]: e.target.value }));
+    setFilePage(1);
+  };
+
+  const handleToggleActive = async (target) => {
+    const result = await setUserActive(target.id, !target.isActive);
+    if (result.success) {
+      loadUsers();
+      loadStats();
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    setDeleting(true);
+    const result = await forceDeleteFile(deleteDialog.fileId);
+    setDeleting(false);
+    setDeleteDialog({ open: false, fileId: null, fileName: '' });
+    if (result.success) {
+      loadFiles();
+      loadStats();
+    }
+  };
+
+  const handleReconcile = async (dryRun) => {
+    setReconciling(true);
+    const result = await reconcileStorage(dryRun);
+    setReconciling(false);
+    if (result.success) {
+      setReconciliation(result.report);
+      setReportOpen(true);
+      if (!dryRun) {
+        loadStats();
+        if (tab === 1) loadFiles();
+      }
+    }
+  };
+
+  const handleRefresh = () => {
+    loadStats();
+    if (tab === 0) {
+      loadUsers();
+    } else {
+      loadFiles();
+    }
+  };
+
+  const formatFileSize = (size) => {
+    if (!size) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(size) / Math.log(k));
+    return parseFloat((size / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  if (!isAuthenticated || !canAccess) {
+    return null;
+  }
+
+  const statCards = stats ? [
+    { label: 'Users', value: `${stats.users.active} / ${stats.users.total}`, caption: 'active / total', color: 'primary.main' },
+    { label: 'Files', value: `${stats.cleanup?.activeFiles ?? 0} / ${stats.cleanup?.totalFiles ?? 0}`, caption: 'active / total', color: 'success.main' },
+    { label: 'Awaiting Cleanup', value: stats.cleanup?.expiredFiles ?? 0, caption: formatFileSize(stats.cleanup?.expiredSize), color: 'warning.main' },
+    { label: 'Storage Used', value: stats.disk.formattedSize, caption: `${stats.disk.fileCount} objects in storage`, color: 'info.main' },
+    { label: 'Email Queue', value: (stats.emails?.pending ?? 0) + (stats.emails?.sending ?? 0), caption: `${stats.emails?.dead ?? 0} undeliverable`, color: stats.emails?.dead ? 'error.main' : 'secondary.main' },
+  ] : [];
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4, flexWrap: 'wrap', gap: 2 }}>
+        <Box>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+            Admin
+          </Typography>
+          <Typography variant="h6" color="text.secondary">
+            {isAdmin ? 'Manage users and files' : 'Read-only auditor view'}
+          </Typography>
+        </Box>
+        <Button
+          variant="outlined"
+          startIcon={<RefreshIcon />}
+          onClick={handleRefresh}
+          disabled={loading}
+        >
+          Refresh
+        </Button>
+      </Box>
+
+      {/* Stats Cards */}
+      <Grid container spacing={3} sx={{ mb: 4 }}>
+        {statCards.map((card) => (
+          <Grid item xs={12} sm={6} md key={card.label}>
+            <Card>
+              <CardContent sx={{ textAlign: 'center' }}>
+                <Typography variant="h4" color={card.color} sx={{ fontWeight: 700 }}>
+                  {card.value}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {card.label}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {card.caption}
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      {/* Storage Reconciliation */}
+      <Card sx={{ mb: 4 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+            <Box>
+              <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                Storage Reconciliation
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {reconciliation
+                  ? `Last run ${moment(reconciliation.finishedAt).fromNow()}${reconciliation.dryRun ? ' (dry run)' : ''}: ${reconciliation.orphanedCount} orphaned objects, ${reconciliation.missingCount} files missing from storage`
+                  : 'Finds stored objects with no file record and file records whose stored object is missing'}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {reconciliation && (
+                <Button onClick={() => setReportOpen(true)}>
+                  View Report
+                </Button>
+              )}
+              <Button
+                variant="outlined"
+                onClick={() => handleReconcile(true)}
+                disabled={reconciling}
+              >
+                Dry Run
+              </Button>
+              {isAdmin && (
+                <Button
+                  variant="contained"
+                  color="warning"
+                  startIcon={reconciling ? <CircularProgress size={16} color="inherit" /> : <SyncIcon />}
+                  onClick={() => handleReconcile(false)}
+                  disabled={reconciling}
+                >
+                  Reconcile
+                </Button>
+              )}
+            </Box>
+          </Box>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ px: 2, borderBottom: 1, borderColor: 'divider' }}>
+          <Tab label="Users" />
+          <Tab label="Files" />
+        </Tabs>
+
+        <CardContent>
+          {/* Filters */}
+          {tab === 0 ? (
+            <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+              <TextField
+                label="Search users"
+                size="small"
+                value={userFilters.search}
+                onChange={handleUserFilter('search')}
+                sx={{ minWidth: 240 }}
+              />
+              <TextField
+                select
+                label="Role"
+                size="small"
+                value={userFilters.role}
+                onChange={handleUserFilter('role')}
+                sx={{ minWidth: 140 }}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="user">User</MenuItem>
+                <MenuItem value="auditor">Auditor</MenuItem>
+                <MenuItem value="admin">Admin</MenuItem>
+              </TextField>
+              <TextField
+                select
+                label="Status"
+                size="small"
+                value={userFilters.status}
+                onChange={handleUserFilter('status')}
+                sx={{ minWidth: 140 }}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="inactive">Deactivated</MenuItem>
+              </TextField>
+            </Box>
+          ) : (
+            <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+              <TextField
+                label="Search files or emails"
+                size="small"
+                value={fileFilters.search}
+                onChange={handleFileFilter('search')}
+                sx={{ minWidth: 240 }}
+              />
+              <TextField
+                label="Owner (email or username)"
+                size="small"
+                value={fileFilters.owner}
+                onChange={handleFileFilter('owner')}
+                sx={{ minWidth: 240 }}
+              />
+              <TextField
+                select
+                label="Status"
+                size="small"
+                value={fileFilters.status}
+                onChange={handleFileFilter('status')}
+                sx={{ minWidth: 140 }}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="expired">Expired</MenuItem>
+                <MenuItem value="broken">Missing from storage</MenuItem>
+              </TextField>
+            </Box>
+          )}
+
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : error ? (
+            <Alert severity="error">{error}</Alert>
+          ) : tab === 0 ? (
+            users.length === 0 ? (
+              <Typography color="text.secondary" sx={{ textAlign: 'center', p: 4 }}>
+                No users found
+              </Typography>
+            ) : (
+              <TableContainer>
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>User</TableCell>
+                      <TableCell>Role</TableCell>
+                      <TableCell>Files</TableCell>
+                      <TableCell>Last Login</TableCell>
+                      <TableCell>Status</TableCell>
+                      {isAdmin && <TableCell align="right">Actions</TableCell>}
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {users.map((account) => (
+                      <TableRow key={account.id} hover>
+                        <TableCell>
+                          <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                            {account.username}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {account.email}
+                          </Typography>
+                        </TableCell>
+                        <TableCell sx={{ textTransform: 'capitalize' }}>{account.role}</TableCell>
+                        <TableCell>
+                          {account.uploadStats?.totalFiles || 0} ({formatFileSize(account.uploadStats?.totalSize)})
+                        </TableCell>
+                        <TableCell>
+                          {account.lastLogin ? moment(account.lastLogin).fromNow() : 'Never'}
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={account.isActive ? 'Active' : 'Deactivated'}
+                            color={account.isActive ? 'success' : 'default'}
+                            size="small"
+                          />
+                        </TableCell>
+                        {isAdmin && (
+                          <TableCell align="right">
+                            {account.id !== user?.id && (
+                              <Button
+                                size="small"
+                                color={account.isActive ? 'error' : 'success'}
+                                startIcon={account.isActive ? <BlockIcon /> : <CheckCircleIcon />}
+                                onClick={() => handleToggleActive(account)}
+                              >
+                                {account.isActive ? 'Deactivate' : 'Reactivate'}
+                              </Button>
+                            )}
+                          </TableCell>
+                        )}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )
+          ) : files.length === 0 ? (
+            <Typography color="text.secondary" sx={{ textAlign: 'center', p: 4 }}>
+              No files found
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Filename</TableCell>
+                    <TableCell>Owner</TableCell>
+                    <TableCell>Size</TableCell>
+                    <TableCell>Uploaded</TableCell>
+                    <TableCell>Expiry</TableCell>
+                    <TableCell>Downloads</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {files.map((file) => (
+                    <TableRow key={file.id} hover>
+                      <TableCell>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                          {file.filename}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          ID: {file.id}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        {file.owner ? file.owner.username : (
+                          <Typography variant="body2" color="text.secondary">
+                            Anonymous
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{file.size}</TableCell>
+                      <TableCell>{moment(file.uploadTime).format('MMM D, YYYY')}</TableCell>
+                      <TableCell>{moment(file.expiryTime).format('MMM D, YYYY h:mm A')}</TableCell>
+                      <TableCell>{file.downloadCount} / {file.maxDownloads}</TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', gap: 0.5 }}>
+                          <Chip
+                            label={file.isExpired ? 'Expired' : 'Active'}
+                            color={file.isExpired ? 'error' : 'success'}
+                            size="small"
+                          />
+                          {file.isBroken && <Chip label="Missing" color="warning" size="small" />}
+                          {file.e2e && <Chip label="E2E" size="small" variant="outlined" />}
+                        </Box>
+                      </TableCell>
+                      <TableCell align="right">
+                        <Box sx={{ display: 'flex', gap: 0.5, justifyContent: 'flex-end' }}>
+                          <IconButton
+                            size="small"
+                            onClick={() => window.open(`/download/${file.shareId || file.id}`, '_blank')}
+                            title="Open Share"
+                          >
+                            <DownloadIcon />
+                          </IconButton>
+                          {isAdmin && (
+                            <IconButton
+                              size="small"
+                              onClick={() => setDeleteDialog({ open: true, fileId: file.id, fileName: file.filename })}
+                              color="error"
+                              title="Delete"
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          )}
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          {/* Pagination */}
+          {!loading && (tab === 0 ? userPages : filePages) > 1 && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', pt: 2 }}>
+              <Pagination
+                count={tab === 0 ? userPages : filePages}
+                page={tab === 0 ? userPage : filePage}
+                onChange={(event, page) => (tab === 0 ? setUserPage(page) : setFilePage(page))}
+                color="primary"
+              />
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Reconciliation Report Dialog */}
+      <Dialog open={reportOpen && !!reconciliation} onClose={() => setReportOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          Reconciliation Report{reconciliation?.dryRun ? ' (Dry Run)' : ''}
+        </DialogTitle>
+        {reconciliation && (
+          <DialogContent>
+            {reconciliation.dryRun && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Nothing was changed. Run a full reconciliation to apply these changes.
+              </Alert>
+            )}
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Finished {moment(reconciliation.finishedAt).format('MMM D, YYYY h:mm A')}.{' '}
+              {reconciliation.dryRun
+                ? `${reconciliation.orphanedCount} orphaned objects (${formatFileSize(reconciliation.orphanedSize)}) would be deleted and ${reconciliation.markedBrokenCount} files marked missing.`
+                : `${reconciliation.deletedCount} of ${reconciliation.orphanedCount} orphaned objects (${formatFileSize(reconciliation.orphanedSize)}) deleted and ${reconciliation.markedBrokenCount} files marked missing.`}
+              {reconciliation.restoredCount > 0 && ` ${reconciliation.restoredCount} files are back in storage.`}
+              {reconciliation.errorCount > 0 && ` ${reconciliation.errorCount} errors, see the server log.`}
+            </Typography>
+
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>
+              Orphaned objects ({reconciliation.orphanedCount})
+            </Typography>
+            {reconciliation.orphanedObjects.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                None
+              </Typography>
+            ) : (
+              <Table size="small" sx={{ mb: 2 }}>
+                <TableBody>
+                  {reconciliation.orphanedObjects.map((object) => (
+                    <TableRow key={object.key}>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{object.key}</TableCell>
+                      <TableCell>{formatFileSize(object.size)}</TableCell>
+                      <TableCell>
+                        {object.lastModified ? moment(object.lastModified).format('MMM D, YYYY') : ''}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>
+              Files missing from storage ({reconciliation.missingCount})
+            </Typography>
+            {reconciliation.missingFiles.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                None
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableBody>
+                  {reconciliation.missingFiles.map((file) => (
+                    <TableRow key={file.id}>
+                      <TableCell>{file.filename}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{file.id}</TableCell>
+                      <TableCell>{file.alreadyBroken ? 'Already marked' : 'New'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setReportOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog
+        open={deleteDialog.open}
+        onClose={() => setDeleteDialog({ open: false, fileId: null, fileName: '' })}
+      >
+        <DialogTitle>Delete File</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Are you sure you want to delete "{deleteDialog.fileName}"?
+            The file will be permanently removed for its owner and everyone it was shared with.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setDeleteDialog({ open: false, fileId: null, fileName: '' })}
+            disabled={deleting}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDeleteConfirm}
+            color="error"
+            variant="contained"
+            disabled={deleting}
+          >
+            {deleting ? 'Deleting...' : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminPage;
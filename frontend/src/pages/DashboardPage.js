@@ -24,6 +24,7 @@ import {
   Pagination,
   CircularProgress,
   Alert,
+  Tooltip,
   useTheme,
   useMediaQuery,
 } from '@mui/material';
@@ -42,10 +43,11 @@ import { CopyToClipboard } from 'react-copy-to-clipboard';
 import moment from 'moment';
 import { useFile } from '../contexts/FileContext';
 import { useAuth } from '../contexts/AuthContext';
+import { EMAIL_STATUS_COLORS, getEmailStatusText, getEmailStatusDetail } from '../utils/emailStatus';
 import toast from 'react-hot-toast';
 
 const DashboardPage = () => {
-  const { user, isAuthenticated } = useAuth();
+  const { user, isAuthenticated, resendVerification } = useAuth();
   const { getUserFiles, deleteFile } = useFile();
   const navigate = useNavigate();
   const theme = useTheme();
@@ -58,6 +60,7 @@ const DashboardPage = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [deleteDialog, setDeleteDialog] = useState({ open: false, fileId: null, fileName: '' });
   const [deleting, setDeleting] = useState(false);
+  const [resending, setResending] = useState(false);
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -104,12 +107,18 @@ const DashboardPage = () => {
     }
   };
 
-  const handleCopyLink = (fileId) => {
-    const downloadUrl = `${window.location.origin}/download/${fileId}`;
+  const handleCopyLink = (shareId) => {
+    const downloadUrl = `${window.location.origin}/download/${shareId}`;
     navigator.clipboard.writeText(downloadUrl);
     toast.success('Download link copied to clipboard!');
   };
 
+  const handleResendVerification = async () => {
+    setResending(true);
+    await resendVerification();
+    setResending(false);
+  };
+
   const formatFileSize = (size) => {
     if (!size) return '0 Bytes';
     const k = 1024;
@@ -119,7 +128,7 @@ const DashboardPage = () => {
   };
 
   const getStatusColor = (file) => {
-    if (file.isExpired) return 'error';
+    if (file.isExpired || file.isBroken) return 'error';
     const expiryTime = moment(file.expiryTime);
     const now = moment();
     const hoursRemaining = expiryTime.diff(now, 'hours');
@@ -129,6 +138,7 @@ const DashboardPage = () => {
 
   const getStatusText = (file) => {
     if (file.isExpired) return 'Expired';
+    if (file.isBroken) return 'Missing';
     const expiryTime = moment(file.expiryTime);
     const now = moment();
     const hoursRemaining = expiryTime.diff(now, 'hours');
@@ -157,6 +167,26 @@ const DashboardPage = () => {
           </Typography>
         </Box>
 
+        {/* Email Verification */}
+        {user && !user.isEmailVerified && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 4 }}
+            action={
+              <Button
+                color="inherit"
+                size="small"
+                onClick={handleResendVerification}
+                disabled={resending}
+              >
+                {resending ? 'Sending...' : 'Resend Email'}
+              </Button>
+            }
+          >
+            Please verify your email address. Check your inbox for the verification link.
+          </Alert>
+        )}
+
         {/* Stats Cards */}
         <Grid container spacing={3} sx={{ mb: 4 }}>
           <Grid item xs={12} sm={6} md={3}>
@@ -305,19 +335,34 @@ const DashboardPage = () => {
                               color={getStatusColor(file)}
                               size="small"
                             />
+                            {file.emails?.length > 0 && (
+                              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                                {file.emails.map((email) => (
+                                  <Tooltip key={email.id} title={getEmailStatusDetail(email)}>
+                                    <Chip
+                                      icon={<EmailIcon />}
+                                      label={getEmailStatusText(email)}
+                                      color={EMAIL_STATUS_COLORS[email.status]}
+                                      variant="outlined"
+                                      size="small"
+                                    />
+                                  </Tooltip>
+                                ))}
+                              </Box>
+                            )}
                           </TableCell>
                           <TableCell align="right">
                             <Box sx={{ display: 'flex', gap: 0.5, justifyContent: 'flex-end' }}>
                               <IconButton
                                 size="small"
-                                onClick={() => window.open(`/download/${file.id}`, '_blank')}
+                                onClick={() => window.open(`/download/${file.shareId || file.id}`, '_blank')}
                                 title="Download"
                               >
                                 <DownloadIcon />
                               </IconButton>
                               <IconButton
                                 size="small"
-                                onClick={() => handleCopyLink(file.id)}
+                                onClick={() => handleCopyLink(file.shareId || file.id)}
                                 title="Copy Link"
                               >
                                 <CopyIcon />
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import {
   Box,
   Container,
@@ -14,6 +14,12 @@ import {
   useTheme,
   useMediaQuery,
   CircularProgress,
+  IconButton,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  TextField,
 } from '@mui/material';
 import {
   Download as DownloadIcon,
@@ -22,16 +28,28 @@ import {
   Warning as WarningIcon,
   Error as ErrorIcon,
   CloudDownload as CloudDownloadIcon,
+  InsertDriveFile as FileIcon,
+  Lock as LockIcon,
+  LockOpen as LockOpenIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import moment from 'moment';
 import { useFile } from '../contexts/FileContext';
+import { keyFromFragment, decryptShareInfo } from '../utils/e2e';
 import toast from 'react-hot-toast';
 
 const DownloadPage = () => {
   const { fileId } = useParams();
   const navigate = useNavigate();
-  const { getFileInfo, downloadFile, downloading } = useFile();
+  const { hash } = useLocation();
+  const {
+    getFileInfo,
+    unlockShare,
+    downloadFile,
+    downloadEncryptedFile,
+    downloadArchive,
+    downloading,
+  } = useFile();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
@@ -40,14 +58,40 @@ const DownloadPage = () => {
   const [error, setError] = useState('');
   const [timeRemaining, setTimeRemaining] = useState(null);
   const [isExpired, setIsExpired] = useState(false);
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [password, setPassword] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [unlockError, setUnlockError] = useState('');
+  const [unlockCount, setUnlockCount] = useState(0);
+  const [e2eKey, setE2eKey] = useState(null);
 
   useEffect(() => {
     const fetchFileInfo = async () => {
       try {
         const result = await getFileInfo(fileId);
-        if (result.success) {
+        if (result.success && result.data.e2e) {
+          // End-to-end encrypted: the key is only in the link's fragment
+          const key = await keyFromFragment(hash);
+          if (!key) {
+            setError('This link is missing its decryption key. Ask the sender for the full link.');
+            return;
+          }
+
+          try {
+            setFileInfo(await decryptShareInfo(result.data, key));
+          } catch (err) {
+            setError('The decryption key in this link is not valid. Ask the sender for the full link.');
+            return;
+          }
+          setE2eKey(key);
+          setIsExpired(result.data.timeRemaining <= 0);
+          setPasswordRequired(false);
+        } else if (result.success) {
           setFileInfo(result.data);
           setIsExpired(result.data.timeRemaining <= 0);
+          setPasswordRequired(false);
+        } else if (result.passwordRequired) {
+          setPasswordRequired(true);
         } else {
           setError(result.message);
         }
@@ -59,7 +103,25 @@ const DownloadPage = () => {
     };
 
     fetchFileInfo();
-  }, [fileId, getFileInfo]);
+  }, [fileId, getFileInfo, unlockCount, hash]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setUnlocking(true);
+    setUnlockError('');
+
+    const result = await unlockShare(fileId, password);
+    if (result.success) {
+      setPassword('');
+      setUnlockCount((count) => count + 1);
+    } else {
+      setUnlockError(result.message);
+    }
+
+    setUnlocking(false);
+  };
 
   // Update countdown timer code
   useEffect(() => {
@@ -114,13 +176,45 @@ const DownloadPage = () => {
     return Math.min((elapsed / totalDuration) * 100, 100);
   };
 
-  const handleDownload = async () => {
+  const isBundle = fileInfo?.fileCount > 1;
+
+  const handleDownload = async (id = fileInfo?.files?.[0]?.id || fileId) => {
     if (isExpired) {
       toast.error('This file has expired');
       return;
     }
 
-    const result = await downloadFile(fileId);
+    const shareId = fileInfo?.shareId || fileId;
+    const result = fileInfo?.e2e
+      ? await downloadEncryptedFile(
+          id,
+          shareId,
+          e2eKey,
+          fileInfo.files.find((file) => file.id === id)?.metadata
+        )
+      : await downloadFile(id, shareId);
+    if (!result.success) {
+      toast.error(result.message);
+    }
+  };
+
+  const handleDownloadAll = async () => {
+    if (isExpired) {
+      toast.error('This file has expired');
+      return;
+    }
+
+    // Encrypted files can't be zipped on the server; fetch them one by one
+    if (fileInfo.e2e) {
+      for (const file of fileInfo.files) {
+        if (!file.isDownloadLimitReached) {
+          await handleDownload(file.id);
+        }
+      }
+      return;
+    }
+
+    const result = await downloadArchive(fileInfo.shareId || fileId);
     if (!result.success) {
       toast.error(result.message);
     }
@@ -151,6 +245,60 @@ const DownloadPage = () => {
     );
   }
 
+  if (passwordRequired) {
+    return (
+      <Container maxWidth="sm" sx={{ py: 4 }}>
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          <Card>
+            <CardContent sx={{ p: 4 }}>
+              <Box sx={{ textAlign: 'center', mb: 3 }}>
+                <LockIcon sx={{ fontSize: 64, color: 'primary.main', mb: 2 }} />
+                <Typography variant="h5" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+                  Password Protected
+                </Typography>
+                <Typography variant="body1" color="text.secondary">
+                  Enter the password you were given to access this file
+                </Typography>
+              </Box>
+
+              {unlockError && (
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {unlockError}
+                </Alert>
+              )}
+
+              <Box component="form" onSubmit={handleUnlock}>
+                <TextField
+                  fullWidth
+                  autoFocus
+                  label="Password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  sx={{ mb: 3 }}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  disabled={!password || unlocking}
+                  startIcon={unlocking ? <CircularProgress size={20} color="inherit" /> : <LockOpenIcon />}
+                >
+                  {unlocking ? 'Unlocking...' : 'Unlock'}
+                </Button>
+              </Box>
+            </CardContent>
+          </Card>
+        </motion.div>
+      </Container>
+    );
+  }
+
   if (error) {
     return (
       <Container maxWidth="md" sx={{ py: 4 }}>
@@ -204,12 +352,14 @@ const DownloadPage = () => {
             />
           </motion.div>
           <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
-            {isExpired ? 'File Expired' : 'Download File'}
+            {isExpired ? 'File Expired' : isBundle ? 'Download Files' : 'Download File'}
           </Typography>
           <Typography variant="h6" color="text.secondary">
             {isExpired 
               ? 'This file is no longer available for download'
-              : 'Your file is ready for download'
+              : isBundle
+                ? `${fileInfo.fileCount} files are ready for download`
+                : 'Your file is ready for download'
             }
           </Typography>
         </Box>
@@ -224,7 +374,7 @@ const DownloadPage = () => {
             <Grid container spacing={3}>
               <Grid item xs={12} sm={6}>
                 <Typography variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
-                  Filename
+                  {isBundle ? 'Files' : 'Filename'}
                 </Typography>
                 <Typography variant="h6" sx={{ fontWeight: 500, wordBreak: 'break-word' }}>
                   {fileInfo?.filename}
@@ -233,7 +383,7 @@ const DownloadPage = () => {
               
               <Grid item xs={12} sm={6}>
                 <Typography variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
-                  File Size
+                  {isBundle ? 'Total Size' : 'File Size'}
                 </Typography>
                 <Typography variant="h6" sx={{ fontWeight: 500 }}>
                   {fileInfo?.size}
@@ -258,6 +408,40 @@ const DownloadPage = () => {
                 </Typography>
               </Grid>
             </Grid>
+
+            {isBundle && (
+              <List sx={{ mt: 2 }}>
+                {fileInfo.files.map((file) => (
+                  <ListItem
+                    key={file.id}
+                    divider
+                    secondaryAction={
+                      <IconButton
+                        edge="end"
+                        title="Download"
+                        onClick={() => handleDownload(file.id)}
+                        disabled={isExpired || downloading || file.isDownloadLimitReached}
+                      >
+                        <DownloadIcon />
+                      </IconButton>
+                    }
+                  >
+                    <ListItemIcon>
+                      <FileIcon />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={file.filename}
+                      secondary={
+                        file.isDownloadLimitReached
+                          ? `${file.size} · Download limit reached`
+                          : file.size
+                      }
+                      primaryTypographyProps={{ sx: { wordBreak: 'break-word' } }}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
           </CardContent>
         </Card>
 
@@ -323,13 +507,33 @@ const DownloadPage = () => {
           </Alert>
         )}
 
+        {/* End-to-end Encryption Notice */}
+        {fileInfo?.e2e && (
+          <Alert severity="success" icon={<LockIcon />} sx={{ mb: 3 }}>
+            <Typography variant="body2">
+              <strong>End-to-end encrypted:</strong> {isBundle ? 'these files are' : 'this file is'} decrypted
+              in your browser using the key in this link. The server never sees the contents.
+            </Typography>
+          </Alert>
+        )}
+
+        {/* One-time Link Notice */}
+        {!isExpired && fileInfo?.maxDownloads === 1 && (
+          <Alert severity="info" sx={{ mb: 3 }}>
+            <Typography variant="body2">
+              <strong>One-time link:</strong> {isBundle ? 'these files' : 'this file'} will be
+              deleted as soon as the download completes and cannot be downloaded again.
+            </Typography>
+          </Alert>
+        )}
+
         {/* Download Button */}
         <Box sx={{ textAlign: 'center', mb: 4 }}>
           <Button
             variant="contained"
             size="large"
             startIcon={downloading ? <CircularProgress size={20} color="inherit" /> : <DownloadIcon />}
-            onClick={handleDownload}
+            onClick={() => (isBundle ? handleDownloadAll() : handleDownload())}
             disabled={isExpired || downloading}
             sx={{
               px: 6,
@@ -355,7 +559,9 @@ const DownloadPage = () => {
               ? 'Downloading...' 
               : isExpired 
                 ? 'File Expired' 
-                : 'Download File'
+                : isBundle
+                  ? fileInfo?.e2e ? 'Download All' : 'Download All (ZIP)'
+                  : 'Download File'
             }
           </Button>
         </Box>
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  Error as ErrorIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import moment from 'moment';
+import { useFile } from '../contexts/FileContext';
+
+const ExtendSharePage = () => {
+  const { token } = useParams();
+  const { extendShare } = useFile();
+
+  const [status, setStatus] = useState('extending');
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // A link extends the share once, so never send it twice
+    if (requested.current) return;
+    requested.current = true;
+
+    const extend = async () => {
+      const result = await extendShare(token);
+
+      if (result.success) {
+        setShare(result.data);
+        setStatus('extended');
+      } else {
+        setError(result.message);
+        setStatus('failed');
+      }
+    };
+
+    extend();
+  }, [token, extendShare]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        py: 4,
+      }}
+    >
+      <Container maxWidth="sm">
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          <Card
+            sx={{
+              boxShadow: '0 20px 40px rgba(0,0,0,0.1)',
+              borderRadius: 3,
+            }}
+          >
+            <CardContent sx={{ p: 4, textAlign: 'center' }}>
+              {status === 'extending' && (
+                <>
+                  <CircularProgress size={60} sx={{ mb: 3 }} />
+                  <Typography variant="h5" sx={{ fontWeight: 600 }}>
+                    Extending your file...
+                  </Typography>
+                </>
+              )}
+
+              {status === 'extended' && (
+                <>
+                  <CheckCircleIcon sx={{ fontSize: 80, color: 'success.main', mb: 2 }} />
+                  <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+                    Expiry Extended
+                  </Typography>
+                  <Typography variant="body1" color="text.secondary" sx={{ mb: 4 }}>
+                    {share.filename} is now available until{' '}
+                    {moment(share.expiryTime).format('MMM D, YYYY h:mm A')}.
+                  </Typography>
+                  <Button
+                    component={Link}
+                    to={`/download/${share.shareId}`}
+                    variant="contained"
+                    size="large"
+                  >
+                    View File
+                  </Button>
+                </>
+              )}
+
+              {status === 'failed' && (
+                <>
+                  <ErrorIcon sx={{ fontSize: 80, color: 'error.main', mb: 2 }} />
+                  <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+                    Could Not Extend
+                  </Typography>
+                  <Typography variant="body1" color="text.secondary" sx={{ mb: 4 }}>
+                    {error}
+                  </Typography>
+                  <Button component={Link} to="/dashboard" variant="contained" size="large">
+                    Go to Dashboard
+                  </Button>
+                </>
+              )}
+            </CardContent>
+          </Card>
+        </motion.div>
+      </Container>
+    </Box>
+  );
+};
+
+export default ExtendSharePage;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Card,
+  CardContent,
+  Alert,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Email as EmailIcon,
+  Send as SendIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+
+const ForgotPasswordPage = () => {
+  const { requestPasswordReset } = useAuth();
+
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    const result = await requestPasswordReset(email);
+
+    if (result.success) {
+      setSentMessage(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setIsLoading(false);
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        py: 4,
+      }}
+    >
+      <Container maxWidth="sm">
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          <Card
+            sx={{
+              boxShadow: '0 20px 40px rgba(0,0,0,0.1)',
+              borderRadius: 3,
+            }}
+          >
+            <CardContent sx={{ p: 4 }}>
+              {/* Header */}
+              <Box sx={{ textAlign: 'center', mb: 4 }}>
+                <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+                  Forgot Password
+                </Typography>
+                <Typography variant="body1" color="text.secondary">
+                  Enter your email and we'll send you a link to reset your password
+                </Typography>
+              </Box>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {error}
+                </Alert>
+              )}
+
+              {sentMessage ? (
+                <Alert severity="success" sx={{ mb: 3 }}>
+                  {sentMessage}
+                </Alert>
+              ) : (
+                <Box component="form" onSubmit={handleSubmit}>
+                  <TextField
+                    fullWidth
+                    label="Email Address"
+                    name="email"
+                    type="email"
+                    value={email}
+                    onChange={(e) => {
+                      setEmail(e.target.value);
+                      if (error) setError('');
+                    }}
+                    margin="normal"
+                    required
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <EmailIcon />
+                        </InputAdornment>
+                      ),
+                    }}
+                    sx={{ mb: 3 }}
+                  />
+
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isLoading}
+                    startIcon={isLoading ? null : <SendIcon />}
+                    sx={{
+                      py: 1.5,
+                      fontSize: '1.1rem',
+                      fontWeight: 600,
+                      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                    }}
+                  >
+                    {isLoading ? 'Sending...' : 'Send Reset Link'}
+                  </Button>
+                </Box>
+              )}
+
+              <Box sx={{ textAlign: 'center', mt: 3 }}>
+                <Button
+                  component={Link}
+                  to="/login"
+                  variant="text"
+                  sx={{ fontWeight: 600, textTransform: 'none' }}
+                >
+                  Back to Sign In
+                </Button>
+              </Box>
+            </CardContent>
+          </Card>
+        </motion.div>
+      </Container>
+    </Box>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -10,6 +10,7 @@ import {
   CardContent,
   Grid,
   Alert,
+  Divider,
   InputAdornment,
   IconButton,
   useTheme,
@@ -21,12 +22,14 @@ import {
   Visibility as VisibilityIcon,
   VisibilityOff as VisibilityOffIcon,
   Login as LoginIcon,
+  Security as SecurityIcon,
+  Business as BusinessIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 
 const LoginPage = () => {
-  const { login, isAuthenticated, loading } = useAuth();
+  const { login, loginWithTwoFactor, getSsoConfig, startSsoLogin, isAuthenticated, loading } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const theme = useTheme();
@@ -39,6 +42,11 @@ const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // Set after the password, or by single sign-on for accounts with 2FA
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [ssoConfig, setSsoConfig] = useState({ enabled: false });
 
   const from = location.state?.from?.pathname || '/dashboard';
 
@@ -48,6 +56,10 @@ const LoginPage = () => {
     }
   }, [isAuthenticated, loading, navigate, from]);
 
+  useEffect(() => {
+    getSsoConfig().then(setSsoConfig);
+  }, [getSsoConfig]);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -71,6 +83,8 @@ const LoginPage = () => {
     
     if (result.success) {
       navigate(from, { replace: true });
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     } else {
       setError(result.message);
     }
@@ -78,6 +92,40 @@ const LoginPage = () => {
     setIsLoading(false);
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the code from your app');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    const result = await loginWithTwoFactor(challengeToken, code);
+
+    if (result.success) {
+      navigate(from, { replace: true });
+      return;
+    }
+
+    // The challenge only lasts a few minutes; start over with the password
+    if (result.expired) {
+      setChallengeToken(null);
+      setCode('');
+    }
+    setError(result.message);
+    setIsLoading(false);
+  };
+
+  const handleCancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   const handleTogglePasswordVisibility = () => {
     setShowPassword(!showPassword);
   };
@@ -122,77 +170,178 @@ const LoginPage = () => {
                 </Alert>
               )}
 
-              {/* Login Form */}
-              <Box component="form" onSubmit={handleSubmit}>
-                <TextField
-                  fullWidth
-                  label="Email or Username"
-                  name="identifier"
-                  value={formData.identifier}
-                  onChange={handleChange}
-                  margin="normal"
-                  required
-                  InputProps={{
-                    startAdornment: (
-                      <InputAdornment position="start">
-                        <EmailIcon />
-                      </InputAdornment>
-                    ),
-                  }}
-                  sx={{ mb: 2 }}
-                />
-
-                <TextField
-                  fullWidth
-                  label="Password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  value={formData.password}
-                  onChange={handleChange}
-                  margin="normal"
-                  required
-                  InputProps={{
-                    startAdornment: (
-                      <InputAdornment position="start">
-                        <LockIcon />
-                      </InputAdornment>
-                    ),
-                    endAdornment: (
-                      <InputAdornment position="end">
-                        <IconButton
-                          onClick={handleTogglePasswordVisibility}
-                          edge="end"
-                        >
-                          {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
-                        </IconButton>
-                      </InputAdornment>
-                    ),
-                  }}
-                  sx={{ mb: 3 }}
-                />
-
-                <Button
-                  type="submit"
-                  fullWidth
-                  variant="contained"
-                  size="large"
-                  disabled={isLoading}
-                  startIcon={isLoading ? null : <LoginIcon />}
-                  sx={{
-                    py: 1.5,
-                    fontSize: '1.1rem',
-                    fontWeight: 600,
-                    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                    '&:hover': {
-                      transform: 'translateY(-2px)',
-                      boxShadow: '0 8px 25px rgba(102, 126, 234, 0.4)',
-                    },
-                    transition: 'all 0.3s ease',
-                  }}
-                >
-                  {isLoading ? 'Signing In...' : 'Sign In'}
-                </Button>
-              </Box>
+              {/* Two-Factor Step */}
+              {challengeToken ? (
+                <Box component="form" onSubmit={handleCodeSubmit}>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    {useRecoveryCode
+                      ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+                      : 'Enter the 6-digit code from your authenticator app.'}
+                  </Typography>
+
+                  <TextField
+                    fullWidth
+                    autoFocus
+                    label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                    name="code"
+                    value={code}
+                    onChange={(e) => {
+                      setCode(e.target.value);
+                      if (error) setError('');
+                    }}
+                    margin="normal"
+                    required
+                    inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <SecurityIcon />
+                        </InputAdornment>
+                      ),
+                    }}
+                    sx={{ mb: 3 }}
+                  />
+
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isLoading}
+                    sx={{
+                      py: 1.5,
+                      fontSize: '1.1rem',
+                      fontWeight: 600,
+                      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                    }}
+                  >
+                    {isLoading ? 'Verifying...' : 'Verify'}
+                  </Button>
+
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+                    <Button
+                      variant="text"
+                      size="small"
+                      sx={{ textTransform: 'none' }}
+                      onClick={() => {
+                        setUseRecoveryCode(!useRecoveryCode);
+                        setCode('');
+                      }}
+                    >
+                      {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                    </Button>
+                    <Button
+                      variant="text"
+                      size="small"
+                      sx={{ textTransform: 'none' }}
+                      onClick={handleCancelTwoFactor}
+                    >
+                      Back
+                    </Button>
+                  </Box>
+                </Box>
+              ) : (
+                /* Login Form */
+                <Box component="form" onSubmit={handleSubmit}>
+                  <TextField
+                    fullWidth
+                    label="Email or Username"
+                    name="identifier"
+                    value={formData.identifier}
+                    onChange={handleChange}
+                    margin="normal"
+                    required
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <EmailIcon />
+                        </InputAdornment>
+                      ),
+                    }}
+                    sx={{ mb: 2 }}
+                  />
+
+                  <TextField
+                    fullWidth
+                    label="Password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    value={formData.password}
+                    onChange={handleChange}
+                    margin="normal"
+                    required
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <LockIcon />
+                        </InputAdornment>
+                      ),
+                      endAdornment: (
+                        <InputAdornment position="end">
+                          <IconButton
+                            onClick={handleTogglePasswordVisibility}
+                            edge="end"
+                          >
+                            {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
+                          </IconButton>
+                        </InputAdornment>
+                      ),
+                    }}
+                    sx={{ mb: 1 }}
+                  />
+
+                  <Box sx={{ textAlign: 'right', mb: 2 }}>
+                    <Button
+                      component={Link}
+                      to="/forgot-password"
+                      variant="text"
+                      size="small"
+                      sx={{ textTransform: 'none', p: 0, minWidth: 'auto' }}
+                    >
+                      Forgot password?
+                    </Button>
+                  </Box>
+
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isLoading}
+                    startIcon={isLoading ? null : <LoginIcon />}
+                    sx={{
+                      py: 1.5,
+                      fontSize: '1.1rem',
+                      fontWeight: 600,
+                      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                      '&:hover': {
+                        transform: 'translateY(-2px)',
+                        boxShadow: '0 8px 25px rgba(102, 126, 234, 0.4)',
+                      },
+                      transition: 'all 0.3s ease',
+                    }}
+                  >
+                    {isLoading ? 'Signing In...' : 'Sign In'}
+                  </Button>
+
+                  {/* Single Sign-On */}
+                  {ssoConfig.enabled && (
+                    <>
+                      <Divider sx={{ my: 3 }}>or</Divider>
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        size="large"
+                        startIcon={<BusinessIcon />}
+                        onClick={startSsoLogin}
+                        sx={{ py: 1.5, fontWeight: 600 }}
+                      >
+                        Sign in with {ssoConfig.providerName}
+                      </Button>
+                    </>
+                  )}
+                </Box>
+              )}
 
               {/* Register Link */}
               <Box sx={{ textAlign: 'center', mt: 3 }}>
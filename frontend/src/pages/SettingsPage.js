@@ -0,0 +1,668 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Chip,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Switch,
+  MenuItem,
+} from '@mui/material';
+import {
+  Devices as DevicesIcon,
+  Delete as DeleteIcon,
+  Logout as LogoutIcon,
+  Security as SecurityIcon,
+  ContentCopy as CopyIcon,
+  VpnKey as KeyIcon,
+  Add as AddIcon,
+  Notifications as NotificationsIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import moment from 'moment';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { EMAIL_LOCALES, DEFAULT_EMAIL_LOCALE } from '../utils/emailLocales';
+
+const SettingsPage = () => {
+  const {
+    user,
+    isAuthenticated,
+    loading: authLoading,
+    getSessions,
+    revokeSession,
+    logoutAll,
+    getApiKeys,
+    createApiKey,
+    revokeApiKey,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    updateProfile,
+  } = useAuth();
+  const navigate = useNavigate();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [setupCode, setSetupCode] = useState('');
+  const [twoFactorError, setTwoFactorError] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disableDialog, setDisableDialog] = useState({ open: false, password: '', code: '' });
+  const [disableError, setDisableError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const [apiKeys, setApiKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [keyDialog, setKeyDialog] = useState({ open: false, name: '', scopes: [] });
+  const [keyError, setKeyError] = useState('');
+  const [newKey, setNewKey] = useState(null);
+
+  const [notifications, setNotifications] = useState({
+    emailNotifications: true,
+    notifyEveryDownload: false,
+    expiryReminderHours: 12,
+    locale: DEFAULT_EMAIL_LOCALE,
+  });
+  const [savingNotifications, setSavingNotifications] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    const result = await getSessions();
+    if (result.success) {
+      setSessions(result.sessions);
+      setError('');
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  }, [getSessions]);
+
+  const loadApiKeys = useCallback(async () => {
+    const result = await getApiKeys();
+    if (result.success) {
+      setApiKeys(result.apiKeys);
+      setAvailableScopes(result.scopes);
+    }
+  }, [getApiKeys]);
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: { pathname: '/settings' } } });
+      return;
+    }
+    loadSessions();
+    loadApiKeys();
+  }, [authLoading, isAuthenticated, navigate, loadSessions, loadApiKeys]);
+
+  useEffect(() => {
+    if (user?.preferences) {
+      setNotifications({
+        emailNotifications: user.preferences.emailNotifications,
+        notifyEveryDownload: user.preferences.notifyEveryDownload,
+        expiryReminderHours: user.preferences.expiryReminderHours,
+        locale: user.preferences.locale || DEFAULT_EMAIL_LOCALE,
+      });
+    }
+  }, [user]);
+
+  const handleNotificationChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setNotifications((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveNotifications = async () => {
+    setSavingNotifications(true);
+    await updateProfile({ preferences: notifications });
+    setSavingNotifications(false);
+  };
+
+  const handleRevoke = async (sessionId) => {
+    const result = await revokeSession(sessionId);
+    if (result.success) {
+      loadSessions();
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    const result = await logoutAll();
+    if (result.success) {
+      navigate('/login');
+    }
+  };
+
+  const handleStartSetup = async () => {
+    setTwoFactorError('');
+    const result = await startTwoFactorSetup();
+    if (result.success) {
+      setTwoFactorSetup({ qrCode: result.qrCode, secret: result.secret });
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const result = await enableTwoFactor(setupCode);
+    if (result.success) {
+      setTwoFactorSetup(null);
+      setSetupCode('');
+      setRecoveryCodes(result.recoveryCodes);
+    } else {
+      setTwoFactorError(result.message);
+    }
+
+    setSaving(false);
+  };
+
+  const handleDisable = async () => {
+    setSaving(true);
+
+    const result = await disableTwoFactor(disableDialog.password, disableDialog.code);
+    if (result.success) {
+      setDisableDialog({ open: false, password: '', code: '' });
+      setDisableError('');
+      setRecoveryCodes(null);
+    } else {
+      setDisableError(result.message);
+    }
+
+    setSaving(false);
+  };
+
+  const handleCopyRecoveryCodes = () => {
+    navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied to clipboard!');
+  };
+
+  const handleToggleScope = (scope) => {
+    const scopes = keyDialog.scopes.includes(scope)
+      ? keyDialog.scopes.filter((current) => current !== scope)
+      : [...keyDialog.scopes, scope];
+    setKeyDialog({ ...keyDialog, scopes });
+  };
+
+  const handleCreateKey = async () => {
+    setSaving(true);
+
+    const result = await createApiKey(keyDialog.name, keyDialog.scopes);
+    if (result.success) {
+      setKeyDialog({ open: false, name: '', scopes: [] });
+      setKeyError('');
+      setNewKey(result.key);
+      loadApiKeys();
+    } else {
+      setKeyError(result.message);
+    }
+
+    setSaving(false);
+  };
+
+  const handleRevokeKey = async (keyId) => {
+    const result = await revokeApiKey(keyId);
+    if (result.success) {
+      loadApiKeys();
+    }
+  };
+
+  const handleCopyKey = () => {
+    navigator.clipboard.writeText(newKey);
+    toast.success('API key copied to clipboard!');
+  };
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+      >
+        {/* Header */}
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+            Settings
+          </Typography>
+          <Typography variant="h6" color="text.secondary">
+            Manage your account security and notifications
+          </Typography>
+        </Box>
+
+        {/* Two-Factor Authentication */}
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <SecurityIcon color="primary" />
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                  Two-Factor Authentication
+                </Typography>
+                <Chip
+                  label={user?.twoFactorEnabled ? 'On' : 'Off'}
+                  size="small"
+                  color={user?.twoFactorEnabled ? 'success' : 'default'}
+                />
+              </Box>
+              {user?.twoFactorEnabled ? (
+                <Button
+                  color="error"
+                  variant="outlined"
+                  onClick={() => setDisableDialog({ open: true, password: '', code: '' })}
+                >
+                  Turn Off
+                </Button>
+              ) : (
+                !twoFactorSetup && (
+                  <Button variant="contained" onClick={handleStartSetup}>
+                    Set Up
+                  </Button>
+                )
+              )}
+            </Box>
+
+            <Typography variant="body2" color="text.secondary">
+              Require a code from an authenticator app in addition to your password when you sign in.
+            </Typography>
+
+            {twoFactorSetup && (
+              <Box component="form" onSubmit={handleEnable} sx={{ mt: 3, textAlign: 'center' }}>
+                <Typography variant="body2" sx={{ mb: 2 }}>
+                  Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                </Typography>
+                <img src={twoFactorSetup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+                <Typography variant="caption" display="block" color="text.secondary" sx={{ mb: 2, wordBreak: 'break-all' }}>
+                  Or enter this key manually: {twoFactorSetup.secret}
+                </Typography>
+
+                {twoFactorError && (
+                  <Alert severity="error" sx={{ mb: 2, textAlign: 'left' }}>
+                    {twoFactorError}
+                  </Alert>
+                )}
+
+                <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', alignItems: 'center' }}>
+                  <TextField
+                    label="Authentication Code"
+                    value={setupCode}
+                    onChange={(e) => setSetupCode(e.target.value)}
+                    inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+                    size="small"
+                  />
+                  <Button type="submit" variant="contained" disabled={saving || !setupCode}>
+                    Turn On
+                  </Button>
+                  <Button onClick={() => setTwoFactorSetup(null)}>
+                    Cancel
+                  </Button>
+                </Box>
+              </Box>
+            )}
+
+            {recoveryCodes && (
+              <Alert
+                severity="warning"
+                sx={{ mt: 3 }}
+                action={
+                  <IconButton color="inherit" size="small" onClick={handleCopyRecoveryCodes}>
+                    <CopyIcon />
+                  </IconButton>
+                }
+              >
+                <Typography variant="body2" sx={{ fontWeight: 600, mb: 1 }}>
+                  Save these recovery codes somewhere safe. Each can be used once if you lose your device, and they won't be shown again.
+                </Typography>
+                <Box component="pre" sx={{ m: 0, fontFamily: 'monospace' }}>
+                  {recoveryCodes.join('\n')}
+                </Box>
+              </Alert>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Sessions */}
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+              <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                Active Sessions
+              </Typography>
+              <Button
+                color="error"
+                variant="outlined"
+                startIcon={<LogoutIcon />}
+                onClick={handleLogoutAll}
+              >
+                Log Out Everywhere
+              </Button>
+            </Box>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            {loading ? (
+              <Box sx={{ textAlign: 'center', py: 3 }}>
+                <CircularProgress />
+              </Box>
+            ) : (
+              <List>
+                {sessions.map((session) => (
+                  <ListItem
+                    key={session.id}
+                    divider
+                    secondaryAction={
+                      !session.current && (
+                        <Tooltip title="Revoke session">
+                          <IconButton edge="end" color="error" onClick={() => handleRevoke(session.id)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )
+                    }
+                  >
+                    <DevicesIcon sx={{ mr: 2, color: 'text.secondary' }} />
+                    <ListItemText
+                      primary={
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Typography variant="body1" noWrap sx={{ maxWidth: 420 }}>
+                            {session.userAgent || 'Unknown device'}
+                          </Typography>
+                          {session.current && <Chip label="This device" size="small" color="primary" />}
+                        </Box>
+                      }
+                      secondary={`${session.ip || 'Unknown IP'} · Last active ${moment(session.lastUsedAt).fromNow()}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* API Keys */}
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <KeyIcon color="primary" />
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                  API Keys
+                </Typography>
+              </Box>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => setKeyDialog({ open: true, name: '', scopes: ['upload'] })}
+              >
+                New Key
+              </Button>
+            </Box>
+
+            <Typography variant="body2" color="text.secondary">
+              Use API keys for scripts and CI jobs. Send them as a bearer token: <code>Authorization: Bearer fsk_...</code>
+            </Typography>
+
+            {newKey && (
+              <Alert
+                severity="success"
+                sx={{ mt: 2 }}
+                action={
+                  <IconButton color="inherit" size="small" onClick={handleCopyKey}>
+                    <CopyIcon />
+                  </IconButton>
+                }
+                onClose={() => setNewKey(null)}
+              >
+                <Typography variant="body2" sx={{ fontWeight: 600, mb: 1 }}>
+                  Copy your new API key now. It won't be shown again.
+                </Typography>
+                <Box component="code" sx={{ wordBreak: 'break-all' }}>
+                  {newKey}
+                </Box>
+              </Alert>
+            )}
+
+            <List>
+              {apiKeys.map((apiKey) => (
+                <ListItem
+                  key={apiKey.id}
+                  divider
+                  secondaryAction={
+                    <Tooltip title="Revoke key">
+                      <IconButton edge="end" color="error" onClick={() => handleRevokeKey(apiKey.id)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  }
+                >
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                        <Typography variant="body1">{apiKey.name}</Typography>
+                        <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                          {apiKey.keyPreview}...
+                        </Typography>
+                        {apiKey.scopes.map((scope) => (
+                          <Chip key={scope} label={scope} size="small" variant="outlined" />
+                        ))}
+                      </Box>
+                    }
+                    secondary={
+                      apiKey.lastUsedAt
+                        ? `Last used ${moment(apiKey.lastUsedAt).fromNow()} from ${apiKey.lastUsedIp}`
+                        : 'Never used'
+                    }
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </CardContent>
+        </Card>
+
+        {/* Notifications */}
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              <NotificationsIcon color="primary" />
+              <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                Notifications
+              </Typography>
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Emails about the files you share.
+            </Typography>
+
+            <FormGroup>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={notifications.emailNotifications}
+                    onChange={handleNotificationChange('emailNotifications')}
+                  />
+                }
+                label="Email notifications: first download of each file and expiry reminders"
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={notifications.notifyEveryDownload}
+                    onChange={handleNotificationChange('notifyEveryDownload')}
+                    disabled={!notifications.emailNotifications}
+                  />
+                }
+                label="Also email me on every later download"
+              />
+            </FormGroup>
+
+            <TextField
+              select
+              label="Expiry reminder"
+              size="small"
+              value={notifications.expiryReminderHours}
+              onChange={handleNotificationChange('expiryReminderHours')}
+              disabled={!notifications.emailNotifications}
+              sx={{ mt: 2, minWidth: 260 }}
+              helperText="The reminder has a link to extend the file"
+            >
+              <MenuItem value={0}>Don't remind me</MenuItem>
+              <MenuItem value={1}>1 hour before expiry</MenuItem>
+              <MenuItem value={6}>6 hours before expiry</MenuItem>
+              <MenuItem value={12}>12 hours before expiry</MenuItem>
+              <MenuItem value={24}>1 day before expiry</MenuItem>
+              <MenuItem value={72}>3 days before expiry</MenuItem>
+            </TextField>
+
+            <TextField
+              select
+              label="Email language"
+              size="small"
+              value={notifications.locale}
+              onChange={handleNotificationChange('locale')}
+              sx={{ mt: 2, ml: { sm: 2 }, minWidth: 200 }}
+              helperText="For every email we send you"
+            >
+              {EMAIL_LOCALES.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+
+            <Box sx={{ mt: 2 }}>
+              <Button
+                variant="contained"
+                onClick={handleSaveNotifications}
+                disabled={savingNotifications}
+              >
+                {savingNotifications ? 'Saving...' : 'Save Notification Settings'}
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      </motion.div>
+
+      {/* Create API Key Dialog */}
+      <Dialog
+        open={keyDialog.open}
+        onClose={() => setKeyDialog({ open: false, name: '', scopes: [] })}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>New API Key</DialogTitle>
+        <DialogContent>
+          {keyError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {keyError}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            label="Name"
+            placeholder="e.g. CI artifacts"
+            value={keyDialog.name}
+            onChange={(e) => setKeyDialog({ ...keyDialog, name: e.target.value })}
+            margin="normal"
+          />
+          <FormGroup>
+            {availableScopes.map((scope) => (
+              <FormControlLabel
+                key={scope}
+                control={
+                  <Checkbox
+                    checked={keyDialog.scopes.includes(scope)}
+                    onChange={() => handleToggleScope(scope)}
+                  />
+                }
+                label={scope}
+              />
+            ))}
+          </FormGroup>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setKeyDialog({ open: false, name: '', scopes: [] })}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleCreateKey}
+            disabled={saving || !keyDialog.name.trim() || keyDialog.scopes.length === 0}
+          >
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Disable Two-Factor Dialog */}
+      <Dialog
+        open={disableDialog.open}
+        onClose={() => setDisableDialog({ open: false, password: '', code: '' })}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>Turn Off Two-Factor Authentication</DialogTitle>
+        <DialogContent>
+          {disableError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {disableError}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            label="Password"
+            type="password"
+            value={disableDialog.password}
+            onChange={(e) => setDisableDialog({ ...disableDialog, password: e.target.value })}
+            margin="normal"
+          />
+          <TextField
+            fullWidth
+            label="Authentication or Recovery Code"
+            value={disableDialog.code}
+            onChange={(e) => setDisableDialog({ ...disableDialog, code: e.target.value })}
+            margin="normal"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDisableDialog({ open: false, password: '', code: '' })}>
+            Cancel
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleDisable}
+            disabled={saving || !disableDialog.password || !disableDialog.code}
+          >
+            Turn Off
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default SettingsPage;
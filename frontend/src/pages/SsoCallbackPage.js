@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+} from '@mui/material';
+import { Error as ErrorIcon } from '@mui/icons-material';
+import { useAuth } from '../contexts/AuthContext';
+
+const SsoCallbackPage = () => {
+  const { completeSsoLogin } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const [error, setError] = useState('');
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // The refresh token only works once, so never handle it twice
+    if (handled.current) return;
+    handled.current = true;
+
+    const params = new URLSearchParams(location.hash.slice(1));
+
+    // Keep the tokens out of the browser history
+    window.history.replaceState(null, '', location.pathname);
+
+    // Accounts with two-factor authentication still need a code
+    if (params.get('challengeToken')) {
+      navigate('/login', { replace: true, state: { challengeToken: params.get('challengeToken') } });
+      return;
+    }
+
+    if (params.get('error') || !params.get('token')) {
+      setError(params.get('error') || 'Single sign-on failed, please try again');
+      return;
+    }
+
+    const finish = async () => {
+      const result = await completeSsoLogin(params.get('token'), params.get('refreshToken'));
+
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        setError(result.message);
+      }
+    };
+
+    finish();
+  }, [location, navigate, completeSsoLogin]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        py: 4,
+      }}
+    >
+      <Container maxWidth="sm">
+        <Card
+          sx={{
+            boxShadow: '0 20px 40px rgba(0,0,0,0.1)',
+            borderRadius: 3,
+          }}
+        >
+          <CardContent sx={{ p: 4, textAlign: 'center' }}>
+            {error ? (
+              <>
+                <ErrorIcon sx={{ fontSize: 80, color: 'error.main', mb: 2 }} />
+                <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+                  Sign In Failed
+                </Typography>
+                <Typography variant="body1" color="text.secondary" sx={{ mb: 4 }}>
+                  {error}
+                </Typography>
+                <Button component={Link} to="/login" variant="contained" size="large">
+                  Back to Sign In
+                </Button>
+              </>
+            ) : (
+              <>
+                <CircularProgress size={60} sx={{ mb: 3 }} />
+                <Typography variant="h5" sx={{ fontWeight: 600 }}>
+                  Signing you in...
+                </Typography>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default SsoCallbackPage;
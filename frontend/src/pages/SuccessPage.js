@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { CopyToClipboard } from 'react-copy-to-clipboard';
 import {
   Box,
@@ -15,6 +15,8 @@ import {
   Alert,
   Chip,
   Divider,
+  MenuItem,
+  Tooltip,
   useTheme,
   useMediaQuery,
 } from '@mui/material';
@@ -32,13 +34,16 @@ import { motion } from 'framer-motion';
 import moment from 'moment';
 import { useFile } from '../contexts/FileContext';
 import { useAuth } from '../contexts/AuthContext';
+import { keyFromFragment, decryptShareInfo } from '../utils/e2e';
+import { EMAIL_STATUS_COLORS, getEmailStatusText, getEmailStatusDetail } from '../utils/emailStatus';
+import { EMAIL_LOCALES, DEFAULT_EMAIL_LOCALE } from '../utils/emailLocales';
 import toast from 'react-hot-toast';
 
 const SuccessPage = () => {
   const { fileId } = useParams();
   const navigate = useNavigate();
-  const { getFileInfo, sendEmailLink } = useFile();
-  const { isAuthenticated } = useAuth();
+  const { getFileInfo, sendEmailLink, getShareEmails } = useFile();
+  const { isAuthenticated, user } = useAuth();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
@@ -46,18 +51,24 @@ const SuccessPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [emailAddress, setEmailAddress] = useState('');
+  const [emailSubject, setEmailSubject] = useState('');
+  const [emailLocale, setEmailLocale] = useState(user?.preferences?.locale || DEFAULT_EMAIL_LOCALE);
   const [emailMessage, setEmailMessage] = useState('');
+  const [sentEmails, setSentEmails] = useState([]);
   const [sendingEmail, setSendingEmail] = useState(false);
   const [copied, setCopied] = useState(false);
 
-  const downloadUrl = `${window.location.origin}/download/${fileId}`;
+  // End-to-end encrypted uploads carry their key in the fragment
+  const { hash } = useLocation();
+  const downloadUrl = `${window.location.origin}/download/${fileId}${hash}`;
 
   useEffect(() => {
     const fetchFileInfo = async () => {
       try {
         const result = await getFileInfo(fileId);
         if (result.success) {
-          setFileInfo(result.data);
+          const key = result.data.e2e ? await keyFromFragment(hash) : null;
+          setFileInfo(key ? await decryptShareInfo(result.data, key) : result.data);
         } else {
           setError(result.message);
         }
@@ -69,7 +80,23 @@ const SuccessPage = () => {
     };
 
     fetchFileInfo();
-  }, [fileId, getFileInfo]);
+  }, [fileId, getFileInfo, hash]);
+
+  // Signed-in senders see who the link was emailed to before
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const fetchSentEmails = async () => {
+      const result = await getShareEmails(fileId);
+      if (result.success) {
+        setSentEmails(result.data);
+      }
+    };
+
+    fetchSentEmails();
+  }, [fileId, isAuthenticated, getShareEmails]);
+
+  const canCustomizeEmail = Boolean(fileInfo?.canCustomizeEmail);
 
   const handleCopyLink = () => {
     setCopied(true);
@@ -85,10 +112,14 @@ const SuccessPage = () => {
 
     setSendingEmail(true);
     try {
-      const result = await sendEmailLink(fileId, emailAddress, emailMessage);
+      const result = await sendEmailLink(fileId, emailAddress, emailMessage, emailSubject, emailLocale);
       if (result.success) {
-        toast.success('Email sent successfully!');
+        toast.success('Email queued for delivery!');
+        if (result.email) {
+          setSentEmails((emails) => [result.email, ...emails]);
+        }
         setEmailAddress('');
+        setEmailSubject('');
         setEmailMessage('');
       }
     } catch (err) {
@@ -290,57 +321,125 @@ const SuccessPage = () => {
           </CardContent>
         </Card>
 
-        {/* Email Sharing */}
-        <Card sx={{ mb: 3 }}>
-          <CardContent>
-            <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
-              Send via Email
-            </Typography>
-            <Grid container spacing={2}>
-              <Grid item xs={12}>
-                <TextField
-                  fullWidth
-                  label="Recipient Email"
-                  type="email"
-                  value={emailAddress}
-                  onChange={(e) => setEmailAddress(e.target.value)}
-                  placeholder="recipient@example.com"
-                  InputProps={{
-                    startAdornment: (
-                      <InputAdornment position="start">
-                        <EmailIcon />
-                      </InputAdornment>
-                    ),
-                  }}
-                />
-              </Grid>
-              <Grid item xs={12}>
-                <TextField
-                  fullWidth
-                  label="Message (Optional)"
-                  multiline
-                  rows={3}
-                  value={emailMessage}
-                  onChange={(e) => setEmailMessage(e.target.value)}
-                  placeholder="Add a personal message..."
-                />
+        {/* Email Sharing (the server can't email a link holding the key) */}
+        {fileInfo?.e2e ? (
+          <Alert severity="info" sx={{ mb: 3 }}>
+            This upload is end-to-end encrypted. The decryption key is only in the link
+            above, so share it yourself; it can't be sent by email from here.
+          </Alert>
+        ) : (
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
+                Send via Email
+              </Typography>
+              <Grid container spacing={2}>
+                <Grid item xs={12}>
+                  <TextField
+                    fullWidth
+                    label="Recipient Email"
+                    type="email"
+                    value={emailAddress}
+                    onChange={(e) => setEmailAddress(e.target.value)}
+                    placeholder="recipient@example.com"
+                    InputProps={{
+                      startAdornment: (
+                        <InputAdornment position="start">
+                          <EmailIcon />
+                        </InputAdornment>
+                      ),
+                    }}
+                  />
+                </Grid>
+                {/* Only the share's uploader can personalize the email */}
+                {canCustomizeEmail && (
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      fullWidth
+                      label="Subject (Optional)"
+                      value={emailSubject}
+                      onChange={(e) => setEmailSubject(e.target.value)}
+                      placeholder="Leave empty for the default subject"
+                      inputProps={{ maxLength: 150 }}
+                    />
+                  </Grid>
+                )}
+                <Grid item xs={12} sm={canCustomizeEmail ? 6 : 12}>
+                  <TextField
+                    select
+                    fullWidth
+                    label="Email Language"
+                    value={emailLocale}
+                    onChange={(e) => setEmailLocale(e.target.value)}
+                  >
+                    {EMAIL_LOCALES.map((option) => (
+                      <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+                {canCustomizeEmail && (
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      label="Message (Optional)"
+                      multiline
+                      rows={3}
+                      value={emailMessage}
+                      onChange={(e) => setEmailMessage(e.target.value)}
+                      placeholder="Add a personal message..."
+                      inputProps={{ maxLength: 500 }}
+                    />
+                  </Grid>
+                )}
+                <Grid item xs={12}>
+                  <Button
+                    variant="contained"
+                    startIcon={<EmailIcon />}
+                    onClick={handleSendEmail}
+                    disabled={sendingEmail || !emailAddress}
+                    sx={{
+                      background: 'linear-gradient(135deg, #28a745 0%, #20c997 100%)',
+                    }}
+                  >
+                    {sendingEmail ? 'Sending...' : 'Send Email'}
+                  </Button>
+                </Grid>
               </Grid>
-              <Grid item xs={12}>
-                <Button
-                  variant="contained"
-                  startIcon={<EmailIcon />}
-                  onClick={handleSendEmail}
-                  disabled={sendingEmail || !emailAddress}
-                  sx={{
-                    background: 'linear-gradient(135deg, #28a745 0%, #20c997 100%)',
-                  }}
-                >
-                  {sendingEmail ? 'Sending...' : 'Send Email'}
-                </Button>
-              </Grid>
-            </Grid>
-          </CardContent>
-        </Card>
+
+              {sentEmails.length > 0 && (
+                <>
+                  <Divider sx={{ my: 3 }} />
+                  <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 600 }}>
+                    Emailed To
+                  </Typography>
+                  {sentEmails.map((email) => (
+                    <Box
+                      key={email.id}
+                      sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, py: 1 }}
+                    >
+                      <Box sx={{ minWidth: 0 }}>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }} noWrap>
+                          {email.to}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary" noWrap component="div">
+                          {email.subject} · {moment(email.createdAt).fromNow()}
+                        </Typography>
+                      </Box>
+                      <Tooltip title={getEmailStatusDetail(email)}>
+                        <Chip
+                          label={getEmailStatusText(email)}
+                          color={EMAIL_STATUS_COLORS[email.status]}
+                          variant="outlined"
+                          size="small"
+                        />
+                      </Tooltip>
+                    </Box>
+                  ))}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        )}
 
         {/* Information Card */}
         <Card sx={{ mb: 3 }}>
@@ -18,6 +18,8 @@ import {
   LinearProgress,
   Chip,
   IconButton,
+  FormControlLabel,
+  Switch,
   useTheme,
   useMediaQuery,
 } from '@mui/material';
@@ -26,22 +28,32 @@ import {
   Delete as DeleteIcon,
   Email as EmailIcon,
   Schedule as ScheduleIcon,
+  Lock as LockIcon,
+  Download as DownloadIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import { useFile } from '../contexts/FileContext';
 import { useAuth } from '../contexts/AuthContext';
+import { EMAIL_LOCALES, DEFAULT_EMAIL_LOCALE } from '../utils/emailLocales';
+
+// Keep in sync with MAX_FILES_PER_SHARE on the backend
+const MAX_FILES = 20;
 
 const UploadPage = () => {
-  const { uploadFile, uploading } = useFile();
+  const { uploadFile, uploading, uploadProgress } = useFile();
   const { isAuthenticated, user } = useAuth();
   const navigate = useNavigate();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
   const [senderEmail, setSenderEmail] = useState(user?.email || '');
   const [receiverEmail, setReceiverEmail] = useState('');
+  const [receiverLocale, setReceiverLocale] = useState(user?.preferences?.locale || DEFAULT_EMAIL_LOCALE);
   const [expiryHours, setExpiryHours] = useState(user?.preferences?.defaultExpiryHours || 24);
+  const [maxDownloads, setMaxDownloads] = useState(100);
+  const [password, setPassword] = useState('');
+  const [endToEnd, setEndToEnd] = useState(false);
   const [error, setError] = useState('');
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
@@ -53,6 +65,8 @@ const UploadPage = () => {
         setError('File size must be less than 100MB');
       } else if (rejection.errors[0]?.code === 'file-invalid-type') {
         setError('File type not supported');
+      } else if (rejection.errors[0]?.code === 'too-many-files') {
+        setError(`You can share up to ${MAX_FILES} files at a time`);
       } else {
         setError('File rejected. Please try a different file.');
       }
@@ -60,13 +74,19 @@ const UploadPage = () => {
     }
 
     if (acceptedFiles.length > 0) {
-      setFile(acceptedFiles[0]);
+      setFiles((currentFiles) => {
+        if (currentFiles.length + acceptedFiles.length > MAX_FILES) {
+          setError(`You can share up to ${MAX_FILES} files at a time`);
+          return currentFiles;
+        }
+        return [...currentFiles, ...acceptedFiles];
+      });
     }
   }, []);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    maxFiles: 1,
+    maxFiles: MAX_FILES,
     maxSize: 100 * 1024 * 1024, // 100MB
     accept: {
       'application/pdf': ['.pdf'],
@@ -100,8 +120,8 @@ const UploadPage = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const handleRemoveFile = () => {
-    setFile(null);
+  const handleRemoveFile = (index) => {
+    setFiles((currentFiles) => currentFiles.filter((_, i) => i !== index));
     setError('');
   };
 
@@ -111,7 +131,7 @@ const UploadPage = () => {
   };
 
   const handleUpload = async () => {
-    if (!file) {
+    if (files.length === 0) {
       setError('Please select a file to upload');
       return;
     }
@@ -126,18 +146,34 @@ const UploadPage = () => {
       return;
     }
 
+    if (!Number.isInteger(Number(maxDownloads)) || Number(maxDownloads) < 1) {
+      setError('Download limit must be a whole number of at least 1');
+      return;
+    }
+
+    if (password && password.length < 4) {
+      setError('Password must be at least 4 characters long');
+      return;
+    }
+
     setError('');
 
     const emailData = {
       senderEmail: senderEmail || undefined,
-      receiverEmail: receiverEmail || undefined,
+      // The emailed link couldn't include the decryption key
+      receiverEmail: endToEnd ? undefined : receiverEmail || undefined,
+      locale: endToEnd || !receiverEmail ? undefined : receiverLocale,
       expiryHours,
+      maxDownloads: Number(maxDownloads),
+      password: password || undefined,
+      e2e: endToEnd,
     };
 
-    const result = await uploadFile(file, emailData);
+    const result = await uploadFile(files, emailData);
 
     if (result.success) {
-      navigate(`/success/${result.data.id}`);
+      // The key stays in the fragment, which is never sent to the server
+      navigate(`/success/${result.data.id}${result.data.keyFragment || ''}`);
     } else {
       setError(result.message);
     }
@@ -162,10 +198,10 @@ const UploadPage = () => {
       >
         <Box sx={{ textAlign: 'center', mb: 4 }}>
           <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 2 }}>
-            Upload Your File
+            Upload Your Files
           </Typography>
           <Typography variant="h6" color="text.secondary">
-            Select a file and get a shareable download link instantly
+            Select one or more files and get a single shareable download link instantly
           </Typography>
         </Box>
 
@@ -180,72 +216,81 @@ const UploadPage = () => {
           <Grid item xs={12}>
             <Card>
               <CardContent sx={{ p: 0 }}>
-                {!file ? (
-                  <Box
-                    {...getRootProps()}
+                <Box
+                  {...getRootProps()}
+                  sx={{
+                    p: files.length > 0 ? 3 : 4,
+                    textAlign: 'center',
+                    border: `2px dashed ${isDragActive ? theme.palette.primary.main : theme.palette.grey[300]}`,
+                    borderRadius: 2,
+                    backgroundColor: isDragActive ? 'primary.50' : 'grey.50',
+                    cursor: 'pointer',
+                    transition: 'all 0.3s ease',
+                    '&:hover': {
+                      borderColor: 'primary.main',
+                      backgroundColor: 'primary.50',
+                    },
+                  }}
+                >
+                  <input {...getInputProps()} />
+                  <CloudUploadIcon
                     sx={{
-                      p: 4,
-                      textAlign: 'center',
-                      border: `2px dashed ${isDragActive ? theme.palette.primary.main : theme.palette.grey[300]}`,
-                      borderRadius: 2,
-                      backgroundColor: isDragActive ? 'primary.50' : 'grey.50',
-                      cursor: 'pointer',
-                      transition: 'all 0.3s ease',
-                      '&:hover': {
-                        borderColor: 'primary.main',
-                        backgroundColor: 'primary.50',
-                      },
+                      fontSize: files.length > 0 ? 40 : 64,
+                      color: isDragActive ? 'primary.main' : 'grey.400',
+                      mb: 2,
                     }}
-                  >
-                    <input {...getInputProps()} />
-                    <CloudUploadIcon
-                      sx={{
-                        fontSize: 64,
-                        color: isDragActive ? 'primary.main' : 'grey.400',
-                        mb: 2,
-                      }}
-                    />
-                    <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
-                      {isDragActive
-                        ? 'Drop your file here'
-                        : 'Drag & drop a file here, or click to browse'}
-                    </Typography>
-                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                      Supports: PDF, DOC, XLS, PPT, Images, Videos, Archives, and more
-                    </Typography>
-                    <Typography variant="caption" color="text.secondary">
-                      Maximum file size: 100MB
-                    </Typography>
-                  </Box>
-                ) : (
-                  <Box sx={{ p: 3 }}>
-                    <Box
-                      sx={{
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'space-between',
-                        p: 2,
-                        backgroundColor: 'grey.50',
-                        borderRadius: 2,
-                        border: '1px solid',
-                        borderColor: 'grey.200',
-                      }}
-                    >
-                      <Box sx={{ display: 'flex', alignItems: 'center', flex: 1 }}>
-                        <CloudUploadIcon sx={{ mr: 2, color: 'primary.main' }} />
-                        <Box>
-                          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
-                            {file.name}
-                          </Typography>
-                          <Typography variant="caption" color="text.secondary">
-                            {formatFileSize(file.size)}
-                          </Typography>
+                  />
+                  <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
+                    {isDragActive
+                      ? 'Drop your files here'
+                      : files.length > 0
+                        ? 'Drop more files here, or click to add them'
+                        : 'Drag & drop files here, or click to browse'}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Supports: PDF, DOC, XLS, PPT, Images, Videos, Archives, and more
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Maximum file size: 100MB · Up to {MAX_FILES} files per link
+                  </Typography>
+                </Box>
+
+                {files.length > 0 && (
+                  <Box sx={{ p: 3, display: 'flex', flexDirection: 'column', gap: 1 }}>
+                    {files.map((file, index) => (
+                      <Box
+                        key={`${file.name}-${file.size}-${file.lastModified}`}
+                        sx={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'space-between',
+                          p: 2,
+                          backgroundColor: 'grey.50',
+                          borderRadius: 2,
+                          border: '1px solid',
+                          borderColor: 'grey.200',
+                        }}
+                      >
+                        <Box sx={{ display: 'flex', alignItems: 'center', flex: 1 }}>
+                          <CloudUploadIcon sx={{ mr: 2, color: 'primary.main' }} />
+                          <Box>
+                            <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                              {file.name}
+                            </Typography>
+                            <Typography variant="caption" color="text.secondary">
+                              {formatFileSize(file.size)}
+                            </Typography>
+                          </Box>
                         </Box>
+                        <IconButton
+                          onClick={() => handleRemoveFile(index)}
+                          color="error"
+                          disabled={uploading}
+                        >
+                          <DeleteIcon />
+                        </IconButton>
                       </Box>
-                      <IconButton onClick={handleRemoveFile} color="error">
-                        <DeleteIcon />
-                      </IconButton>
-                    </Box>
+                    ))}
                   </Box>
                 )}
               </CardContent>
@@ -286,13 +331,38 @@ const UploadPage = () => {
                       value={receiverEmail}
                       onChange={(e) => setReceiverEmail(e.target.value)}
                       placeholder="recipient@example.com"
+                      disabled={endToEnd}
                       InputProps={{
                         startAdornment: <EmailIcon sx={{ mr: 1, color: 'text.secondary' }} />,
                       }}
-                      helperText="We'll send the download link to this email"
+                      helperText={
+                        endToEnd
+                          ? 'Share end-to-end encrypted links yourself'
+                          : "We'll send the download link to this email"
+                      }
                     />
                   </Grid>
 
+                  {/* Recipient's email language */}
+                  {receiverEmail && !endToEnd && (
+                    <Grid item xs={12} sm={6}>
+                      <FormControl fullWidth>
+                        <InputLabel>Recipient's Email Language</InputLabel>
+                        <Select
+                          value={receiverLocale}
+                          label="Recipient's Email Language"
+                          onChange={(e) => setReceiverLocale(e.target.value)}
+                        >
+                          {EMAIL_LOCALES.map((option) => (
+                            <MenuItem key={option.value} value={option.value}>
+                              {option.label}
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                  )}
+
                   {/* Expiry Time */}
                   <Grid item xs={12}>
                     <FormControl fullWidth>
@@ -311,6 +381,59 @@ const UploadPage = () => {
                       </Select>
                     </FormControl>
                   </Grid>
+
+                  {/* Download Limit */}
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      label="Download Limit"
+                      type="number"
+                      value={maxDownloads}
+                      onChange={(e) => setMaxDownloads(e.target.value)}
+                      inputProps={{ min: 1, step: 1 }}
+                      InputProps={{
+                        startAdornment: <DownloadIcon sx={{ mr: 1, color: 'text.secondary' }} />,
+                      }}
+                      helperText={
+                        Number(maxDownloads) === 1
+                          ? 'One-time link: the file is deleted right after the first download'
+                          : 'The link stops working after this many downloads'
+                      }
+                    />
+                  </Grid>
+
+                  {/* Share Password */}
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      label="Password (Optional)"
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      autoComplete="new-password"
+                      InputProps={{
+                        startAdornment: <LockIcon sx={{ mr: 1, color: 'text.secondary' }} />,
+                      }}
+                      helperText="Recipients will need this password to open the link"
+                    />
+                  </Grid>
+
+                  {/* End-to-end Encryption */}
+                  <Grid item xs={12}>
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          checked={endToEnd}
+                          onChange={(e) => setEndToEnd(e.target.checked)}
+                        />
+                      }
+                      label="End-to-end encryption"
+                    />
+                    <Typography variant="body2" color="text.secondary">
+                      Files are encrypted in your browser before upload. The key is only
+                      part of the share link, so the server can never read the files.
+                    </Typography>
+                  </Grid>
                 </Grid>
 
                 {!isAuthenticated && (
@@ -332,7 +455,7 @@ const UploadPage = () => {
               variant="contained"
               size="large"
               onClick={handleUpload}
-              disabled={!file || uploading}
+              disabled={files.length === 0 || uploading}
               sx={{
                 py: 2,
                 fontSize: '1.1rem',
@@ -351,13 +474,17 @@ const UploadPage = () => {
             >
               {uploading ? (
                 <>
-                  <LinearProgress sx={{ width: '100%', mr: 2 }} />
-                  Uploading...
+                  <LinearProgress
+                    variant="determinate"
+                    value={uploadProgress}
+                    sx={{ width: '100%', mr: 2 }}
+                  />
+                  Uploading... {uploadProgress}%
                 </>
               ) : (
                 <>
                   <CloudUploadIcon sx={{ mr: 1 }} />
-                  Upload File
+                  {files.length > 1 ? `Upload ${files.length} Files` : 'Upload File'}
                 </>
               )}
             </Button>
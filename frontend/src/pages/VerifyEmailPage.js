@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  Error as ErrorIcon,
+  Email as EmailIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { verifyEmail, resendVerification, isAuthenticated, user } = useAuth();
+
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const [isResending, setIsResending] = useState(false);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // A token can only be used once, so never send it twice
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      const result = await verifyEmail(token);
+
+      if (result.success) {
+        setStatus('verified');
+      } else {
+        setError(result.message);
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token, verifyEmail]);
+
+  const handleResend = async () => {
+    setIsResending(true);
+    await resendVerification();
+    setIsResending(false);
+  };
+
+  const canResend = isAuthenticated && !user?.isEmailVerified;
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        py: 4,
+      }}
+    >
+      <Container maxWidth="sm">
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          <Card
+            sx={{
+              boxShadow: '0 20px 40px rgba(0,0,0,0.1)',
+              borderRadius: 3,
+            }}
+          >
+            <CardContent sx={{ p: 4, textAlign: 'center' }}>
+              {status === 'verifying' && (
+                <>
+                  <CircularProgress size={60} sx={{ mb: 3 }} />
+                  <Typography variant="h5" sx={{ fontWeight: 600 }}>
+                    Verifying your email...
+                  </Typography>
+                </>
+              )}
+
+              {status === 'verified' && (
+                <>
+                  <CheckCircleIcon sx={{ fontSize: 80, color: 'success.main', mb: 2 }} />
+                  <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+                    Email Verified
+                  </Typography>
+                  <Typography variant="body1" color="text.secondary" sx={{ mb: 4 }}>
+                    Thanks for confirming your email address.
+                  </Typography>
+                  <Button
+                    component={Link}
+                    to={isAuthenticated ? '/dashboard' : '/login'}
+                    variant="contained"
+                    size="large"
+                  >
+                    {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+                  </Button>
+                </>
+              )}
+
+              {status === 'failed' && (
+                <>
+                  <ErrorIcon sx={{ fontSize: 80, color: 'error.main', mb: 2 }} />
+                  <Typography variant="h4" component="h1" sx={{ fontWeight: 700, mb: 1 }}>
+                    Verification Failed
+                  </Typography>
+                  <Typography variant="body1" color="text.secondary" sx={{ mb: 4 }}>
+                    {error}
+                  </Typography>
+                  {canResend ? (
+                    <Button
+                      variant="contained"
+                      size="large"
+                      startIcon={<EmailIcon />}
+                      onClick={handleResend}
+                      disabled={isResending}
+                    >
+                      {isResending ? 'Sending...' : 'Send a New Link'}
+                    </Button>
+                  ) : (
+                    <Button
+                      component={Link}
+                      to={isAuthenticated ? '/dashboard' : '/login'}
+                      variant="contained"
+                      size="large"
+                    >
+                      {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+                    </Button>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        </motion.div>
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyEmailPage;
@@ -0,0 +1,214 @@
+// 🔹 End-to-end encryption for uploads (WebCrypto AES-GCM)
+//
+// The key is generated in the browser and only ever travels in the URL
+// fragment (#key=...), which browsers never send to the server. Files are
+// encrypted in chunks so they can be decrypted while downloading; each
+// chunk's IV is derived from a per-file nonce and the chunk index, and the
+// last chunk is marked in its additional data so truncation is detected.
+// The real name, type and size travel as encrypted metadata.
+
+const ALGORITHM = 'AES-GCM';
+const CHUNK_SIZE = 1024 * 1024; // 1MB of plaintext per chunk
+const TAG_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// Name and type the server sees instead of the real ones
+export const E2E_FILENAME = 'encrypted.bin';
+export const E2E_FILETYPE = 'application/octet-stream';
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+const chunkIv = (nonce, index) => {
+  const iv = new Uint8Array(nonce);
+  const view = new DataView(iv.buffer);
+  view.setUint32(IV_LENGTH - 4, (view.getUint32(IV_LENGTH - 4) ^ index) >>> 0);
+  return iv;
+};
+
+const finalFlag = (isFinal) => new Uint8Array([isFinal ? 1 : 0]);
+
+export const generateKey = () =>
+  window.crypto.subtle.generateKey(
+    { name: ALGORITHM, length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+
+// 🔹 Keys in share links
+export const keyToFragment = async (key) => {
+  const raw = await window.crypto.subtle.exportKey('raw', key);
+  return `#key=${toBase64Url(raw)}`;
+};
+
+export const keyFromFragment = async (hash) => {
+  const match = /[#&]key=([A-Za-z0-9_-]+)/.exec(hash || '');
+  if (!match) return null;
+
+  try {
+    return await window.crypto.subtle.importKey(
+      'raw',
+      fromBase64Url(match[1]),
+      ALGORITHM,
+      false,
+      ['decrypt']
+    );
+  } catch (error) {
+    return null;
+  }
+};
+
+// 🔹 Encrypt a file; resolves to the ciphertext (as a File ready for the
+// resumable uploader) and the encrypted metadata to store alongside it
+export const encryptFile = async (file, key) => {
+  const nonce = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const chunkCount = Math.max(Math.ceil(file.size / CHUNK_SIZE), 1);
+  const parts = [];
+
+  for (let index = 0; index < chunkCount; index++) {
+    const plaintext = await file
+      .slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE)
+      .arrayBuffer();
+
+    parts.push(
+      new Blob([
+        await window.crypto.subtle.encrypt(
+          {
+            name: ALGORITHM,
+            iv: chunkIv(nonce, index),
+            additionalData: finalFlag(index === chunkCount - 1)
+          },
+          key,
+          plaintext
+        )
+      ])
+    );
+  }
+
+  const metadata = {
+    name: file.name,
+    type: file.type || E2E_FILETYPE,
+    size: file.size,
+    chunkSize: CHUNK_SIZE,
+    nonce: toBase64Url(nonce)
+  };
+
+  const metadataIv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const encryptedMetadata = await window.crypto.subtle.encrypt(
+    { name: ALGORITHM, iv: metadataIv },
+    key,
+    new TextEncoder().encode(JSON.stringify(metadata))
+  );
+
+  return {
+    file: new File(parts, E2E_FILENAME, {
+      type: E2E_FILETYPE,
+      lastModified: Date.now()
+    }),
+    metadata: `${toBase64Url(metadataIv)}.${toBase64Url(encryptedMetadata)}`
+  };
+};
+
+export const decryptMetadata = async (value, key) => {
+  const [iv, ciphertext] = (value || '').split('.');
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: ALGORITHM, iv: fromBase64Url(iv) },
+    key,
+    fromBase64Url(ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+// 🔹 Decrypt a download as it arrives, handing each plaintext chunk to
+// onChunk (which may return a promise, e.g. when writing to disk)
+export const decryptStream = async (body, key, metadata, onChunk) => {
+  const nonce = fromBase64Url(metadata.nonce);
+  const chunkCount = Math.max(Math.ceil(metadata.size / metadata.chunkSize), 1);
+  const sealedSize = metadata.chunkSize + TAG_LENGTH;
+  const reader = body.getReader();
+
+  let pending = new Uint8Array(0);
+  let index = 0;
+
+  const open = async (sealed) => {
+    if (index >= chunkCount) {
+      throw new Error('Unexpected data after the end of the file');
+    }
+
+    const plaintext = await window.crypto.subtle.decrypt(
+      {
+        name: ALGORITHM,
+        iv: chunkIv(nonce, index),
+        additionalData: finalFlag(index === chunkCount - 1)
+      },
+      key,
+      sealed
+    );
+    index += 1;
+    await onChunk(new Uint8Array(plaintext));
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    const joined = new Uint8Array(pending.length + value.length);
+    joined.set(pending);
+    joined.set(value, pending.length);
+    pending = joined;
+
+    while (pending.length >= sealedSize) {
+      await open(pending.slice(0, sealedSize));
+      pending = pending.slice(sealedSize);
+    }
+  }
+
+  if (pending.length > 0) {
+    await open(pending);
+  }
+
+  if (index !== chunkCount) {
+    throw new Error('The download was incomplete');
+  }
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// 🔹 Swap the placeholder names and sizes in share info for the real ones
+export const decryptShareInfo = async (info, key) => {
+  const files = await Promise.all(
+    info.files.map(async (file) => {
+      const metadata = await decryptMetadata(file.e2eMetadata, key);
+      return {
+        ...file,
+        filename: metadata.name,
+        size: formatFileSize(metadata.size),
+        mimeType: metadata.type,
+        metadata
+      };
+    })
+  );
+
+  const totalSize = files.reduce((total, file) => total + file.metadata.size, 0);
+
+  return {
+    ...info,
+    files,
+    filename: files.length === 1 ? files[0].filename : info.filename,
+    size: formatFileSize(totalSize)
+  };
+};
@@ -0,0 +1,8 @@
+// 🔹 Languages emails can be sent in (backend/templates/email/locales)
+
+export const EMAIL_LOCALES = [
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'हिन्दी (Hindi)' },
+];
+
+export const DEFAULT_EMAIL_LOCALE = 'en';
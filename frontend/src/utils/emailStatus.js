@@ -0,0 +1,30 @@
+// 🔹 Labels for the delivery status of queued emails (see /api/files)
+
+import moment from 'moment';
+
+const KIND_LABELS = {
+  'file-link': 'Link',
+  'upload-confirmation': 'Confirmation',
+};
+
+export const EMAIL_STATUS_COLORS = {
+  pending: 'default',
+  sending: 'info',
+  sent: 'success',
+  dead: 'error',
+};
+
+export const getEmailStatusText = (email) => {
+  if (email.status === 'sent') return 'Delivered';
+  if (email.status === 'dead') return 'Failed';
+  return email.attempts > 0 ? 'Retrying' : 'Queued';
+};
+
+// One line describing where the email is and what went wrong, if anything
+export const getEmailStatusDetail = (email) => {
+  const recipient = `${KIND_LABELS[email.kind] || 'Email'} to ${email.to}`;
+  if (email.status === 'sent') return `${recipient}, delivered ${moment(email.sentAt).fromNow()}`;
+  if (email.status === 'dead') return `${recipient} could not be delivered: ${email.lastError}`;
+  if (email.lastError) return `${recipient}, retrying ${moment(email.nextAttemptAt).fromNow()}: ${email.lastError}`;
+  return `${recipient}, waiting to be sent`;
+};